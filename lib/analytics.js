@@ -0,0 +1,333 @@
+/**
+ * Aggregation of stored statements for teacher dashboards.
+ * Counts statements over a range of days, grouped by verb, activity type,
+ * activity, actor, registration, day and/or hour (of the partition time zone).
+ *
+ * Days are aggregated one at a time through readStatementsInRange, so both
+ * backends are supported. Results of closed days (before today) are cached in
+ * memory per aggregation; a cached day is reused while the day's files and the
+ * set of voided statements are unchanged (late statements, retention and voiding
+ * all invalidate it). Erasure drops the affected days explicitly (forgetCachedDays),
+ * since a rewritten day is not guaranteed to differ in size.
+ */
+
+import { createHash } from "crypto";
+import { readStatementsInRange, getDateStats, getVoidedIds } from "../storage/index.js";
+import { parseAgent, matchesQuery, storageFilter } from "./query.js";
+import { actorIdentifier } from "./statement.js";
+import { dayKey, dayStart, dayEnd, hourKey, addDays, daysBetween, isDayKey, getPartitionTimeZone } from "./partition.js";
+
+/**
+ * Dimensions statements can be grouped by.
+ */
+export const DIMENSIONS = ["verb", "activityType", "activity", "actor", "registration", "day", "hour"];
+
+/**
+ * Maximum number of days one aggregation may span.
+ */
+export const MAX_AGGREGATE_DAYS = 92;
+
+/**
+ * Maximum number of groups returned (limit=0 means this).
+ */
+export const MAX_GROUPS = 10000;
+
+/**
+ * Maximum number of groups held by all cached day results together.
+ * Bounds the cache's memory: a day grouped by actor or activity can have
+ * thousands of groups, while a day grouped by day has one.
+ */
+const MAX_CACHED_GROUPS = 200000;
+
+/**
+ * Cached results of closed days, keyed by "day|aggregation"; ordered by last use.
+ */
+const cache = new Map();
+
+/**
+ * Number of groups in the cached day results.
+ */
+let cachedGroups = 0;
+
+/**
+ * Parses aggregation parameters.
+ * Params: from, to (day keys, inclusive; default the last 7 days), groupBy
+ * (comma separated dimensions; default day), limit, and the filters verb,
+ * activity, activityType, registration, agent.
+ * @param {object} params - req.query
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {{valid: boolean, errors: string[], query?: object}}
+ */
+export function parseAggregateQuery(params, now = new Date()) {
+    const errors = [];
+    const today = dayKey(now);
+    const query = {
+        from: params.from,
+        to: params.to ?? today,
+        groupBy: ["day"],
+        limit: MAX_GROUPS,
+        filters: {
+            verb: params.verb,
+            activity: params.activity,
+            activityType: params.activityType,
+            registration: params.registration,
+            agent: null,
+        },
+    };
+
+    for (const key of ["from", "to"]) {
+        if (query[key] !== undefined && !isDayKey(query[key])) {
+            errors.push(`${key} must be a date (YYYY-MM-DD)`);
+        }
+    }
+
+    if (params.groupBy !== undefined) {
+        query.groupBy = String(params.groupBy).split(",").map(s => s.trim()).filter(Boolean);
+        const unknown = query.groupBy.filter(d => !DIMENSIONS.includes(d));
+        if (unknown.length > 0 || query.groupBy.length === 0) {
+            errors.push(`groupBy must list dimensions of: ${DIMENSIONS.join(", ")}`);
+        } else if (new Set(query.groupBy).size !== query.groupBy.length) {
+            errors.push("groupBy must not repeat a dimension");
+        }
+    }
+
+    if (params.agent !== undefined) {
+        query.filters.agent = parseAgent(params.agent);
+        if (!query.filters.agent) {
+            errors.push("agent must be an xAPI Agent JSON object with exactly one identifier");
+        }
+    }
+
+    if (params.limit !== undefined) {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 0) {
+            errors.push("limit must be a non-negative integer");
+        } else {
+            query.limit = limit === 0 ? MAX_GROUPS : Math.min(limit, MAX_GROUPS);
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    query.from = query.from ?? addDays(query.to, -6);
+    if (query.from > query.to) {
+        errors.push("from must be before or equal to to");
+    } else if (daysBetween(query.from, query.to) >= MAX_AGGREGATE_DAYS) {
+        errors.push(`Maximum ${MAX_AGGREGATE_DAYS} days per aggregation`);
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, errors, query };
+}
+
+/**
+ * Gets the value of a dimension for a statement.
+ * Times fall back to the ingest time for statements without a timestamp.
+ * @param {object} statement - The xAPI Statement
+ * @param {string} dimension - Dimension
+ * @returns {string|null} Value, or null when the statement has none
+ */
+function dimensionValue(statement, dimension) {
+    switch (dimension) {
+        case "verb":
+            return statement.verb?.id ?? null;
+        case "activityType":
+            return statement.object?.definition?.type ?? null;
+        case "activity":
+            return statement.object?.objectType === undefined || statement.object?.objectType === "Activity"
+                ? statement.object?.id ?? null
+                : null;
+        case "actor":
+            return actorIdentifier(statement.actor);
+        case "registration":
+            return statement.context?.registration ?? null;
+        case "day":
+        case "hour": {
+            const time = new Date(statement.timestamp || statement._meta?.ingestTime);
+            if (isNaN(time.getTime())) {
+                return null;
+            }
+            return dimension === "day" ? dayKey(time) : hourKey(time);
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Tests a statement against the aggregation filters.
+ * @param {object} statement - The xAPI Statement
+ * @param {object} query - Parsed aggregation (from parseAggregateQuery)
+ * @returns {boolean}
+ */
+function matchesFilters(statement, query) {
+    const { filters } = query;
+    if (filters.activityType && statement.object?.definition?.type !== filters.activityType) {
+        return false;
+    }
+    return matchesQuery(statement, {
+        verb: filters.verb,
+        activity: filters.activity,
+        registration: filters.registration,
+        agent: filters.agent,
+        classrooms: query.classrooms,
+    });
+}
+
+/**
+ * Counts the statements of one day.
+ * @param {string} day - Day key
+ * @param {object} query - Parsed aggregation
+ * @param {Map<string, string>} voided - Voided statement ids
+ * @param {{signal?: AbortSignal}} options - signal cancels the storage reads
+ * @returns {Promise<{total: number, counts: Map<string, number>}>} counts keyed by the JSON array of dimension values
+ */
+async function aggregateDay(day, query, voided, options) {
+    const result = { total: 0, counts: new Map() };
+    const filter = storageFilter({ ...query.filters, classrooms: query.classrooms });
+    for await (const statement of readStatementsInRange(dayStart(day), dayEnd(day), { ...options, filter })) {
+        if (voided.has(statement.id) || !matchesFilters(statement, query)) {
+            continue;
+        }
+        const key = JSON.stringify(query.groupBy.map(d => dimensionValue(statement, d)));
+        result.counts.set(key, (result.counts.get(key) || 0) + 1);
+        result.total++;
+    }
+    return result;
+}
+
+/**
+ * Computes the fingerprint a cached day result is valid for.
+ * @param {string} day - Day key
+ * @param {string} voidedFingerprint - Fingerprint of the voided statement ids
+ * @returns {Promise<string>}
+ */
+async function dayFingerprint(day, voidedFingerprint) {
+    const stats = await getDateStats(dayStart(day));
+    const files = stats.files.map(f => `${f.path}:${f.size}`).sort();
+    return createHash("sha256").update(JSON.stringify([files, voidedFingerprint])).digest("hex");
+}
+
+/**
+ * Removes a day result from the cache.
+ * @param {string} cacheKey - "day|aggregation"
+ */
+function uncacheDay(cacheKey) {
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        cache.delete(cacheKey);
+        cachedGroups -= cached.result.counts.size;
+    }
+}
+
+/**
+ * Caches a day result as the most recently used one, evicting the least
+ * recently used results while the cache holds too many groups.
+ * Results larger than the whole cache are not cached.
+ * @param {string} cacheKey - "day|aggregation"
+ * @param {{fingerprint: string, result: {total: number, counts: Map<string, number>}}} entry - Day result
+ */
+function cacheDay(cacheKey, entry) {
+    uncacheDay(cacheKey);
+    if (entry.result.counts.size > MAX_CACHED_GROUPS) {
+        return;
+    }
+    cache.set(cacheKey, entry);
+    cachedGroups += entry.result.counts.size;
+    while (cachedGroups > MAX_CACHED_GROUPS) {
+        uncacheDay(cache.keys().next().value);
+    }
+}
+
+/**
+ * Drops the cached results of days, for every aggregation.
+ * Called after statements were erased from those days.
+ * @param {string[]} days - Day keys
+ * @returns {number} Number of cached results dropped
+ */
+export function forgetCachedDays(days) {
+    const forgotten = new Set(days);
+    let dropped = 0;
+    for (const cacheKey of [...cache.keys()]) {
+        if (forgotten.has(cacheKey.slice(0, cacheKey.indexOf("|")))) {
+            uncacheDay(cacheKey);
+            dropped++;
+        }
+    }
+    return dropped;
+}
+
+/**
+ * Aggregates statements over the query's days.
+ * Voided statements are not counted.
+ * @param {object} query - Parsed aggregation (from parseAggregateQuery); classrooms restricts registrations
+ * @param {{signal?: AbortSignal, now?: Date}} [options] - signal cancels the storage reads
+ * @returns {Promise<{from: string, to: string, timeZone: string, groupBy: string[], total: number,
+ *   groups: Array<{key: object, count: number}>, truncated: boolean, days: number, cachedDays: number}>}
+ */
+export async function aggregateStatements(query, options = {}) {
+    const today = dayKey(options.now || new Date());
+    const voided = await getVoidedIds();
+    const voidedFingerprint = createHash("sha256").update([...voided.keys()].sort().join("\n")).digest("hex");
+    const aggregation = JSON.stringify([query.groupBy, query.filters, query.classrooms || null]);
+
+    let total = 0;
+    let days = 0;
+    let cachedDays = 0;
+    const counts = new Map();
+
+    for (let day = query.from; day <= query.to; day = addDays(day, 1)) {
+        options.signal?.throwIfAborted();
+        days++;
+        if (day > today) {
+            continue;
+        }
+
+        let result;
+        if (day < today) {
+            // Closed day: reuse the cached result while its files are unchanged
+            const cacheKey = `${day}|${aggregation}`;
+            const fingerprint = await dayFingerprint(day, voidedFingerprint);
+            const cached = cache.get(cacheKey);
+            if (cached && cached.fingerprint === fingerprint) {
+                result = cached.result;
+                cachedDays++;
+            } else {
+                result = await aggregateDay(day, query, voided, options);
+            }
+            cacheDay(cacheKey, { fingerprint, result });
+        } else {
+            result = await aggregateDay(day, query, voided, options);
+        }
+
+        total += result.total;
+        for (const [key, count] of result.counts) {
+            counts.set(key, (counts.get(key) || 0) + count);
+        }
+    }
+
+    // Timelines in time order, anything else most frequent first
+    const chronological = query.groupBy[0] === "day" || query.groupBy[0] === "hour";
+    const entries = [...counts].sort(chronological
+        ? (a, b) => a[0].localeCompare(b[0])
+        : (a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+    return {
+        from: query.from,
+        to: query.to,
+        timeZone: getPartitionTimeZone(),
+        groupBy: query.groupBy,
+        total,
+        groups: entries.slice(0, query.limit).map(([key, count]) => {
+            const values = JSON.parse(key);
+            return { key: Object.fromEntries(query.groupBy.map((d, i) => [d, values[i]])), count };
+        }),
+        truncated: entries.length > query.limit,
+        days,
+        cachedDays,
+    };
+}
@@ -0,0 +1,238 @@
+/**
+ * API credentials and scopes for /api/xapi and /metrics.
+ *
+ * Credentials are either named tokens from a credential store file
+ * (CREDENTIALS_FILE) or HMAC-signed JWTs (HS256, JWT_SECRET).
+ * Each credential carries scopes and may be bound to origins and classrooms
+ * (classroom ids are matched against context.registration).
+ * Without a credential store, TOKEN acts as a single credential with the
+ * statement and stats scopes (DEFAULT_TOKEN_SCOPES). It is shared by every
+ * device, so admin scopes are only granted by the credential store or JWTs.
+ *
+ * Credential store format:
+ * {
+ *   "credentials": [
+ *     { "name": "class-3a-devices", "token": "...", "scopes": ["statements:write"],
+ *       "origins": ["https://makecode.example"], "classrooms": ["<registration uuid>"] },
+ *     { "name": "teacher-dashboard", "tokenSha256": "<hex>", "scopes": ["statements:read", "stats:read"] }
+ *   ]
+ * }
+ */
+
+import fs from "fs";
+import { createHash, createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Known scopes.
+ */
+export const SCOPES = ["statements:write", "statements:read", "stats:read", "documents:read", "documents:write", "data:erase", "metrics:read", "forwarding:manage"];
+
+/**
+ * Scopes of the credential created from the TOKEN environment variable.
+ */
+const DEFAULT_TOKEN_SCOPES = ["statements:write", "statements:read", "stats:read"];
+
+/**
+ * Name of the credential created from the TOKEN environment variable.
+ */
+const DEFAULT_CREDENTIAL_NAME = "default";
+
+/**
+ * Loaded credentials, keyed by SHA-256 of the token.
+ */
+let credentialsByHash = new Map();
+
+/**
+ * JWT verification secret (HS256), if enabled.
+ */
+let jwtSecret = null;
+
+/**
+ * Computes the SHA-256 hex digest of a token.
+ * @param {string} token - Token
+ * @returns {string}
+ */
+function sha256(token) {
+    return createHash("sha256").update(token, "utf8").digest("hex");
+}
+
+/**
+ * Normalizes a credential definition.
+ * @param {object} def - Credential definition
+ * @returns {{name: string, scopes: string[], origins: string[]|null, classrooms: string[]|null}}
+ */
+function normalizeCredential(def) {
+    const scopes = Array.isArray(def.scopes) ? def.scopes : String(def.scope || "").split(/\s+/).filter(Boolean);
+    const unknown = scopes.filter(s => !SCOPES.includes(s));
+    if (unknown.length > 0) {
+        throw new Error(`Credential ${def.name || def.sub}: unknown scope(s) ${unknown.join(", ")}`);
+    }
+    return {
+        name: String(def.name || def.sub),
+        scopes,
+        origins: Array.isArray(def.origins) && def.origins.length > 0 ? def.origins : null,
+        classrooms: Array.isArray(def.classrooms) && def.classrooms.length > 0 ? def.classrooms : null,
+    };
+}
+
+/**
+ * Loads the credential store.
+ * @param {{credentialsFile?: string, token?: string, jwtSecret?: string}} options
+ * @returns {{credentials: number, jwt: boolean}} Summary for logging
+ */
+export function configureAuth(options) {
+    credentialsByHash = new Map();
+    jwtSecret = options.jwtSecret || null;
+
+    if (options.credentialsFile) {
+        const content = JSON.parse(fs.readFileSync(options.credentialsFile, "utf8"));
+        for (const def of content.credentials || []) {
+            if (!def.name || (!def.token && !def.tokenSha256)) {
+                throw new Error("Each credential needs a name and a token or tokenSha256");
+            }
+            // Compared as 32 byte buffers, so anything else must fail here, not per request
+            if (def.tokenSha256 && !/^[0-9a-f]{64}$/i.test(def.tokenSha256)) {
+                throw new Error(`Credential ${def.name}: tokenSha256 must be 64 hex characters`);
+            }
+            const hash = def.tokenSha256 ? def.tokenSha256.toLowerCase() : sha256(def.token);
+            credentialsByHash.set(hash, normalizeCredential(def));
+        }
+    } else if (options.token) {
+        credentialsByHash.set(sha256(options.token), normalizeCredential({
+            name: DEFAULT_CREDENTIAL_NAME,
+            scopes: DEFAULT_TOKEN_SCOPES,
+        }));
+    }
+
+    return { credentials: credentialsByHash.size, jwt: Boolean(jwtSecret) };
+}
+
+/**
+ * Verifies an HS256 JWT and returns its credential (marked with jwt: true).
+ * Claims: sub (credential name), scope (space separated), exp, origins, classrooms.
+ * @param {string} token - Compact JWT
+ * @returns {object|null} Credential, or null if invalid or expired
+ */
+function verifyJwt(token) {
+    const parts = token.split(".");
+    if (!jwtSecret || parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        const header = JSON.parse(Buffer.from(parts[0], "base64url").toString("utf8"));
+        if (header.alg !== "HS256") {
+            return null;
+        }
+
+        const expected = createHmac("sha256", jwtSecret).update(`${parts[0]}.${parts[1]}`).digest();
+        const signature = Buffer.from(parts[2], "base64url");
+        if (signature.length !== expected.length || !timingSafeEqual(signature, expected)) {
+            return null;
+        }
+
+        const claims = JSON.parse(Buffer.from(parts[1], "base64url").toString("utf8"));
+        const now = Math.floor(Date.now() / 1000);
+        if (!claims.sub || typeof claims.exp !== "number" || claims.exp <= now) {
+            return null;
+        }
+        if (typeof claims.nbf === "number" && claims.nbf > now) {
+            return null;
+        }
+        return { ...normalizeCredential(claims), jwt: true };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Resolves the credential for a presented token.
+ * @param {string} token - Token from the request
+ * @returns {object|null} Credential, or null if unknown
+ */
+function resolveCredential(token) {
+    const hash = sha256(token);
+    for (const [known, credential] of credentialsByHash) {
+        if (timingSafeEqual(Buffer.from(known, "hex"), Buffer.from(hash, "hex"))) {
+            return credential;
+        }
+    }
+    return verifyJwt(token);
+}
+
+/**
+ * Checks whether an origin matches a pattern list ("http://localhost:*" style wildcards).
+ * @param {string} origin - Request origin
+ * @param {string[]} patterns - Allowed origins
+ * @returns {boolean}
+ */
+export function originAllowed(origin, patterns) {
+    return patterns.some(pat => {
+        if (pat.endsWith(":*")) {
+            return origin.startsWith(pat.slice(0, -2));
+        }
+        return origin === pat;
+    });
+}
+
+/**
+ * Authentication middleware.
+ * Reads the token from X-Telemetry-Token (or Authorization: Bearer) and sets
+ * req.credential. Responds 401 for missing/unknown tokens and 403 when the
+ * credential is bound to other origins.
+ * @returns {import("express").RequestHandler}
+ */
+export function authenticate() {
+    return (req, res, next) => {
+        const bearer = (req.header("authorization") || "").match(/^Bearer\s+(.+)$/i);
+        const token = req.header("x-telemetry-token") || bearer?.[1];
+        const credential = token ? resolveCredential(token) : null;
+
+        if (!credential) {
+            return res.sendStatus(401);
+        }
+
+        if (credential.origins) {
+            const origin = req.header("origin");
+            if (!origin || !originAllowed(origin, credential.origins)) {
+                return res.status(403).json({
+                    error: "Forbidden",
+                    details: [`Credential ${credential.name} is not allowed from origin ${origin || "(none)"}`],
+                });
+            }
+        }
+
+        req.credential = credential;
+        next();
+    };
+}
+
+/**
+ * Creates a middleware that requires a scope on the authenticated credential.
+ * @param {string} scope - Required scope
+ * @returns {import("express").RequestHandler}
+ */
+export function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.credential?.scopes.includes(scope)) {
+            return res.status(403).json({
+                error: "Forbidden",
+                details: [`Scope ${scope} is required`],
+            });
+        }
+        next();
+    };
+}
+
+/**
+ * Checks whether a credential may access a statement's classroom.
+ * @param {object} credential - Authenticated credential
+ * @param {object} statement - The xAPI Statement
+ * @returns {boolean}
+ */
+export function classroomAllowed(credential, statement) {
+    if (!credential?.classrooms) {
+        return true;
+    }
+    return credential.classrooms.includes(statement.context?.registration);
+}
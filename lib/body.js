@@ -0,0 +1,240 @@
+/**
+ * Request body parsing with Content-Encoding support.
+ * Decompresses gzip / deflate / br bodies before JSON parsing, enforcing the
+ * body limit on both the compressed and the decompressed size (zip bomb guard).
+ */
+
+import zlib from "zlib";
+import { promisify } from "util";
+
+/**
+ * Decoders for supported Content-Encoding values.
+ */
+const DECODERS = {
+    gzip: promisify(zlib.gunzip),
+    "x-gzip": promisify(zlib.gunzip),
+    deflate: promisify(zlib.inflate),
+    br: promisify(zlib.brotliDecompress),
+};
+
+/**
+ * Size units accepted by parseSize.
+ */
+const SIZE_UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024,
+};
+
+/**
+ * Parses a human readable size ("10mb", "512kb", "1048576") into bytes.
+ * @param {string|number} value - Size value
+ * @returns {number} Size in bytes
+ */
+export function parseSize(value) {
+    if (typeof value === "number") {
+        return value;
+    }
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+    if (!match) {
+        throw new Error(`Invalid size: ${value}`);
+    }
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || "b"]);
+}
+
+/**
+ * Parses the Content-Encoding header into a list of codings (in applied order).
+ * @param {string|undefined} header - Content-Encoding header value
+ * @returns {string[]} Codings, excluding identity
+ */
+function parseEncodings(header) {
+    return (header || "")
+        .split(",")
+        .map(s => s.trim().toLowerCase())
+        .filter(s => s && s !== "identity");
+}
+
+/**
+ * Reads the raw request body up to a byte limit.
+ * @param {import("http").IncomingMessage} req - Request stream
+ * @param {number} limit - Maximum number of bytes
+ * @returns {Promise<Buffer>}
+ */
+function readRaw(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        let done = false;
+
+        const finish = (error, value) => {
+            if (done) return;
+            done = true;
+            req.off("data", onData);
+            req.off("end", onEnd);
+            req.off("error", onError);
+            if (error) {
+                // Drain the rest so the connection can still send a response
+                req.resume();
+                reject(error);
+            } else {
+                resolve(value);
+            }
+        };
+
+        const onData = (chunk) => {
+            received += chunk.length;
+            if (received > limit) {
+                finish(httpError(413, "Payload too large", `Request body exceeds ${limit} bytes`));
+                return;
+            }
+            chunks.push(chunk);
+        };
+        const onEnd = () => finish(null, Buffer.concat(chunks));
+        const onError = (error) => finish(error);
+
+        req.on("data", onData);
+        req.on("end", onEnd);
+        req.on("error", onError);
+    });
+}
+
+/**
+ * Creates an error carrying an HTTP status for the JSON error response.
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error title
+ * @param {string} detail - Error detail
+ * @returns {Error}
+ */
+function httpError(status, message, detail) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = [detail];
+    return error;
+}
+
+/**
+ * Decompresses a buffer according to its Content-Encoding codings.
+ * @param {Buffer} buffer - Encoded body
+ * @param {string[]} encodings - Codings in the order they were applied
+ * @param {number} limit - Maximum decompressed size in bytes
+ * @returns {Promise<Buffer>}
+ */
+async function decode(buffer, encodings, limit) {
+    let data = buffer;
+    // Codings are listed in the order applied, so undo them in reverse
+    for (const encoding of [...encodings].reverse()) {
+        try {
+            data = await DECODERS[encoding](data, { maxOutputLength: limit });
+        } catch (error) {
+            if (error.code === "ERR_BUFFER_TOO_LARGE" || error instanceof RangeError) {
+                throw httpError(413, "Payload too large", `Decompressed body exceeds ${limit} bytes`);
+            }
+            throw httpError(400, "Invalid request body", `Failed to decode ${encoding} body: ${error.message}`);
+        }
+    }
+    return data;
+}
+
+/**
+ * Reads and decodes the request body according to its Content-Encoding.
+ * @param {import("express").Request} req - Request
+ * @param {number} limit - Maximum (decompressed) size in bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readBody(req, limit) {
+    const encodings = parseEncodings(req.headers["content-encoding"]);
+    const unsupported = encodings.filter(e => !DECODERS[e]);
+    if (unsupported.length > 0) {
+        req.resume();
+        const error = httpError(415, "Unsupported Content-Encoding", `Unsupported encoding: ${unsupported.join(", ")}`);
+        error.details.push(`Supported encodings: identity, ${Object.keys(DECODERS).join(", ")}`);
+        throw error;
+    }
+
+    const raw = await readRaw(req, limit);
+    return decode(raw, encodings, limit);
+}
+
+/**
+ * Sends the JSON error response for a body parsing error.
+ * @param {Error} error - Error from readBody / JSON parsing
+ * @param {import("express").Response} res - Response
+ * @param {Function} next - Next middleware (for unexpected errors)
+ */
+function sendBodyError(error, res, next) {
+    if (!error.status) {
+        return next(error);
+    }
+    return res.status(error.status).json({
+        error: error.message,
+        details: error.details,
+    });
+}
+
+/**
+ * Creates a JSON body parser middleware that understands Content-Encoding.
+ * Responds 415 for unsupported encodings, 413 when the (decompressed) body
+ * exceeds the limit, and 400 for malformed JSON or a body that is not an
+ * object or array.
+ * @param {{limit?: string|number}} [options] - Parser options
+ * @returns {import("express").RequestHandler}
+ */
+export function jsonBody(options = {}) {
+    const limit = parseSize(options.limit || "10mb");
+
+    return async (req, res, next) => {
+        if (req._body) {
+            return next();
+        }
+        req.body = req.body || {};
+
+        if (!req.is("application/json")) {
+            return next();
+        }
+
+        try {
+            const text = (await readBody(req, limit)).toString("utf8");
+
+            let body;
+            try {
+                body = text.trim() ? JSON.parse(text) : {};
+            } catch (error) {
+                throw httpError(400, "Invalid JSON", error.message);
+            }
+            // Only objects and arrays, like the strict mode of express.json
+            if (typeof body !== "object" || body === null) {
+                throw httpError(400, "Invalid JSON", "Request body must be a JSON object or array");
+            }
+            req.body = body;
+            req._body = true;
+            next();
+        } catch (error) {
+            return sendBodyError(error, res, next);
+        }
+    };
+}
+
+/**
+ * Creates a raw body parser middleware that understands Content-Encoding.
+ * Sets req.body to a Buffer regardless of Content-Type (document resources).
+ * @param {{limit?: string|number}} [options] - Parser options
+ * @returns {import("express").RequestHandler}
+ */
+export function rawBody(options = {}) {
+    const limit = parseSize(options.limit || "10mb");
+
+    return async (req, res, next) => {
+        if (req._body) {
+            return next();
+        }
+
+        try {
+            req.body = await readBody(req, limit);
+            req._body = true;
+            next();
+        } catch (error) {
+            return sendBodyError(error, res, next);
+        }
+    };
+}
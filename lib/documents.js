@@ -0,0 +1,317 @@
+/**
+ * xAPI document resources: State, Activity Profile and Agent Profile.
+ * Builds storage keys, computes ETags, checks If-Match / If-None-Match and
+ * merges JSON documents on POST. Documents are stored through storage/index.js.
+ *
+ * Storage keys (identifiers are hashed so any IRI is a safe path segment):
+ *   state/{activityId}/{agent}/{registration or "none"}/{stateId}
+ *   activity-profile/{activityId}/{profileId}
+ *   agent-profile/{agent}/{profileId}
+ */
+
+import { createHash } from "crypto";
+import { getDocument, listDocuments, saveDocument, deleteDocument } from "../storage/index.js";
+import { AGENT_IFIS } from "./statement.js";
+
+/**
+ * Number of attempts for a POST merge racing with other writers.
+ */
+const MERGE_ATTEMPTS = 5;
+
+/**
+ * Hashes an identifier into a key segment.
+ * @param {string} value - Identifier
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function keySegment(value) {
+    return createHash("sha256").update(value, "utf8").digest("hex");
+}
+
+/**
+ * Builds the key segment identifying an Agent by its inverse functional identifier.
+ * @param {object} agent - Agent
+ * @returns {string}
+ */
+function agentSegment(agent) {
+    const ifi = AGENT_IFIS.find(k => agent[k] !== undefined);
+    const value = ifi === "account" ? { homePage: agent.account.homePage, name: agent.account.name } : agent[ifi];
+    return keySegment(JSON.stringify([ifi, value]));
+}
+
+/**
+ * Builds the key prefix of the State documents of an activity, agent and registration.
+ * @param {string} activityId - Activity id
+ * @param {object} agent - Agent
+ * @param {string} [registration] - Registration UUID
+ * @returns {string} Key prefix ending with "/"
+ */
+export function stateKeyPrefix(activityId, agent, registration) {
+    const reg = registration ? registration.toLowerCase() : "none";
+    return `state/${keySegment(activityId)}/${agentSegment(agent)}/${reg}/`;
+}
+
+/**
+ * Builds the key prefix of the Activity Profile documents of an activity.
+ * @param {string} activityId - Activity id
+ * @returns {string} Key prefix ending with "/"
+ */
+export function activityProfileKeyPrefix(activityId) {
+    return `activity-profile/${keySegment(activityId)}/`;
+}
+
+/**
+ * Builds the key prefix of the Agent Profile documents of an agent.
+ * @param {object} agent - Agent
+ * @returns {string} Key prefix ending with "/"
+ */
+export function agentProfileKeyPrefix(agent) {
+    return `agent-profile/${agentSegment(agent)}/`;
+}
+
+/**
+ * Builds the key of a document below a prefix.
+ * @param {string} prefix - Key prefix
+ * @param {string} id - stateId or profileId
+ * @returns {string}
+ */
+export function documentKey(prefix, id) {
+    return `${prefix}${keySegment(id)}`;
+}
+
+/**
+ * Computes the ETag of a document's content (quoted SHA-1, as xAPI recommends).
+ * @param {Buffer} content - Document content
+ * @returns {string}
+ */
+export function computeEtag(content) {
+    return `"${createHash("sha1").update(content).digest("hex")}"`;
+}
+
+/**
+ * Parses an If-Match / If-None-Match header into a list of ETags.
+ * Weak validators are compared by their opaque tag.
+ * @param {string|undefined} header - Header value
+ * @returns {string[]|null} ETags ("*" included as is), or null if the header is absent
+ */
+export function parseEtagList(header) {
+    if (!header) {
+        return null;
+    }
+    return header.split(",")
+        .map(s => s.trim().replace(/^W\//, ""))
+        .filter(Boolean);
+}
+
+/**
+ * Checks If-Match / If-None-Match against the stored document.
+ * @param {object|null} current - Stored document
+ * @param {{ifMatch?: string[]|null, ifNoneMatch?: string[]|null}} conditions - Parsed headers
+ * @returns {boolean} true if the request may proceed
+ */
+function preconditionsMet(current, conditions) {
+    if (conditions.ifMatch) {
+        if (!current) {
+            return false;
+        }
+        if (!conditions.ifMatch.includes("*") && !conditions.ifMatch.includes(current.etag)) {
+            return false;
+        }
+    }
+    if (conditions.ifNoneMatch && current) {
+        if (conditions.ifNoneMatch.includes("*") || conditions.ifNoneMatch.includes(current.etag)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Checks whether a Content-Type is JSON.
+ * @param {string} contentType - Content-Type
+ * @returns {boolean}
+ */
+function isJsonType(contentType) {
+    return /^application\/json\s*(;|$)/i.test(contentType || "");
+}
+
+/**
+ * Parses a JSON document that can be merged (a JSON object).
+ * @param {Buffer} content - Document content
+ * @returns {object|null} The object, or null if the content is not a JSON object
+ */
+function parseJsonObject(content) {
+    try {
+        const value = JSON.parse(content.toString("utf8"));
+        return value && typeof value === "object" && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Builds a stored document record.
+ * @param {string} id - stateId or profileId
+ * @param {Buffer} content - Document content
+ * @param {string} contentType - Content-Type
+ * @returns {{id: string, contentType: string, etag: string, updated: string, content: Buffer}}
+ */
+function createDocument(id, content, contentType) {
+    return {
+        id,
+        contentType,
+        etag: computeEtag(content),
+        updated: new Date().toISOString(),
+        content,
+    };
+}
+
+/**
+ * Lists the ids of the documents under a prefix.
+ * @param {string} prefix - Key prefix
+ * @param {Date} [since] - Only documents updated after this time
+ * @returns {Promise<string[]>}
+ */
+export async function listDocumentIds(prefix, since) {
+    const documents = await listDocuments(prefix);
+    return documents
+        .filter(d => !since || new Date(d.updated) > since)
+        .map(d => d.id);
+}
+
+/**
+ * Stores a document, replacing any existing one (PUT).
+ * @param {string} key - Document key
+ * @param {string} id - stateId or profileId
+ * @param {Buffer} content - Document content
+ * @param {string} contentType - Content-Type
+ * @param {{ifMatch?: string[]|null, ifNoneMatch?: string[]|null, requirePrecondition?: boolean}} conditions
+ *   Parsed headers; requirePrecondition makes replacing an existing document without them a conflict
+ * @returns {Promise<{success: boolean, etag?: string, preconditionFailed?: boolean, conflict?: boolean, error?: string}>}
+ */
+export async function putDocument(key, id, content, contentType, conditions) {
+    if (isJsonType(contentType)) {
+        try {
+            JSON.parse(content.toString("utf8"));
+        } catch (error) {
+            return { success: false, error: `Invalid JSON document: ${error.message}` };
+        }
+    }
+
+    const current = await getDocument(key);
+    if (!preconditionsMet(current, conditions)) {
+        return { success: false, preconditionFailed: true };
+    }
+    if (current && conditions.requirePrecondition && !conditions.ifMatch && !conditions.ifNoneMatch) {
+        return { success: false, conflict: true };
+    }
+
+    const document = createDocument(id, content, contentType);
+    const result = await saveDocument(key, document, current ? current.etag : null);
+    if (!result.success) {
+        return { success: false, preconditionFailed: true };
+    }
+    return { success: true, etag: document.etag };
+}
+
+/**
+ * Stores a document, merging JSON objects into an existing JSON document (POST).
+ * Top-level properties of the new document replace those of the stored one.
+ * Retries when another writer changes the document in between.
+ * @param {string} key - Document key
+ * @param {string} id - stateId or profileId
+ * @param {Buffer} content - Document content
+ * @param {string} contentType - Content-Type
+ * @param {{ifMatch?: string[]|null, ifNoneMatch?: string[]|null}} conditions - Parsed headers
+ * @returns {Promise<{success: boolean, etag?: string, preconditionFailed?: boolean, error?: string}>}
+ */
+export async function postDocument(key, id, content, contentType, conditions) {
+    const incoming = isJsonType(contentType) ? parseJsonObject(content) : null;
+    if (isJsonType(contentType) && !incoming) {
+        return { success: false, error: "JSON documents must be JSON objects to be merged" };
+    }
+
+    for (let attempt = 0; attempt < MERGE_ATTEMPTS; attempt++) {
+        const current = await getDocument(key);
+        if (!preconditionsMet(current, conditions)) {
+            return { success: false, preconditionFailed: true };
+        }
+
+        let document;
+        if (!current) {
+            document = createDocument(id, content, contentType);
+        } else {
+            const stored = isJsonType(current.contentType) ? parseJsonObject(current.content) : null;
+            if (!stored || !incoming) {
+                return { success: false, error: "Both the stored and the new document must be JSON objects to be merged" };
+            }
+            const merged = Buffer.from(JSON.stringify({ ...stored, ...incoming }), "utf8");
+            document = createDocument(id, merged, "application/json");
+        }
+
+        const result = await saveDocument(key, document, current ? current.etag : null);
+        if (result.success) {
+            return { success: true, etag: document.etag };
+        }
+    }
+
+    return { success: false, preconditionFailed: true };
+}
+
+/**
+ * Deletes a single document.
+ * @param {string} key - Document key
+ * @param {{ifMatch?: string[]|null, ifNoneMatch?: string[]|null}} conditions - Parsed headers
+ * @returns {Promise<{success: boolean, preconditionFailed?: boolean}>}
+ */
+export async function removeDocument(key, conditions) {
+    const current = await getDocument(key);
+    if (!preconditionsMet(current, conditions)) {
+        return { success: false, preconditionFailed: true };
+    }
+    if (!current) {
+        return { success: true };
+    }
+
+    const result = await deleteDocument(key, current.etag);
+    return result.preconditionFailed ? { success: false, preconditionFailed: true } : { success: true };
+}
+
+/**
+ * Deletes all documents under a prefix (DELETE of State without stateId).
+ * @param {string} prefix - Key prefix
+ * @returns {Promise<number>} Number of deleted documents
+ */
+export async function removeDocuments(prefix) {
+    let deleted = 0;
+    for (const { key } of await listDocuments(prefix)) {
+        const result = await deleteDocument(key);
+        if (result.success) {
+            deleted++;
+        }
+    }
+    return deleted;
+}
+
+/**
+ * Deletes the State documents of an agent (any activity and registration)
+ * or of a registration (any activity and agent), for learner data erasure.
+ * @param {{agent?: object, registration?: string}} criteria - Agent or registration
+ * @returns {Promise<number>} Number of deleted documents
+ */
+export async function removeStateDocuments(criteria) {
+    const agent = criteria.agent ? agentSegment(criteria.agent) : null;
+    const registration = criteria.registration ? criteria.registration.toLowerCase() : null;
+
+    let deleted = 0;
+    for (const { key } of await listDocuments("state/", { recursive: true })) {
+        // state/{activityId}/{agent}/{registration}/{stateId}
+        const [, , agentPart, registrationPart] = key.split("/");
+        if ((agent && agentPart === agent) || (registration && registrationPart === registration)) {
+            const result = await deleteDocument(key);
+            if (result.success) {
+                deleted++;
+            }
+        }
+    }
+    return deleted;
+}
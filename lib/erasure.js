@@ -0,0 +1,132 @@
+/**
+ * Learner data erasure.
+ * Removes every statement involving an agent (or belonging to a registration)
+ * from all stored files, the forwarding queues and the live replay buffer,
+ * drops the cached aggregations of the affected days, deletes the matching State
+ * (and Agent Profile) documents, writes an audit record and returns a report.
+ */
+
+import { createHash, randomUUID } from "crypto";
+import { eraseStatements, appendAuditRecord } from "../storage/index.js";
+import { agentMatches } from "./query.js";
+import { AGENT_IFIS } from "./statement.js";
+import { validateAgent, isValidUUID } from "./validation.js";
+import { pseudonymizeQueryAgent, forgetPseudonym } from "./privacy.js";
+import { agentProfileKeyPrefix, removeDocuments, removeStateDocuments } from "./documents.js";
+import { purgeForwardQueue } from "./forward.js";
+import { forgetLiveEvents } from "./live.js";
+import { forgetCachedDays } from "./analytics.js";
+
+/**
+ * Name of the audit log erasures are recorded in.
+ */
+const AUDIT_LOG = "erasure";
+
+/**
+ * Parses an erasure request body: { agent: {...} } or { registration: "<uuid>" }.
+ * @param {object} body - Request body
+ * @returns {{errors: string[], criteria: {agent?: object, registration?: string}}}
+ */
+export function parseErasureRequest(body) {
+    const errors = [];
+    const criteria = {};
+
+    if ((body.agent === undefined) === (body.registration === undefined)) {
+        errors.push("Exactly one of agent or registration is required");
+        return { errors, criteria };
+    }
+
+    if (body.agent !== undefined) {
+        const result = validateAgent(body.agent, "/agent");
+        errors.push(...result.errors.map(e => `${e.path} ${e.message}`));
+        if (result.valid && !AGENT_IFIS.some(k => body.agent[k] !== undefined)) {
+            errors.push("agent must have an inverse functional identifier");
+        }
+        criteria.agent = body.agent;
+    } else if (!isValidUUID(body.registration)) {
+        errors.push("registration must be a UUID");
+    } else {
+        criteria.registration = body.registration.toLowerCase();
+    }
+
+    return { errors, criteria };
+}
+
+/**
+ * Checks whether a statement (or SubStatement) involves an agent anywhere.
+ * @param {object} statement - The xAPI Statement
+ * @param {object} agent - Agent as stored (pseudonymized if enabled)
+ * @returns {boolean}
+ */
+function involvesAgent(statement, agent) {
+    const candidates = [statement.actor, statement.authority, statement.context?.instructor, statement.context?.team];
+    if (["Agent", "Group"].includes(statement.object?.objectType)) {
+        candidates.push(statement.object);
+    }
+    if (candidates.some(c => agentMatches(c, agent))) {
+        return true;
+    }
+    return statement.object?.objectType === "SubStatement" && involvesAgent(statement.object, agent);
+}
+
+/**
+ * Builds the predicate selecting the statements to erase.
+ * @param {{agent?: object, registration?: string}} criteria - Parsed criteria
+ * @returns {(statement: object) => boolean}
+ */
+function erasurePredicate(criteria) {
+    if (criteria.agent) {
+        const stored = pseudonymizeQueryAgent(criteria.agent);
+        return statement => involvesAgent(statement, stored);
+    }
+    return statement => statement.context?.registration?.toLowerCase() === criteria.registration;
+}
+
+/**
+ * Erases a learner's data and records the erasure in the audit log.
+ * The audit record identifies the subject only by a hash of the (stored) criteria.
+ * @param {{agent?: object, registration?: string}} criteria - Parsed criteria
+ * @param {string} requestedBy - Credential name of the requester
+ * @returns {Promise<object>} Erasure report
+ */
+export async function eraseLearnerData(criteria, requestedBy) {
+    const requestedAt = new Date().toISOString();
+    const predicate = erasurePredicate(criteria);
+    const result = await eraseStatements(predicate);
+    const queued = await purgeForwardQueue(predicate);
+    const liveEvents = forgetLiveEvents(predicate);
+    // Cached day counts would still include the erased statements (and pseudonyms)
+    forgetCachedDays(result.days);
+
+    const report = {
+        id: randomUUID(),
+        requestedAt,
+        requestedBy,
+        criteria: criteria.agent ? "agent" : "registration",
+        removed: result.removed,
+        files: result.files,
+        forwardQueue: queued.removed,
+        liveEvents,
+        stateDocuments: await removeStateDocuments(criteria),
+        agentProfiles: 0,
+        pseudonymRecord: false,
+    };
+
+    if (criteria.agent) {
+        report.agentProfiles = await removeDocuments(agentProfileKeyPrefix(criteria.agent));
+        const stored = pseudonymizeQueryAgent(criteria.agent);
+        if (stored.account && stored.account.name !== criteria.agent.account.name) {
+            report.pseudonymRecord = await forgetPseudonym(stored.account.name);
+        }
+    }
+    report.completedAt = new Date().toISOString();
+
+    const subject = criteria.agent ? pseudonymizeQueryAgent(criteria.agent) : criteria.registration;
+    report.audit = await appendAuditRecord(AUDIT_LOG, {
+        ...report,
+        subjectSha256: createHash("sha256").update(JSON.stringify(subject)).digest("hex"),
+    });
+
+    console.log(`[erasure] ${report.id}: removed ${report.removed} statement(s) from ${report.files.length} file(s) (requested by ${requestedBy})`);
+    return report;
+}
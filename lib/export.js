@@ -0,0 +1,202 @@
+/**
+ * Tabular export of statements (CSV / TSV).
+ * Statements are flattened to one row each through a column mapping: named
+ * columns (actor, verb, objectId, ...), extension values (ext:<IRI>) and
+ * dotted paths into the statement (result.score.raw). A column may be renamed
+ * with "header=column", e.g. "student=actor".
+ */
+
+/**
+ * Supported output types.
+ */
+export const EXPORT_TYPES = {
+    csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+    tsv: { contentType: "text/tab-separated-values; charset=utf-8", extension: "tsv" },
+};
+
+/**
+ * Maximum number of days one export may span.
+ */
+export const MAX_EXPORT_DAYS = 366;
+
+/**
+ * Columns exported when no mapping is given.
+ */
+export const DEFAULT_COLUMNS = ["id", "timestamp", "actor", "verb", "objectId", "objectType", "registration", "ingestTime"];
+
+/**
+ * Maximum number of columns in a mapping.
+ */
+const MAX_COLUMNS = 100;
+
+/**
+ * Prefix of extension columns.
+ */
+const EXTENSION_PREFIX = "ext:";
+
+/**
+ * Gets the last segment of an IRI (after the last "/", ":" or "#").
+ * @param {string|undefined} iri - IRI
+ * @returns {string|undefined}
+ */
+function shortName(iri) {
+    return typeof iri === "string" ? iri.split(/[/:#]/).filter(Boolean).pop() : undefined;
+}
+
+/**
+ * Named columns.
+ */
+const NAMED_COLUMNS = {
+    id: s => s.id,
+    timestamp: s => s.timestamp,
+    stored: s => s.stored,
+    actor: s => s.actor?.account?.name ?? s.actor?.mbox ?? s.actor?.mbox_sha1sum ?? s.actor?.openid,
+    actorHomePage: s => s.actor?.account?.homePage,
+    verb: s => shortName(s.verb?.id),
+    verbId: s => s.verb?.id,
+    objectId: s => s.object?.id,
+    objectType: s => s.object?.definition?.type ?? s.object?.objectType,
+    registration: s => s.context?.registration,
+    success: s => s.result?.success,
+    completion: s => s.result?.completion,
+    score: s => s.result?.score?.scaled,
+    response: s => s.result?.response,
+    duration: s => s.result?.duration,
+    ingestTime: s => s._meta?.ingestTime,
+    credential: s => s._meta?.credential,
+};
+
+/**
+ * Gets an extension value, looking in result, context and activity definition extensions.
+ * @param {object} statement - The xAPI Statement
+ * @param {string} iri - Extension IRI
+ * @returns {*}
+ */
+function extensionValue(statement, iri) {
+    for (const extensions of [
+        statement.result?.extensions,
+        statement.context?.extensions,
+        statement.object?.definition?.extensions,
+    ]) {
+        if (extensions && Object.hasOwn(extensions, iri)) {
+            return extensions[iri];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Gets a value by dotted path (array elements by index, e.g. context.contextActivities.parent.0.id).
+ * @param {object} statement - The xAPI Statement
+ * @param {string[]} keys - Path segments
+ * @returns {*}
+ */
+function pathValue(statement, keys) {
+    let value = statement;
+    for (const key of keys) {
+        if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) {
+            return undefined;
+        }
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Parses a column mapping.
+ * @param {string|undefined} spec - Comma separated columns (default DEFAULT_COLUMNS)
+ * @returns {{errors: string[], columns: Array<{header: string, get: (statement: object) => *}>}}
+ */
+export function parseColumns(spec) {
+    const errors = [];
+    const columns = [];
+    const entries = spec === undefined ? DEFAULT_COLUMNS : String(spec).split(",").map(s => s.trim()).filter(Boolean);
+
+    if (entries.length === 0) {
+        errors.push("columns must name at least one column");
+    } else if (entries.length > MAX_COLUMNS) {
+        errors.push(`Maximum ${MAX_COLUMNS} columns`);
+    }
+
+    for (const entry of entries.slice(0, MAX_COLUMNS)) {
+        // "header=column"; IRIs may contain "=" too, so a header never has ":" or "/"
+        const rename = entry.match(/^([^=:/]+)=(.+)$/);
+        const header = rename ? rename[1].trim() : entry;
+        const column = rename ? rename[2].trim() : entry;
+
+        if (Object.hasOwn(NAMED_COLUMNS, column)) {
+            columns.push({ header, get: NAMED_COLUMNS[column] });
+        } else if (column.startsWith(EXTENSION_PREFIX) && column.length > EXTENSION_PREFIX.length) {
+            const iri = column.slice(EXTENSION_PREFIX.length);
+            columns.push({ header, get: s => extensionValue(s, iri) });
+        } else if (column.includes(".")) {
+            const keys = column.split(".");
+            columns.push({ header, get: s => pathValue(s, keys) });
+        } else {
+            errors.push(`Unknown column: ${column} (use one of ${Object.keys(NAMED_COLUMNS).join(", ")}, ext:<IRI> or a dotted path)`);
+        }
+    }
+
+    return { errors, columns };
+}
+
+/**
+ * Characters a spreadsheet reads as the start of a formula.
+ */
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Formats a cell value as text (objects as JSON, missing values as empty).
+ * Strings that a spreadsheet would run as a formula (learner input such as
+ * result.response) get a leading "'"; numbers are left as they are.
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function cellText(value) {
+    if (value === undefined || value === null) {
+        return "";
+    }
+    if (typeof value === "string") {
+        return FORMULA_PREFIX.test(value) ? `'${value}` : value;
+    }
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats one row.
+ * CSV follows RFC 4180 (quoted when needed). TSV cannot escape, so tabs and
+ * line breaks inside values are replaced with spaces.
+ * @param {Array<*>} values - Cell values
+ * @param {"csv"|"tsv"} type - Output type
+ * @returns {string} Row including the line break
+ */
+export function formatRow(values, type) {
+    if (type === "tsv") {
+        return `${values.map(v => cellText(v).replace(/[\t\r\n]+/g, " ")).join("\t")}\n`;
+    }
+    return `${values.map(v => {
+        const text = cellText(v);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+    }).join(",")}\r\n`;
+}
+
+/**
+ * Formats the header row of a column mapping.
+ * @param {Array<{header: string}>} columns - Columns
+ * @param {"csv"|"tsv"} type - Output type
+ * @returns {string}
+ */
+export function formatHeader(columns, type) {
+    return formatRow(columns.map(c => c.header), type);
+}
+
+/**
+ * Formats the row of a statement.
+ * @param {object} statement - The xAPI Statement
+ * @param {Array<{get: (statement: object) => *}>} columns - Columns
+ * @param {"csv"|"tsv"} type - Output type
+ * @returns {string}
+ */
+export function formatStatementRow(statement, columns, type) {
+    return formatRow(columns.map(c => c.get(statement)), type);
+}
@@ -0,0 +1,652 @@
+/**
+ * Forwarding of stored statements to upstream LRSs (edge collector mode).
+ * Statements are still written locally first; each newly stored batch is then
+ * queued on local disk for every configured target and sent asynchronously by
+ * a worker per target, oldest first.
+ *
+ * - 2xx: the queued batch is removed
+ * - 400, 409, 413, 422: the upstream rejected the batch; it is moved to the
+ *   dead-letter directory and can be requeued (POST /admin/forwarding/:target/requeue)
+ * - anything else (network errors, timeouts, 401/403/404 misconfiguration, 429, 5xx):
+ *   the target is retried with exponential backoff (Retry-After is honoured)
+ *   and the queue waits, so an offline network loses nothing
+ *
+ * Batches are POSTed as a JSON array of statements, as xAPI specifies. Another
+ * pxt-telemetry server only accepts { statements: [...] }; targets with
+ * "format": "pxt-telemetry" are sent that form.
+ *
+ * Queue files live under <queueDir>/<target>/pending and .../dead (on the local
+ * disk, also with the GCS backend) and survive restarts. Delivery is at least
+ * once: statements keep their ids, so a resent batch is accepted as a duplicate.
+ */
+
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { XAPI_VERSION } from "./version.js";
+import { recordForwardQueue, recordForwardAttempt, recordForwardDeadLetters } from "./metrics.js";
+
+/**
+ * Responses that reject the batch itself (moved to dead letters).
+ */
+const REJECTED_STATUSES = [400, 409, 413, 422];
+
+/**
+ * Request body formats of a target: a JSON array (xAPI) or { statements } (pxt-telemetry).
+ */
+const TARGET_FORMATS = ["xapi", "pxt-telemetry"];
+
+/**
+ * Target names become directory names and metric labels.
+ */
+const TARGET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Directories of a target's queue.
+ */
+const PENDING_DIR = "pending";
+const DEAD_DIR = "dead";
+
+/**
+ * Current settings.
+ */
+let settings = {
+    queueDir: null,
+    batchSize: 500,
+    timeoutSeconds: 30,
+    minBackoffSeconds: 1,
+    maxBackoffSeconds: 900,
+    maxAttempts: 0,
+};
+
+/**
+ * Configured targets with their queue state.
+ */
+let targets = [];
+
+/**
+ * Sequence number making queue file names unique within a millisecond.
+ */
+let fileSequence = 0;
+
+/**
+ * Builds the request headers of a target definition.
+ * @param {object} def - Target definition
+ * @returns {object}
+ */
+function targetHeaders(def) {
+    const headers = { ...(def.headers || {}) };
+    if (def.username !== undefined) {
+        headers.Authorization = `Basic ${Buffer.from(`${def.username}:${def.password ?? ""}`).toString("base64")}`;
+    } else if (def.token) {
+        headers.Authorization = `Bearer ${def.token}`;
+    }
+    return headers;
+}
+
+/**
+ * Parses the statement count from a queue file name ("<time>-<seq>-<count>.json").
+ * @param {string} name - File name
+ * @returns {number}
+ */
+function fileCount(name) {
+    return Number(name.match(/-(\d+)\.json$/)?.[1] || 0);
+}
+
+/**
+ * Lists the queue files of a directory, oldest first.
+ * @param {string} dir - Directory
+ * @returns {Array<{name: string, count: number}>}
+ */
+function listQueueFiles(dir) {
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith(".json"))
+        .sort()
+        .map(name => ({ name, count: fileCount(name) }));
+}
+
+/**
+ * Configures forwarding and loads the queues left by a previous run.
+ * The targets file is JSON: { "targets": [{ "name", "endpoint", "username"/"password" | "token", "headers", "format" }] }.
+ * endpoint is the xAPI base URL of the upstream LRS (statements are POSTed to <endpoint>/statements).
+ * @param {object} options
+ * @param {string} [options.targetsFile] - Targets file (forwarding is off without it)
+ * @param {string} options.queueDir - Queue directory
+ * @param {number} [options.batchSize] - Maximum statements per upstream request
+ * @param {number} [options.timeoutSeconds] - Upstream request timeout
+ * @param {number} [options.maxBackoffSeconds] - Maximum delay between retries
+ * @param {number} [options.maxAttempts] - Retries before a batch is dead-lettered (0: retry forever)
+ * @returns {{targets: string[], queued: number}} Summary for logging
+ */
+export function configureForward(options) {
+    stopForwarding();
+    settings = {
+        queueDir: options.queueDir,
+        batchSize: Math.max(1, options.batchSize || settings.batchSize),
+        timeoutSeconds: Math.max(1, options.timeoutSeconds || settings.timeoutSeconds),
+        minBackoffSeconds: settings.minBackoffSeconds,
+        maxBackoffSeconds: Math.max(1, options.maxBackoffSeconds || settings.maxBackoffSeconds),
+        maxAttempts: Math.max(0, options.maxAttempts || 0),
+    };
+    targets = [];
+
+    if (options.targetsFile) {
+        const content = JSON.parse(fs.readFileSync(options.targetsFile, "utf8"));
+        for (const def of content.targets || []) {
+            if (!def.name || !TARGET_NAME_PATTERN.test(def.name) || !def.endpoint) {
+                throw new Error("Each forwarding target needs a name (letters, digits, - and _) and an endpoint");
+            }
+            if (targets.some(t => t.name === def.name)) {
+                throw new Error(`Duplicate forwarding target: ${def.name}`);
+            }
+            if (def.format !== undefined && !TARGET_FORMATS.includes(def.format)) {
+                throw new Error(`Forwarding target ${def.name}: format must be one of ${TARGET_FORMATS.join(", ")}`);
+            }
+            const url = new URL(`${def.endpoint.replace(/\/+$/, "")}/statements`);
+            const dir = path.join(settings.queueDir, def.name);
+            fs.mkdirSync(path.join(dir, PENDING_DIR), { recursive: true });
+            fs.mkdirSync(path.join(dir, DEAD_DIR), { recursive: true });
+            targets.push({
+                name: def.name,
+                endpoint: def.endpoint,
+                url,
+                headers: targetHeaders(def),
+                format: def.format ?? "xapi",
+                dir,
+                pending: listQueueFiles(path.join(dir, PENDING_DIR)),
+                isolate: 0,
+                attempts: 0,
+                nextAttemptAt: null,
+                lastSuccessAt: null,
+                lastError: null,
+                sent: 0,
+                sending: false,
+                purging: false,
+                timer: null,
+            });
+        }
+    }
+
+    for (const target of targets) {
+        recordForwardQueue(target.name, queuedStatements(target));
+    }
+    return {
+        targets: targets.map(t => t.name),
+        queued: targets.reduce((sum, t) => sum + queuedStatements(t), 0),
+    };
+}
+
+/**
+ * Counts the statements waiting in a target's queue.
+ * @param {object} target - Target
+ * @returns {number}
+ */
+function queuedStatements(target) {
+    return target.pending.reduce((sum, entry) => sum + entry.count, 0);
+}
+
+/**
+ * Writes a file through a temporary file, so a crash never leaves a partial queue file.
+ * @param {string} filePath - Destination
+ * @param {string} content - Content
+ */
+async function writeFileAtomic(filePath, content) {
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, content);
+    await fs.promises.rename(tmpPath, filePath);
+}
+
+/**
+ * Prepares a stored statement for the upstream LRS: server metadata is removed,
+ * and a statement stored without an id gets one, so retries stay idempotent.
+ * @param {object} statement - Stored statement
+ * @returns {object}
+ */
+function toUpstream(statement) {
+    const { _meta, ...upstream } = statement;
+    upstream.id = upstream.id ?? randomUUID();
+    return upstream;
+}
+
+/**
+ * Queues newly stored statements for every target.
+ * Failures are logged and do not affect the local write.
+ * @param {object[]} statements - Statements as stored
+ * @returns {Promise<void>}
+ */
+export async function enqueueForward(statements) {
+    if (targets.length === 0 || statements.length === 0) {
+        return;
+    }
+    const content = JSON.stringify(statements.map(toUpstream));
+    const name = `${String(Date.now()).padStart(15, "0")}-${String(fileSequence++ % 1e6).padStart(6, "0")}-${statements.length}.json`;
+
+    for (const target of targets) {
+        try {
+            await writeFileAtomic(path.join(target.dir, PENDING_DIR, name), content);
+            target.pending.push({ name, count: statements.length });
+            recordForwardQueue(target.name, queuedStatements(target));
+            schedule(target, 0);
+        } catch (error) {
+            console.error(`[forward] ${target.name}: could not queue ${statements.length} statement(s):`, error.message);
+            target.lastError = { at: new Date().toISOString(), message: `Queue write failed: ${error.message}` };
+        }
+    }
+}
+
+/**
+ * Schedules a target's worker (no-op while it is sending, waiting for a retry or being purged).
+ * @param {object} target - Target
+ * @param {number} delayMs - Delay
+ */
+function schedule(target, delayMs) {
+    if (target.sending || target.timer || target.purging) {
+        return;
+    }
+    target.timer = setTimeout(() => {
+        target.timer = null;
+        drain(target);
+    }, delayMs);
+    target.timer.unref();
+}
+
+/**
+ * Computes the delay before the next retry.
+ * @param {number} attempts - Failed attempts so far
+ * @param {number|null} retryAfter - Seconds requested by the upstream (Retry-After)
+ * @returns {number} Delay (ms)
+ */
+function backoffDelay(attempts, retryAfter) {
+    const exponential = Math.min(settings.maxBackoffSeconds, settings.minBackoffSeconds * 2 ** (attempts - 1));
+    // Jitter, so targets and instances recovering together do not retry in step
+    const seconds = Math.max(exponential * (0.8 + Math.random() * 0.4), retryAfter || 0);
+    return Math.round(Math.min(seconds, settings.maxBackoffSeconds) * 1000);
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date).
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = /^\d+$/.test(value) ? Number(value) : (Date.parse(value) - Date.now()) / 1000;
+    return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+/**
+ * Sends statements to a target.
+ * @param {object} target - Target
+ * @param {object[]} statements - Statements
+ * @returns {Promise<{ok: boolean, rejected?: boolean, status?: number, error?: string, retryAfter?: number|null}>}
+ */
+async function send(target, statements) {
+    try {
+        const response = await fetch(target.url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "X-Experience-API-Version": XAPI_VERSION,
+                ...target.headers,
+            },
+            body: JSON.stringify(target.format === "pxt-telemetry" ? { statements } : statements),
+            signal: AbortSignal.timeout(settings.timeoutSeconds * 1000),
+        });
+        const text = await response.text().catch(() => "");
+        if (response.ok) {
+            return { ok: true };
+        }
+        return {
+            ok: false,
+            rejected: REJECTED_STATUSES.includes(response.status),
+            status: response.status,
+            error: `HTTP ${response.status}${text ? `: ${text.slice(0, 500)}` : ""}`,
+            retryAfter: parseRetryAfter(response.headers.get("retry-after")),
+        };
+    } catch (error) {
+        const message = error.name === "TimeoutError" ? `Timed out after ${settings.timeoutSeconds}s` : error.cause?.code || error.message;
+        return { ok: false, rejected: false, error: message, retryAfter: null };
+    }
+}
+
+/**
+ * Reads a queued batch.
+ * @param {object} target - Target
+ * @param {{name: string}} entry - Queue entry
+ * @returns {Promise<object[]|null>} Statements, or null when the file is unreadable
+ */
+async function readEntry(target, entry) {
+    try {
+        const statements = JSON.parse(await fs.promises.readFile(path.join(target.dir, PENDING_DIR, entry.name), "utf8"));
+        return Array.isArray(statements) ? statements : null;
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Moves a queued batch to the dead letters.
+ * @param {object} target - Target
+ * @param {{name: string, count: number}} entry - Queue entry
+ * @param {object[]|null} statements - Its statements (null when unreadable)
+ * @param {{status?: number, error: string}} failure - Why it was given up
+ */
+async function deadLetter(target, entry, statements, failure) {
+    const record = {
+        deadAt: new Date().toISOString(),
+        status: failure.status ?? null,
+        error: failure.error,
+        attempts: target.attempts + 1,
+        statements,
+    };
+    const pendingPath = path.join(target.dir, PENDING_DIR, entry.name);
+    if (statements) {
+        await writeFileAtomic(path.join(target.dir, DEAD_DIR, entry.name), JSON.stringify(record));
+        await fs.promises.rm(pendingPath, { force: true });
+    } else {
+        // Keep the unreadable file as it is for inspection
+        await fs.promises.rename(pendingPath, path.join(target.dir, DEAD_DIR, `${entry.name}.unreadable`));
+    }
+    target.pending = target.pending.filter(e => e !== entry);
+    target.attempts = 0;
+    target.isolate = Math.max(0, target.isolate - 1);
+    recordForwardDeadLetters(target.name, entry.count);
+    recordForwardQueue(target.name, queuedStatements(target));
+    console.error(`[forward] ${target.name}: ${entry.count} statement(s) moved to dead letters: ${failure.error}`);
+}
+
+/**
+ * Sends a target's queue until it is empty or the upstream fails.
+ * Small queued batches are merged into requests of up to batchSize statements;
+ * after a rejected merged request the batches are sent one by one to find the
+ * rejected one.
+ * @param {object} target - Target
+ * @returns {Promise<void>}
+ */
+async function drain(target) {
+    target.sending = true;
+    target.nextAttemptAt = null;
+    let retryDelay = null;
+    try {
+        while (target.pending.length > 0) {
+            const batch = [];
+            let count = 0;
+            for (const entry of target.pending) {
+                if (batch.length > 0 && (target.isolate > 0 || count + entry.count > settings.batchSize)) {
+                    break;
+                }
+                batch.push(entry);
+                count += entry.count;
+            }
+
+            const contents = [];
+            for (const entry of batch) {
+                contents.push(await readEntry(target, entry));
+            }
+            const unreadable = contents.indexOf(null);
+            if (unreadable === 0) {
+                await deadLetter(target, batch[0], null, { error: "Unreadable queue file" });
+                continue;
+            }
+            if (unreadable > 0) {
+                batch.splice(unreadable);
+                contents.splice(unreadable);
+                count = batch.reduce((sum, entry) => sum + entry.count, 0);
+            }
+
+            const result = await send(target, contents.flat());
+            if (result.ok) {
+                for (const entry of batch) {
+                    await fs.promises.rm(path.join(target.dir, PENDING_DIR, entry.name), { force: true });
+                }
+                // Requeued dead letters may have been inserted meanwhile, so remove by entry
+                target.pending = target.pending.filter(e => !batch.includes(e));
+                target.isolate = Math.max(0, target.isolate - batch.length);
+                target.attempts = 0;
+                target.sent += count;
+                target.lastSuccessAt = new Date().toISOString();
+                recordForwardAttempt(target.name, "success", count);
+                recordForwardQueue(target.name, queuedStatements(target));
+                continue;
+            }
+
+            target.lastError = { at: new Date().toISOString(), status: result.status ?? null, message: result.error };
+            if (result.rejected) {
+                recordForwardAttempt(target.name, "rejected", count);
+                if (batch.length > 1) {
+                    target.isolate = batch.length;
+                } else {
+                    await deadLetter(target, batch[0], contents[0], result);
+                }
+                continue;
+            }
+
+            recordForwardAttempt(target.name, "retry", count);
+            target.attempts++;
+            if (settings.maxAttempts > 0 && target.attempts >= settings.maxAttempts) {
+                await deadLetter(target, batch[0], contents[0], { ...result, error: `Gave up after ${target.attempts} attempt(s): ${result.error}` });
+                continue;
+            }
+            retryDelay = backoffDelay(target.attempts, result.retryAfter);
+            console.log(`[forward] ${target.name}: ${result.error}; retry ${target.attempts} in ${Math.round(retryDelay / 1000)}s (${queuedStatements(target)} statement(s) queued)`);
+            break;
+        }
+    } catch (error) {
+        // Queue directory errors: try again later
+        target.attempts++;
+        target.lastError = { at: new Date().toISOString(), status: null, message: error.message };
+        retryDelay = backoffDelay(target.attempts, null);
+        console.error(`[forward] ${target.name}: queue error:`, error.message);
+    } finally {
+        target.sending = false;
+    }
+
+    if (retryDelay !== null) {
+        target.nextAttemptAt = new Date(Date.now() + retryDelay).toISOString();
+        schedule(target, retryDelay);
+    } else if (target.pending.length > 0) {
+        schedule(target, 0);
+    }
+}
+
+/**
+ * Starts the workers of all targets (sends what earlier runs left queued).
+ */
+export function startForwarding() {
+    for (const target of targets) {
+        schedule(target, 0);
+    }
+}
+
+/**
+ * Stops the workers (a request in flight still completes).
+ */
+export function stopForwarding() {
+    for (const target of targets) {
+        clearTimeout(target.timer);
+        target.timer = null;
+    }
+}
+
+/**
+ * Summarizes the dead letters of a target.
+ * @param {object} target - Target
+ * @returns {Promise<{batches: number, statements: number}>}
+ */
+async function deadLetterStats(target) {
+    const names = await fs.promises.readdir(path.join(target.dir, DEAD_DIR));
+    return {
+        batches: names.length,
+        statements: names.reduce((sum, name) => sum + fileCount(name), 0),
+    };
+}
+
+/**
+ * Gets the forwarding status of all targets.
+ * @returns {Promise<{enabled: boolean, targets: object[]}>}
+ */
+export async function getForwardStatus() {
+    const status = [];
+    for (const target of targets) {
+        const oldest = target.pending[0];
+        status.push({
+            name: target.name,
+            endpoint: target.endpoint,
+            state: target.sending ? "sending" : target.nextAttemptAt ? "backoff" : "idle",
+            pending: {
+                batches: target.pending.length,
+                statements: queuedStatements(target),
+                oldest: oldest ? new Date(Number(oldest.name.split("-")[0])).toISOString() : null,
+            },
+            deadLetters: await deadLetterStats(target),
+            sent: target.sent,
+            attempts: target.attempts,
+            nextAttemptAt: target.nextAttemptAt,
+            lastSuccessAt: target.lastSuccessAt,
+            lastError: target.lastError,
+        });
+    }
+    return { enabled: targets.length > 0, targets: status };
+}
+
+/**
+ * Moves a target's dead letters back to its queue (after fixing the cause upstream).
+ * Unreadable files stay where they are.
+ * @param {string} name - Target name
+ * @returns {Promise<{batches: number, statements: number}|null>} Requeued counts, or null for an unknown target
+ */
+export async function requeueDeadLetters(name) {
+    const target = targets.find(t => t.name === name);
+    if (!target) {
+        return null;
+    }
+    const deadDir = path.join(target.dir, DEAD_DIR);
+    const requeued = { batches: 0, statements: 0 };
+    for (const entry of listQueueFiles(deadDir)) {
+        const record = JSON.parse(await fs.promises.readFile(path.join(deadDir, entry.name), "utf8"));
+        await writeFileAtomic(path.join(target.dir, PENDING_DIR, entry.name), JSON.stringify(record.statements));
+        await fs.promises.rm(path.join(deadDir, entry.name));
+        target.pending.push(entry);
+        requeued.batches++;
+        requeued.statements += entry.count;
+    }
+    // Requeued batches keep their place by age
+    target.pending.sort((a, b) => a.name.localeCompare(b.name));
+    target.attempts = 0;
+    recordForwardQueue(target.name, queuedStatements(target));
+    // Try now instead of waiting for a pending retry
+    clearTimeout(target.timer);
+    target.timer = null;
+    console.log(`[forward] ${target.name}: requeued ${requeued.statements} statement(s) from dead letters`);
+    schedule(target, 0);
+    return requeued;
+}
+
+/**
+ * Renames a queue file name to a new statement count ("<time>-<seq>-<count>.json").
+ * @param {string} name - File name
+ * @param {number} count - New count
+ * @returns {string}
+ */
+function withCount(name, count) {
+    return name.replace(/-\d+\.json$/, `-${count}.json`);
+}
+
+/**
+ * Removes the matching statements from a queue or dead-letter file.
+ * The file is deleted when nothing is left, otherwise rewritten under a name with the new count.
+ * @param {string} dir - Directory of the file
+ * @param {string} name - File name
+ * @param {(statement: object) => boolean} predicate - Selects the statements to remove
+ * @param {boolean} dead - Whether the file is a dead-letter record
+ * @returns {Promise<{removed: number, name: string|null, count: number}>} Removed count, and the file's new name (null when deleted) and count
+ */
+async function purgeFile(dir, name, predicate, dead) {
+    const filePath = path.join(dir, name);
+    let content;
+    try {
+        content = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return { removed: 0, name, count: fileCount(name) };
+        }
+        throw error;
+    }
+    const statements = dead ? content.statements : content;
+    if (!Array.isArray(statements)) {
+        return { removed: 0, name, count: fileCount(name) };
+    }
+    const kept = statements.filter(statement => !predicate(statement));
+    const removed = statements.length - kept.length;
+    if (removed === 0) {
+        return { removed, name, count: kept.length };
+    }
+    if (kept.length === 0) {
+        await fs.promises.rm(filePath, { force: true });
+        return { removed, name: null, count: 0 };
+    }
+    const newName = withCount(name, kept.length);
+    await writeFileAtomic(path.join(dir, newName), JSON.stringify(dead ? { ...content, statements: kept } : kept));
+    await fs.promises.rm(filePath, { force: true });
+    return { removed, name: newName, count: kept.length };
+}
+
+/**
+ * Removes statements from the queues and dead letters of all targets (learner data erasure).
+ * Each target's worker is paused meanwhile; a request in flight completes first.
+ * Unreadable files are left as they are (the drain moves them to the dead letters).
+ * @param {(statement: object) => boolean} predicate - Selects the statements to remove
+ * @returns {Promise<{removed: number, files: number}>} Removed statements and files changed
+ */
+export async function purgeForwardQueue(predicate) {
+    const result = { removed: 0, files: 0 };
+    for (const target of targets) {
+        target.purging = true;
+        clearTimeout(target.timer);
+        target.timer = null;
+        try {
+            while (target.sending) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+
+            const pendingDir = path.join(target.dir, PENDING_DIR);
+            for (const entry of [...target.pending]) {
+                const purged = await purgeFile(pendingDir, entry.name, predicate, false);
+                if (purged.removed === 0) {
+                    continue;
+                }
+                if (purged.name) {
+                    entry.name = purged.name;
+                    entry.count = purged.count;
+                } else {
+                    target.pending = target.pending.filter(e => e !== entry);
+                }
+                result.removed += purged.removed;
+                result.files++;
+            }
+
+            const deadDir = path.join(target.dir, DEAD_DIR);
+            for (const entry of listQueueFiles(deadDir)) {
+                const purged = await purgeFile(deadDir, entry.name, predicate, true);
+                if (purged.removed > 0) {
+                    result.removed += purged.removed;
+                    result.files++;
+                }
+            }
+            recordForwardQueue(target.name, queuedStatements(target));
+        } finally {
+            target.purging = false;
+            // Keep a pending retry's backoff
+            const delay = target.nextAttemptAt ? Math.max(0, Date.parse(target.nextAttemptAt) - Date.now()) : 0;
+            if (target.pending.length > 0) {
+                schedule(target, delay);
+            }
+        }
+    }
+    return result;
+}
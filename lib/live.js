@@ -0,0 +1,126 @@
+/**
+ * Live statement feed for classroom monitoring (GET /statements/live, SSE).
+ * The POST handler publishes statements right after storing them; subscribers
+ * receive the ones matching their filters.
+ *
+ * Recent events are kept in a ring buffer so a reconnecting client can replay
+ * from its Last-Event-ID. Event ids are "<process epoch>-<sequence>": ids of an
+ * earlier process, or older than the buffer, cannot be replayed.
+ *
+ * The feed is per server process: with several instances (Cloud Run), a
+ * subscriber only sees statements posted to its own instance.
+ */
+
+import { recordLiveSubscribers } from "./metrics.js";
+
+/**
+ * Identifies this process in event ids.
+ */
+const EPOCH = Date.now().toString(36);
+
+/**
+ * Current settings.
+ */
+let settings = {
+    bufferSize: 1000,
+    maxSubscribers: 100,
+};
+
+/**
+ * Recent events, oldest first.
+ */
+let buffer = [];
+
+/**
+ * Sequence number of the last published event.
+ */
+let sequence = 0;
+
+/**
+ * Active subscriber callbacks.
+ */
+const subscribers = new Set();
+
+/**
+ * Configures the live feed.
+ * @param {{bufferSize?: number, maxSubscribers?: number}} options - bufferSize: events kept for
+ *   replay, maxSubscribers: concurrent subscriptions (0 disables the feed)
+ * @returns {{bufferSize: number, maxSubscribers: number}} Summary for logging
+ */
+export function configureLive(options) {
+    settings = {
+        bufferSize: Math.max(0, Math.floor(Number(options.bufferSize ?? settings.bufferSize) || 0)),
+        maxSubscribers: Math.max(0, Math.floor(Number(options.maxSubscribers ?? settings.maxSubscribers) || 0)),
+    };
+    buffer = settings.bufferSize > 0 ? buffer.slice(-settings.bufferSize) : [];
+    return { ...settings };
+}
+
+/**
+ * Publishes stored statements to the subscribers.
+ * @param {object[]} statements - Statements as stored
+ */
+export function publishStatements(statements) {
+    if (settings.maxSubscribers === 0) {
+        return;
+    }
+    for (const statement of statements) {
+        const event = { id: `${EPOCH}-${++sequence}`, sequence, statement };
+        buffer.push(event);
+        for (const subscriber of subscribers) {
+            subscriber(event);
+        }
+    }
+    if (buffer.length > settings.bufferSize) {
+        buffer = buffer.slice(buffer.length - settings.bufferSize);
+    }
+}
+
+/**
+ * Gets the buffered events after an event id, for a reconnecting client.
+ * @param {string} lastEventId - Last event id the client received
+ * @returns {{events: object[], complete: boolean}} complete is false when events
+ *   may be missing (unknown id, earlier process, or older than the buffer)
+ */
+export function eventsAfter(lastEventId) {
+    const match = String(lastEventId).match(/^([0-9a-z]+)-(\d+)$/);
+    if (!match || match[1] !== EPOCH || Number(match[2]) > sequence) {
+        return { events: [], complete: false };
+    }
+    const last = Number(match[2]);
+    const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+    return {
+        events: buffer.filter(event => event.sequence > last),
+        // The client must have seen the event just before the oldest buffered one
+        complete: last >= oldest - 1,
+    };
+}
+
+/**
+ * Removes buffered events from the replay buffer (learner data erasure).
+ * Clients already sent an event keep it; reconnecting ones no longer receive it.
+ * @param {(statement: object) => boolean} predicate - Returns true for statements to remove
+ * @returns {number} Number of events removed
+ */
+export function forgetLiveEvents(predicate) {
+    const before = buffer.length;
+    buffer = buffer.filter(event => !predicate(event.statement));
+    return before - buffer.length;
+}
+
+/**
+ * Subscribes to published events.
+ * @param {(event: {id: string, statement: object}) => void} subscriber - Called for each event
+ * @returns {(() => void)|null} Unsubscribe function, or null when the subscriber limit is reached
+ */
+export function subscribe(subscriber) {
+    if (subscribers.size >= settings.maxSubscribers) {
+        return null;
+    }
+    subscribers.add(subscriber);
+    recordLiveSubscribers(subscribers.size);
+    return () => {
+        subscribers.delete(subscriber);
+        recordLiveSubscribers(subscribers.size);
+    };
+}
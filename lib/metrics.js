@@ -0,0 +1,402 @@
+/**
+ * Prometheus metrics (text exposition format 0.0.4), served at /metrics.
+ * - Statements accepted, rejected (by reason and invalid field) and stored
+ * - HTTP request latency per route
+ * - Storage write latency and outcomes (including 207 partial successes)
+ * - Current JSONL file size and rotation index (local backend)
+ * - GCS errors per operation
+ * - Subscribers of the live statement feed
+ * - Forwarding to upstream LRSs: queue length, attempts and dead letters per target
+ *
+ * Values are kept in memory, per server process, and start over on restart.
+ * Label values are limited to small sets (credential names, routes, reasons),
+ * never learner identifiers. JWT subjects are not a small set, so all JWT
+ * credentials share the "jwt" credential label.
+ */
+
+/**
+ * Credential label of all JWT credentials.
+ */
+const JWT_CREDENTIAL_LABEL = "jwt";
+
+/**
+ * Buckets of the latency histograms (seconds).
+ */
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Top-level statement properties used as the field of validation errors;
+ * errors anywhere else are counted as "other".
+ */
+const STATEMENT_FIELDS = ["id", "actor", "verb", "object", "result", "context", "timestamp", "stored", "authority", "version", "attachments"];
+
+/**
+ * Registered metrics in exposition order.
+ */
+const metrics = [];
+
+/**
+ * Storage settings reported by the gauges.
+ */
+let settings = {
+    backend: "local",
+    currentFile: null,
+};
+
+/**
+ * Time the process started (seconds since the epoch).
+ */
+const startTime = Date.now() / 1000;
+
+/**
+ * Builds the key of a label set.
+ * @param {string[]} labelNames - Label names of the metric
+ * @param {Record<string, string|number>} labels - Label values
+ * @returns {string}
+ */
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? "")));
+}
+
+/**
+ * Formats a label set, e.g. {route="/statements",status="204"}.
+ * @param {string[]} names - Label names
+ * @param {string[]} values - Label values
+ * @returns {string}
+ */
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return "";
+    }
+    const escape = value => value.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+    return `{${names.map((name, i) => `${name}="${escape(values[i])}"`).join(",")}}`;
+}
+
+/**
+ * Formats a sample value.
+ * @param {number} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return "+Inf";
+    }
+    return Number.isFinite(value) ? String(value) : "NaN";
+}
+
+/**
+ * Registers a counter.
+ * @param {string} name - Metric name (ending in _total)
+ * @param {string} help - Help text
+ * @param {string[]} [labelNames] - Label names
+ * @returns {{inc: (labels?: object, value?: number) => void}}
+ */
+function counter(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} counter`,
+            ...[...values].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`),
+        ],
+    });
+    return {
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labelNames, labels);
+            values.set(key, (values.get(key) || 0) + value);
+        },
+    };
+}
+
+/**
+ * Registers a gauge.
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string[]} [labelNames] - Label names
+ * @returns {{set: (labels: object, value: number) => void, reset: () => void}}
+ */
+function gauge(name, help, labelNames = []) {
+    const values = new Map();
+    metrics.push({
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} gauge`,
+            ...[...values].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${formatValue(value)}`),
+        ],
+    });
+    return {
+        set(labels, value) {
+            values.set(labelKey(labelNames, labels), value);
+        },
+        reset() {
+            values.clear();
+        },
+    };
+}
+
+/**
+ * Registers a histogram.
+ * @param {string} name - Metric name
+ * @param {string} help - Help text
+ * @param {string[]} labelNames - Label names
+ * @param {number[]} buckets - Upper bounds of the buckets (ascending)
+ * @returns {{observe: (labels: object, value: number) => void}}
+ */
+function histogram(name, help, labelNames, buckets) {
+    const series = new Map();
+    const bucketName = `${name}_bucket`;
+    metrics.push({
+        render: () => [
+            `# HELP ${name} ${help}`,
+            `# TYPE ${name} histogram`,
+            ...[...series].flatMap(([key, { counts, sum, count }]) => {
+                const values = JSON.parse(key);
+                return [
+                    ...buckets.map((le, i) =>
+                        `${bucketName}${formatLabels([...labelNames, "le"], [...values, formatValue(le)])} ${counts[i]}`),
+                    `${bucketName}${formatLabels([...labelNames, "le"], [...values, "+Inf"])} ${count}`,
+                    `${name}_sum${formatLabels(labelNames, values)} ${formatValue(sum)}`,
+                    `${name}_count${formatLabels(labelNames, values)} ${count}`,
+                ];
+            }),
+        ],
+    });
+    return {
+        observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let entry = series.get(key);
+            if (!entry) {
+                entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, entry);
+            }
+            // Buckets are cumulative
+            buckets.forEach((le, i) => {
+                if (value <= le) {
+                    entry.counts[i]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+    };
+}
+
+const processStart = gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds.");
+processStart.set({}, startTime);
+
+const statementsAccepted = counter("xapi_statements_accepted_total",
+    "Statements accepted by POST /statements: stored, or exact duplicates of stored ones.", ["credential"]);
+const lastAccepted = gauge("xapi_last_accepted_timestamp_seconds",
+    "Time statements were last accepted from a credential (unix seconds).", ["credential"]);
+const statementsRejected = counter("xapi_statements_rejected_total",
+    "Statements rejected by POST /statements, by reason.", ["reason"]);
+const validationErrors = counter("xapi_validation_errors_total",
+    "Validation errors by top-level statement property.", ["field"]);
+const statementsDuplicate = counter("xapi_statements_duplicate_total",
+    "Exact duplicates of stored statements that were skipped.");
+const statementsStored = counter("xapi_statements_stored_total",
+    "Statements written to storage.", ["backend"]);
+const storageFailedStatements = counter("xapi_storage_failed_statements_total",
+    "Statements that could not be written to storage.", ["backend"]);
+const storageWrites = counter("xapi_storage_writes_total",
+    "Storage writes of POST /statements by outcome (success, partial = 207, failure).", ["backend", "outcome"]);
+const storageWriteDuration = histogram("xapi_storage_write_duration_seconds",
+    "Latency of storage writes.", ["backend", "outcome"], LATENCY_BUCKETS);
+const requestDuration = histogram("xapi_http_request_duration_seconds",
+    "Latency of HTTP requests by route.", ["method", "route", "status"], LATENCY_BUCKETS);
+const fileSize = gauge("xapi_jsonl_current_file_bytes",
+    "Size of the JSONL file statements of today are written to (local backend).", ["date"]);
+const fileRotation = gauge("xapi_jsonl_current_rotation_index",
+    "Rotation index of the JSONL file statements of today are written to (local backend).", ["date"]);
+const gcsErrors = counter("xapi_gcs_errors_total",
+    "Errors returned by Google Cloud Storage, by operation and error code.", ["operation", "code"]);
+const liveSubscribers = gauge("xapi_live_subscribers",
+    "Open subscriptions of the live statement feed.");
+liveSubscribers.set({}, 0);
+const forwardQueue = gauge("xapi_forward_queue_statements",
+    "Statements waiting to be forwarded, by upstream target.", ["target"]);
+const forwardAttempts = counter("xapi_forward_attempts_total",
+    "Forwarding requests by upstream target and outcome (success, retry, rejected).", ["target", "outcome"]);
+const forwardStatements = counter("xapi_forward_statements_total",
+    "Statements in forwarding requests by upstream target and outcome.", ["target", "outcome"]);
+const forwardDeadLetters = counter("xapi_forward_dead_letter_statements_total",
+    "Statements moved to the dead letters, by upstream target.", ["target"]);
+
+/**
+ * Configures the storage gauges.
+ * @param {object} options
+ * @param {string} options.backend - Storage backend name
+ * @param {() => Promise<{date: string, rotationIndex: number, size: number}|null>} [options.currentFile]
+ *   Reports the current write file (local backend)
+ */
+export function configureMetrics(options) {
+    settings = {
+        backend: options.backend,
+        currentFile: options.currentFile || null,
+    };
+}
+
+/**
+ * Records statements accepted by POST /statements (stored, or exact duplicates of stored ones).
+ * @param {{name: string, jwt?: boolean}} credential - Authenticated credential
+ * @param {number} count - Number of statements
+ */
+export function recordAccepted(credential, count) {
+    if (count === 0) {
+        return;
+    }
+    const label = credential.jwt ? JWT_CREDENTIAL_LABEL : credential.name;
+    statementsAccepted.inc({ credential: label }, count);
+    lastAccepted.set({ credential: label }, Math.floor(Date.now() / 1000));
+}
+
+/**
+ * Records rejected statements.
+ * @param {string} reason - Short reason, e.g. validation, forbidden, rate_limited
+ * @param {number} count - Number of statements in the rejected request
+ */
+export function recordRejected(reason, count) {
+    statementsRejected.inc({ reason }, count);
+}
+
+/**
+ * Records validation errors by the top-level property they concern.
+ * @param {Array<{errors: Array<{path: string}>}>} failures - Failed statements with their errors
+ */
+export function recordValidationErrors(failures) {
+    for (const failure of failures) {
+        for (const { path } of failure.errors) {
+            // "/statements/3/result/score/scaled" -> "result"
+            const field = path.replace(/^\/statements\/\d+/, "").split("/")[1] || "statement";
+            validationErrors.inc({ field: STATEMENT_FIELDS.includes(field) || field === "statement" ? field : "other" });
+        }
+    }
+}
+
+/**
+ * Records exact duplicates that were skipped.
+ * @param {number} count - Number of statements
+ */
+export function recordDuplicates(count) {
+    statementsDuplicate.inc({}, count);
+}
+
+/**
+ * Records a storage write.
+ * @param {object} write
+ * @param {number} write.seconds - Duration of the write
+ * @param {number} write.stored - Statements written
+ * @param {number} write.failed - Statements that failed
+ */
+export function recordStorageWrite({ seconds, stored, failed }) {
+    const { backend } = settings;
+    const outcome = failed === 0 ? "success" : stored > 0 ? "partial" : "failure";
+    storageWrites.inc({ backend, outcome });
+    storageWriteDuration.observe({ backend, outcome }, seconds);
+    statementsStored.inc({ backend }, stored);
+    if (failed > 0) {
+        storageFailedStatements.inc({ backend }, failed);
+    }
+}
+
+/**
+ * Records an error returned by Google Cloud Storage.
+ * @param {string} operation - Operation, e.g. write, read, marker, document
+ * @param {Error & {code?: number|string}} error - The error
+ */
+export function recordGcsError(operation, error) {
+    gcsErrors.inc({ operation, code: error?.code ?? "unknown" });
+}
+
+/**
+ * Records the number of live feed subscribers.
+ * @param {number} count - Open subscriptions
+ */
+export function recordLiveSubscribers(count) {
+    liveSubscribers.set({}, count);
+}
+
+/**
+ * Records the length of a forwarding queue.
+ * @param {string} target - Upstream target name
+ * @param {number} count - Statements queued
+ */
+export function recordForwardQueue(target, count) {
+    forwardQueue.set({ target }, count);
+}
+
+/**
+ * Records a forwarding request.
+ * @param {string} target - Upstream target name
+ * @param {string} outcome - success | retry | rejected
+ * @param {number} count - Statements in the request
+ */
+export function recordForwardAttempt(target, outcome, count) {
+    forwardAttempts.inc({ target, outcome });
+    forwardStatements.inc({ target, outcome }, count);
+}
+
+/**
+ * Records statements moved to the dead letters.
+ * @param {string} target - Upstream target name
+ * @param {number} count - Number of statements
+ */
+export function recordForwardDeadLetters(target, count) {
+    forwardDeadLetters.inc({ target }, count);
+}
+
+/**
+ * Creates the middleware that measures request latency.
+ * The route label is the matched route pattern (e.g. /api/xapi/statements/:id),
+ * or "unmatched" for requests answered before reaching a route (e.g. 401, 404).
+ * @returns {import("express").RequestHandler}
+ */
+export function requestMetrics() {
+    return (req, res, next) => {
+        const start = process.hrtime.bigint();
+        res.on("finish", () => {
+            const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+            requestDuration.observe(
+                { method: req.method, route, status: res.statusCode },
+                Number(process.hrtime.bigint() - start) / 1e9
+            );
+        });
+        next();
+    };
+}
+
+/**
+ * Renders all metrics in the Prometheus text format.
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+    fileSize.reset();
+    fileRotation.reset();
+    const current = settings.currentFile ? await settings.currentFile() : null;
+    if (current) {
+        fileSize.set({ date: current.date }, current.size);
+        fileRotation.set({ date: current.date }, current.rotationIndex);
+    }
+
+    return `${metrics.flatMap(metric => metric.render()).join("\n")}\n`;
+}
+
+/**
+ * Creates the handler of GET /metrics.
+ * @returns {import("express").RequestHandler}
+ */
+export function metricsHandler() {
+    return async (_req, res) => {
+        try {
+            const body = await renderMetrics();
+            res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+            return res.send(body);
+        } catch (error) {
+            console.error("[xapi] Error rendering metrics:", error);
+            return res.status(500).json({
+                error: "Internal server error",
+                details: [error.message],
+            });
+        }
+    };
+}
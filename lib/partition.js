@@ -0,0 +1,183 @@
+/**
+ * Day partitioning of stored statements.
+ * Statements are stored per day (YYYY/MM/DD) of their timestamp in one partition
+ * time zone (XAPI_PARTITION_TZ, default UTC). Writing, reading, stats, retention
+ * and the query range checks all derive days through this module so they agree.
+ *
+ * Day keys are "YYYY-MM-DD" strings in the partition time zone.
+ */
+
+/**
+ * Default partition time zone.
+ */
+export const DEFAULT_TIME_ZONE = "UTC";
+
+/**
+ * Pattern of a day key.
+ */
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Current partition time zone and its formatter.
+ */
+let timeZone = DEFAULT_TIME_ZONE;
+let formatter = createFormatter(timeZone);
+
+/**
+ * Creates the formatter that splits an instant into wall-clock parts.
+ * @param {string} zone - IANA time zone name
+ * @returns {Intl.DateTimeFormat}
+ * @throws {RangeError} If the time zone is unknown
+ */
+function createFormatter(zone) {
+    return new Intl.DateTimeFormat("en-US", {
+        timeZone: zone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    });
+}
+
+/**
+ * Configures the partition time zone.
+ * @param {{timeZone?: string}} options - timeZone: IANA name such as "UTC" or "Asia/Tokyo"
+ * @returns {{timeZone: string}} Summary for logging
+ */
+export function configurePartition(options) {
+    const zone = options.timeZone || DEFAULT_TIME_ZONE;
+    try {
+        formatter = createFormatter(zone);
+    } catch {
+        throw new Error(`Unknown partition time zone: ${zone}`);
+    }
+    timeZone = formatter.resolvedOptions().timeZone;
+    return { timeZone };
+}
+
+/**
+ * Gets the partition time zone.
+ * @returns {string}
+ */
+export function getPartitionTimeZone() {
+    return timeZone;
+}
+
+/**
+ * Splits an instant into its wall-clock parts in the partition time zone.
+ * @param {Date} date - The instant
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function wallClock(date) {
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        if (type !== "literal") {
+            parts[type] = Number(value);
+        }
+    }
+    return parts;
+}
+
+/**
+ * Gets the day key of an instant.
+ * @param {Date} date - The instant
+ * @returns {string} Day key (YYYY-MM-DD)
+ */
+export function dayKey(date) {
+    const { year, month, day } = wallClock(date);
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Gets the hour key of an instant, e.g. "2025-04-01T09".
+ * @param {Date} date - The instant
+ * @returns {string} Hour key (YYYY-MM-DDTHH)
+ */
+export function hourKey(date) {
+    const { hour } = wallClock(date);
+    return `${dayKey(date)}T${String(hour).padStart(2, "0")}`;
+}
+
+/**
+ * Checks whether a string is a day key of an existing calendar day.
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+export function isDayKey(value) {
+    return typeof value === "string" && DAY_KEY_PATTERN.test(value) && addDays(value, 0) === value;
+}
+
+/**
+ * Splits a day key into path segments.
+ * @param {string} key - Day key
+ * @returns {{year: string, month: string, day: string}}
+ */
+export function dayParts(key) {
+    const [, year, month, day] = key.match(DAY_KEY_PATTERN);
+    return { year, month, day };
+}
+
+/**
+ * Adds calendar days to a day key.
+ * @param {string} key - Day key
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Day key
+ */
+export function addDays(key, days) {
+    const { year, month, day } = dayParts(key);
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + days));
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Counts the calendar days from one day key to another.
+ * @param {string} from - Day key
+ * @param {string} to - Day key
+ * @returns {number} Days (negative if to is before from)
+ */
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Gets the first instant of a day in the partition time zone.
+ * @param {string} key - Day key
+ * @returns {Date}
+ */
+export function dayStart(key) {
+    const { year, month, day } = dayParts(key);
+    const target = Date.UTC(Number(year), Number(month) - 1, Number(day));
+
+    // Correct by the zone offset; twice, in case the offset changes in between (DST)
+    let time = target;
+    for (let i = 0; i < 2; i++) {
+        const parts = wallClock(new Date(time));
+        const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        time += target - wall;
+    }
+    return new Date(time);
+}
+
+/**
+ * Gets the last millisecond of a day in the partition time zone.
+ * @param {string} key - Day key
+ * @returns {Date}
+ */
+export function dayEnd(key) {
+    return new Date(dayStart(addDays(key, 1)).getTime() - 1);
+}
+
+/**
+ * Gets the day key a statement is partitioned under.
+ * Statements without a (valid) timestamp belong to the day they are stored.
+ * @param {object} statement - The xAPI Statement
+ * @param {Date} [now] - Time used when the statement has no timestamp
+ * @returns {string} Day key
+ */
+export function statementDayKey(statement, now = new Date()) {
+    const timestamp = statement.timestamp ? new Date(statement.timestamp) : now;
+    return dayKey(isNaN(timestamp.getTime()) ? now : timestamp);
+}
@@ -0,0 +1,331 @@
+/**
+ * Privacy layer applied to statements before they are stored.
+ * - Replaces actor account names with keyed HMAC pseudonyms (PSEUDONYM_KEY)
+ * - Truncates or drops the client IP recorded in _meta.srcIp
+ * - Strips configured extension fields
+ *
+ * When a lookup public key is configured, the original account of each new
+ * pseudonym is encrypted with it and stored as a document (pseudonyms/{pseudonym}).
+ * Only holders of the matching private key, kept apart from the server, can
+ * reverse a pseudonym (scripts/reverse-pseudonym.js).
+ */
+
+import fs from "fs";
+import { createHmac, createCipheriv, createDecipheriv, publicEncrypt, privateDecrypt, randomBytes, constants } from "crypto";
+import { getDocument, saveDocument, deleteDocument } from "../storage/index.js";
+import { computeEtag } from "./documents.js";
+
+/**
+ * Supported IP handling modes.
+ */
+export const IP_MODES = ["keep", "truncate", "drop"];
+
+/**
+ * Prefix of pseudonymized account names.
+ */
+const PSEUDONYM_PREFIX = "p-";
+
+/**
+ * Encryption scheme of lookup records.
+ */
+const LOOKUP_ALGORITHM = "RSA-OAEP-256+A256GCM";
+
+/**
+ * Current privacy settings.
+ */
+let settings = {
+    pseudonymKey: null,
+    lookupPublicKey: null,
+    ipMode: "keep",
+    stripExtensions: [],
+};
+
+/**
+ * Pseudonyms whose lookup record is known to be stored.
+ */
+let recordedPseudonyms = new Set();
+
+/**
+ * Configures the privacy layer.
+ * @param {{pseudonymKey?: string, lookupPublicKeyFile?: string, ipMode?: string, stripExtensions?: string[]}} options
+ * @returns {{pseudonyms: boolean, lookup: boolean, ipMode: string, stripExtensions: number}} Summary for logging
+ */
+export function configurePrivacy(options) {
+    const ipMode = options.ipMode || "keep";
+    if (!IP_MODES.includes(ipMode)) {
+        throw new Error(`Unknown IP mode: ${ipMode} (expected ${IP_MODES.join(", ")})`);
+    }
+    if (options.lookupPublicKeyFile && !options.pseudonymKey) {
+        throw new Error("A pseudonym lookup key requires PSEUDONYM_KEY");
+    }
+
+    settings = {
+        pseudonymKey: options.pseudonymKey || null,
+        lookupPublicKey: options.lookupPublicKeyFile ? fs.readFileSync(options.lookupPublicKeyFile, "utf8") : null,
+        ipMode,
+        stripExtensions: options.stripExtensions || [],
+    };
+    recordedPseudonyms = new Set();
+
+    return {
+        pseudonyms: Boolean(settings.pseudonymKey),
+        lookup: Boolean(settings.lookupPublicKey),
+        ipMode,
+        stripExtensions: settings.stripExtensions.length,
+    };
+}
+
+/**
+ * Computes the pseudonym of an account name.
+ * @param {string} name - Account name
+ * @returns {string}
+ */
+function pseudonym(name) {
+    const digest = createHmac("sha256", settings.pseudonymKey).update(name, "utf8").digest("hex");
+    return `${PSEUDONYM_PREFIX}${digest.slice(0, 32)}`;
+}
+
+/**
+ * Pseudonymizes an account name (unchanged when pseudonyms are disabled).
+ * Used to translate query filters (agent, actorId) to stored values.
+ * @param {string} name - Account name
+ * @returns {string}
+ */
+export function pseudonymizeName(name) {
+    return settings.pseudonymKey && typeof name === "string" ? pseudonym(name) : name;
+}
+
+/**
+ * Pseudonymizes an Agent or Group (and its members).
+ * Account names are replaced and display names are removed.
+ * @param {object} agent - Agent or Group
+ * @param {Map<string, object>} originals - Collects pseudonym -> original account
+ * @returns {object}
+ */
+function pseudonymizeAgent(agent, originals) {
+    if (!agent || typeof agent !== "object") {
+        return agent;
+    }
+    const result = { ...agent };
+    delete result.name;
+    if (agent.account?.name !== undefined) {
+        const name = pseudonym(agent.account.name);
+        originals.set(name, { homePage: agent.account.homePage, name: agent.account.name });
+        result.account = { ...agent.account, name };
+    }
+    if (Array.isArray(agent.member)) {
+        result.member = agent.member.map(m => pseudonymizeAgent(m, originals));
+    }
+    return result;
+}
+
+/**
+ * Pseudonymizes an Agent used as a query filter.
+ * @param {object|null} agent - Query agent
+ * @returns {object|null}
+ */
+export function pseudonymizeQueryAgent(agent) {
+    if (!settings.pseudonymKey || !agent?.account) {
+        return agent;
+    }
+    return { ...agent, account: { ...agent.account, name: pseudonym(agent.account.name) } };
+}
+
+/**
+ * Removes the configured extension IRIs from an extensions object.
+ * @param {object|undefined} extensions - Extensions
+ * @returns {object|undefined}
+ */
+function stripExtensions(extensions) {
+    if (!extensions || settings.stripExtensions.length === 0) {
+        return extensions;
+    }
+    const result = { ...extensions };
+    for (const key of settings.stripExtensions) {
+        delete result[key];
+    }
+    return result;
+}
+
+/**
+ * Applies pseudonyms and extension stripping to a statement (or SubStatement).
+ * @param {object} statement - The xAPI Statement
+ * @param {Map<string, object>} originals - Collects pseudonym -> original account
+ * @returns {object} Protected copy
+ */
+function protect(statement, originals) {
+    const result = { ...statement };
+
+    if (settings.pseudonymKey) {
+        result.actor = pseudonymizeAgent(statement.actor, originals);
+        if (["Agent", "Group"].includes(statement.object?.objectType)) {
+            result.object = pseudonymizeAgent(statement.object, originals);
+        }
+        if (statement.authority) {
+            result.authority = pseudonymizeAgent(statement.authority, originals);
+        }
+    }
+
+    if (statement.object?.objectType === "SubStatement") {
+        result.object = protect(statement.object, originals);
+    } else if (statement.object?.definition?.extensions) {
+        result.object = {
+            ...result.object,
+            definition: { ...statement.object.definition, extensions: stripExtensions(statement.object.definition.extensions) },
+        };
+    }
+
+    if (statement.context) {
+        result.context = { ...statement.context, extensions: stripExtensions(statement.context.extensions) };
+        if (settings.pseudonymKey) {
+            for (const key of ["instructor", "team"]) {
+                if (statement.context[key]) {
+                    result.context[key] = pseudonymizeAgent(statement.context[key], originals);
+                }
+            }
+        }
+    }
+    if (statement.result) {
+        result.result = { ...statement.result, extensions: stripExtensions(statement.result.extensions) };
+    }
+
+    return result;
+}
+
+/**
+ * Encrypts an original account for the lookup record (hybrid RSA-OAEP + AES-256-GCM).
+ * @param {object} account - Original account {homePage, name}
+ * @returns {object} Lookup record
+ */
+function encryptAccount(account) {
+    const key = randomBytes(32);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(account), "utf8"), cipher.final()]);
+
+    return {
+        alg: LOOKUP_ALGORITHM,
+        key: publicEncrypt({ key: settings.lookupPublicKey, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" }, key).toString("base64"),
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64"),
+    };
+}
+
+/**
+ * Decrypts a lookup record with the staff private key.
+ * @param {object} record - Lookup record
+ * @param {string} privateKey - PEM private key
+ * @returns {{homePage: string, name: string}} Original account
+ */
+export function decryptLookupRecord(record, privateKey) {
+    if (record.alg !== LOOKUP_ALGORITHM) {
+        throw new Error(`Unsupported lookup record algorithm: ${record.alg}`);
+    }
+    const key = privateDecrypt(
+        { key: privateKey, padding: constants.RSA_PKCS1_OAEP_PADDING, oaepHash: "sha256" },
+        Buffer.from(record.key, "base64")
+    );
+    const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(record.iv, "base64"));
+    decipher.setAuthTag(Buffer.from(record.tag, "base64"));
+    const data = Buffer.concat([decipher.update(Buffer.from(record.data, "base64")), decipher.final()]);
+    return JSON.parse(data.toString("utf8"));
+}
+
+/**
+ * Gets the document key of a pseudonym's lookup record.
+ * @param {string} name - Pseudonym
+ * @returns {string}
+ */
+export function lookupRecordKey(name) {
+    return `pseudonyms/${name}`;
+}
+
+/**
+ * Stores lookup records for pseudonyms that do not have one yet.
+ * @param {Map<string, object>} originals - pseudonym -> original account
+ * @returns {Promise<void>}
+ */
+async function recordPseudonyms(originals) {
+    for (const [name, account] of originals) {
+        if (recordedPseudonyms.has(name)) {
+            continue;
+        }
+        if (!await getDocument(lookupRecordKey(name))) {
+            const content = Buffer.from(JSON.stringify(encryptAccount(account)), "utf8");
+            // Another writer may have stored the record meanwhile; either copy decrypts the same
+            await saveDocument(lookupRecordKey(name), {
+                id: name,
+                contentType: "application/json",
+                etag: computeEtag(content),
+                updated: new Date().toISOString(),
+                content,
+            }, null);
+        }
+        recordedPseudonyms.add(name);
+    }
+}
+
+/**
+ * Deletes the lookup record of a pseudonym (learner data erasure).
+ * @param {string} name - Pseudonym
+ * @returns {Promise<boolean>} true if a record was deleted
+ */
+export async function forgetPseudonym(name) {
+    recordedPseudonyms.delete(name);
+    const result = await deleteDocument(lookupRecordKey(name));
+    return result.success;
+}
+
+/**
+ * Applies the privacy layer to statements before they are stored.
+ * The result is deterministic, so a resent statement keeps its content hash.
+ * @param {object[]} statements - Validated statements
+ * @returns {Promise<object[]>} Protected copies
+ */
+export async function protectStatements(statements) {
+    const originals = new Map();
+    const result = statements.map(s => protect(s, originals));
+    if (settings.lookupPublicKey && originals.size > 0) {
+        await recordPseudonyms(originals);
+    }
+    return result;
+}
+
+/**
+ * Applies the IP mode to a client address (or X-Forwarded-For list).
+ * truncate keeps the /24 network of IPv4 and the /48 network of IPv6 addresses.
+ * @param {string} value - Address or comma separated addresses
+ * @returns {string|undefined} Protected value, or undefined when dropped
+ */
+export function protectIp(value) {
+    if (settings.ipMode === "drop") {
+        return undefined;
+    }
+    if (settings.ipMode === "keep") {
+        return value;
+    }
+    return value.split(",").map(s => truncateIp(s.trim())).join(", ");
+}
+
+/**
+ * Truncates a single IP address.
+ * @param {string} ip - IPv4, IPv6 or IPv4-mapped IPv6 address
+ * @returns {string}
+ */
+function truncateIp(ip) {
+    const v4 = ip.match(/^(::ffff:)?(\d+\.\d+\.\d+)\.\d+$/i);
+    if (v4) {
+        return `${v4[1] || ""}${v4[2]}.0`;
+    }
+    if (ip.includes(":")) {
+        // Expand "::" far enough to keep the first three groups
+        const [head] = ip.split("::");
+        const groups = head ? head.split(":") : [];
+        while (groups.length < 3) {
+            groups.push("0");
+        }
+        return `${groups.slice(0, 3).join(":")}::`;
+    }
+    return ip;
+}
@@ -0,0 +1,469 @@
+/**
+ * xAPI statement query support.
+ * Parses the standard LRS query parameters and runs them on top of the
+ * selected storage backend's range reads, with continuation cursors.
+ */
+
+import { readStatementEntries, getVoidedIds } from "../storage/index.js";
+import { AGENT_IFIS } from "./statement.js";
+import { dayKey, dayStart, dayEnd, addDays, daysBetween, isDayKey } from "./partition.js";
+
+/**
+ * Maximum number of days a single query may span.
+ */
+export const MAX_RANGE_DAYS = 31;
+
+/**
+ * Maximum number of statements returned by one query (limit=0 means this).
+ */
+export const MAX_LIMIT = 10000;
+
+/**
+ * Valid values of the format parameter.
+ */
+const FORMATS = ["exact", "ids", "canonical"];
+
+/**
+ * Context activity categories searched when related_activities=true.
+ */
+const CONTEXT_ACTIVITY_KEYS = ["parent", "grouping", "category", "other"];
+
+/**
+ * Parses a boolean query parameter.
+ * @param {string|undefined} value - Raw value
+ * @param {boolean} defaultValue - Value when absent
+ * @returns {boolean|null} Parsed value, or null if invalid
+ */
+function parseBoolean(value, defaultValue) {
+    if (value === undefined) {
+        return defaultValue;
+    }
+    if (value === "true") {
+        return true;
+    }
+    if (value === "false") {
+        return false;
+    }
+    return null;
+}
+
+/**
+ * Parses the agent parameter (an xAPI Agent as JSON).
+ * @param {string} value - Raw value
+ * @returns {object|null} Agent, or null if it has no usable IFI
+ */
+export function parseAgent(value) {
+    let agent;
+    try {
+        agent = JSON.parse(value);
+    } catch {
+        return null;
+    }
+    if (!agent || typeof agent !== "object") {
+        return null;
+    }
+
+    const ifis = AGENT_IFIS.filter(k => agent[k] !== undefined);
+    if (ifis.length !== 1) {
+        return null;
+    }
+    if (ifis[0] === "account" && (!agent.account.homePage || !agent.account.name)) {
+        return null;
+    }
+    return agent;
+}
+
+/**
+ * Parses statement query parameters.
+ * Accepts the xAPI parameters (verb, activity, registration, agent, since, until,
+ * limit, ascending, related_activities, format) as well as the legacy
+ * startDate / endDate / actorId parameters, and a continuation cursor (more).
+ * @param {object} params - req.query
+ * @param {{ascending?: boolean, maxRangeDays?: number, maxLimit?: number}} [defaults] - Defaults for
+ *   optional parameters; maxRangeDays and maxLimit raise the limits for exports
+ * @returns {{valid: boolean, errors: string[], query?: object}}
+ */
+export function parseStatementQuery(params, defaults = {}) {
+    const maxRangeDays = defaults.maxRangeDays ?? MAX_RANGE_DAYS;
+    const maxLimit = defaults.maxLimit ?? MAX_LIMIT;
+
+    let cursor = null;
+    if (params.more !== undefined) {
+        const decoded = decodeCursor(params.more);
+        if (!decoded) {
+            return { valid: false, errors: ["more is not a valid continuation cursor"] };
+        }
+        // The cursor carries the original query; only the position is new
+        params = decoded.params;
+        cursor = decoded.position;
+    }
+
+    const errors = [];
+    const query = {
+        params,
+        cursor,
+        verb: params.verb,
+        activity: params.activity,
+        registration: params.registration,
+        actorId: params.actorId,
+        agent: null,
+        since: null,
+        until: null,
+        start: null,
+        end: null,
+        limit: maxLimit,
+        ascending: defaults.ascending ?? false,
+        relatedActivities: false,
+        format: "exact",
+    };
+
+    // Date range: since/until (xAPI) or startDate/endDate (legacy)
+    // Legacy plain dates (YYYY-MM-DD) cover whole days of the partition time zone
+    for (const [key, target] of [["since", "since"], ["until", "until"], ["startDate", "start"], ["endDate", "end"]]) {
+        if (params[key] === undefined) continue;
+        let date = new Date(params[key]);
+        if (target === "start" && isDayKey(params[key])) {
+            date = dayStart(params[key]);
+        } else if (target === "end" && isDayKey(params[key])) {
+            date = dayEnd(params[key]);
+        }
+        if (isNaN(date.getTime())) {
+            errors.push(`${key} must be a valid ISO 8601 date`);
+        } else {
+            query[target] = date;
+        }
+    }
+
+    if (params.agent !== undefined) {
+        query.agent = parseAgent(params.agent);
+        if (!query.agent) {
+            errors.push("agent must be an xAPI Agent JSON object with exactly one identifier");
+        }
+    }
+
+    if (params.limit !== undefined) {
+        const limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 0) {
+            errors.push("limit must be a non-negative integer");
+        } else {
+            query.limit = limit === 0 ? maxLimit : Math.min(limit, maxLimit);
+        }
+    }
+
+    const ascending = parseBoolean(params.ascending, query.ascending);
+    if (ascending === null) {
+        errors.push("ascending must be true or false");
+    } else {
+        query.ascending = ascending;
+    }
+
+    const related = parseBoolean(params.related_activities, false);
+    if (related === null) {
+        errors.push("related_activities must be true or false");
+    } else {
+        query.relatedActivities = related;
+    }
+
+    if (params.format !== undefined) {
+        if (!FORMATS.includes(params.format)) {
+            errors.push(`format must be one of: ${FORMATS.join(", ")}`);
+        } else {
+            query.format = params.format;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    // Resolve the range that is actually read from storage
+    query.end = query.until || query.end || new Date();
+    query.start = query.since || query.start || new Date(query.end.getTime() - MAX_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (query.start > query.end) {
+        errors.push("start of range (since/startDate) must be before or equal to its end (until/endDate)");
+    } else if (daysBetween(dayKey(query.start), dayKey(query.end)) > maxRangeDays) {
+        errors.push(`Maximum ${maxRangeDays} days per query`);
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, errors, query };
+}
+
+/**
+ * Checks whether an agent (or group member) matches the query agent by IFI.
+ * @param {object|undefined} candidate - Agent in the statement
+ * @param {object} agent - Query agent
+ * @returns {boolean}
+ */
+export function agentMatches(candidate, agent) {
+    if (!candidate || typeof candidate !== "object") {
+        return false;
+    }
+    if (agent.account) {
+        if (candidate.account?.homePage === agent.account.homePage && candidate.account?.name === agent.account.name) {
+            return true;
+        }
+    } else {
+        const key = AGENT_IFIS.find(k => agent[k] !== undefined);
+        if (candidate[key] === agent[key]) {
+            return true;
+        }
+    }
+    // Identified groups match through their members
+    return Array.isArray(candidate.member) && candidate.member.some(m => agentMatches(m, agent));
+}
+
+/**
+ * Collects the ids of activities related to a statement (object and context activities).
+ * @param {object} statement - The xAPI Statement
+ * @returns {string[]}
+ */
+function relatedActivityIds(statement) {
+    const ids = [];
+    if (statement.object?.id) {
+        ids.push(statement.object.id);
+    }
+    const contextActivities = statement.context?.contextActivities || {};
+    for (const key of CONTEXT_ACTIVITY_KEYS) {
+        const list = contextActivities[key];
+        for (const activity of Array.isArray(list) ? list : list ? [list] : []) {
+            if (activity?.id) {
+                ids.push(activity.id);
+            }
+        }
+    }
+    return ids;
+}
+
+/**
+ * Tests a statement against the query filters.
+ * @param {object} statement - The xAPI Statement
+ * @param {object} query - Parsed query (from parseStatementQuery)
+ * @returns {boolean}
+ */
+export function matchesQuery(statement, query) {
+    if (query.actorId && statement.actor?.account?.name !== query.actorId) {
+        return false;
+    }
+    if (query.verb && statement.verb?.id !== query.verb) {
+        return false;
+    }
+    if (query.registration && statement.context?.registration !== query.registration) {
+        return false;
+    }
+    if (query.classrooms && !query.classrooms.includes(statement.context?.registration)) {
+        return false;
+    }
+    if (query.agent) {
+        const objectIsAgent = statement.object?.objectType === "Agent" || statement.object?.objectType === "Group";
+        if (!agentMatches(statement.actor, query.agent) && !(objectIsAgent && agentMatches(statement.object, query.agent))) {
+            return false;
+        }
+    }
+    if (query.activity) {
+        const ids = query.relatedActivities ? relatedActivityIds(statement) : [statement.object?.id];
+        if (!ids.includes(query.activity)) {
+            return false;
+        }
+    }
+    if (statement.timestamp) {
+        const time = new Date(statement.timestamp);
+        // since is exclusive, until is inclusive (xAPI 1.0.3)
+        if (query.since && time <= query.since) {
+            return false;
+        }
+        if (query.until && time > query.until) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Extracts the filters a storage backend can answer from its indexes
+ * (the `filter` read option). Backends without indexes ignore it, so the
+ * statements read are still tested with matchesQuery.
+ * @param {object} query - Parsed query, or any matchesQuery filter
+ * @returns {{verb?: string, registration?: string, classrooms?: string[], agent?: object}}
+ */
+export function storageFilter(query) {
+    const filter = {};
+    for (const key of ["verb", "registration", "classrooms", "agent"]) {
+        if (query[key]) {
+            filter[key] = query[key];
+        }
+    }
+    return filter;
+}
+
+/**
+ * Encodes a continuation cursor for a query.
+ * The cursor is opaque to clients: it carries the original parameters (with the
+ * resolved range pinned, so "last 31 days" does not drift between pages) and
+ * the position of the last returned statement.
+ * @param {object} query - Parsed query (from parseStatementQuery)
+ * @param {object} position - Position of the last returned statement
+ * @returns {string} base64url token
+ */
+export function encodeCursor(query, position) {
+    const params = { ...query.params };
+    delete params.more;
+    if (params.since === undefined && params.startDate === undefined) {
+        params.startDate = query.start.toISOString();
+    }
+    if (params.until === undefined && params.endDate === undefined) {
+        params.endDate = query.end.toISOString();
+    }
+    params.ascending = String(query.ascending);
+    return Buffer.from(JSON.stringify({ params, position }), "utf8").toString("base64url");
+}
+
+/**
+ * Decodes a continuation cursor.
+ * @param {string} token - base64url token
+ * @returns {{params: object, position: object}|null} Decoded cursor, or null if invalid
+ */
+function decodeCursor(token) {
+    try {
+        const decoded = JSON.parse(Buffer.from(String(token), "base64url").toString("utf8"));
+        if (!decoded || typeof decoded.params !== "object" || typeof decoded.position?.date !== "string") {
+            return null;
+        }
+        return decoded;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Compares two positions within the same day (for descending order).
+ * Orders by timestamp, then by storage position.
+ * @param {{timestamp: string, file: number|string, offset: number}} a
+ * @param {{timestamp: string, file: number|string, offset: number}} b
+ * @returns {number}
+ */
+function comparePositions(a, b) {
+    const time = new Date(a.timestamp) - new Date(b.timestamp);
+    if (time !== 0) {
+        return time;
+    }
+    if (a.file !== b.file) {
+        return typeof a.file === "number" ? a.file - b.file : String(a.file).localeCompare(String(b.file));
+    }
+    return a.offset - b.offset;
+}
+
+/**
+ * Runs a statement query, yielding matching statements with their position.
+ * Ascending queries stream in storage (append) order and resume from the exact
+ * storage position of the cursor. Descending queries read one day at a time from
+ * the end of the range and resume within the cursor's day. No backend can read a
+ * day in reverse, so each day is still read in full, but only its newest
+ * limit + 1 matches are kept in memory (what callers consume at most).
+ * Voided statements are skipped. The limit is not applied here; callers stop iterating when they have enough.
+ * @param {object} query - Parsed query (from parseStatementQuery)
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the storage reads (e.g. the client disconnected)
+ * @returns {AsyncGenerator<{statement: object, position: object}>}
+ */
+export async function* queryStatementEntries(query, options = {}) {
+    // Voided statements are never returned by queries (use voidedStatementId)
+    const voided = await getVoidedIds();
+    const visible = (statement) => !voided.has(statement.id) && matchesQuery(statement, query);
+    const readOptions = { ...options, filter: storageFilter(query) };
+
+    if (query.ascending) {
+        for await (const entry of readStatementEntries(query.start, query.end, query.cursor || undefined, readOptions)) {
+            if (visible(entry.statement)) {
+                yield entry;
+            }
+        }
+        return;
+    }
+
+    const firstDay = dayKey(query.start);
+    const lastDay = query.cursor ? query.cursor.date : dayKey(query.end);
+    // Callers stop after limit + 1 entries (the extra one tells them there is more)
+    let wanted = query.limit + 1;
+
+    for (let day = lastDay; day >= firstDay && wanted > 0; day = addDays(day, -1)) {
+        const start = dayStart(day);
+        const from = start < query.start ? query.start : start;
+
+        const newest = new NewestEntries(wanted);
+        for await (const { statement, position } of readStatementEntries(from, dayEnd(day), undefined, readOptions)) {
+            if (!visible(statement)) {
+                continue;
+            }
+            const entry = { statement, position: { ...position, timestamp: statement.timestamp } };
+            // Skip what the previous page already returned
+            if (query.cursor && query.cursor.date === day
+                && comparePositions(entry.position, query.cursor) >= 0) {
+                continue;
+            }
+            newest.add(entry);
+        }
+
+        for (const entry of newest.entries()) {
+            wanted--;
+            yield entry;
+        }
+    }
+}
+
+/**
+ * Keeps the newest entries of a day (by comparePositions) in a bounded buffer.
+ * Entries are collected up to twice the capacity, then sorted and truncated,
+ * so memory stays proportional to the capacity rather than to the day.
+ */
+class NewestEntries {
+    /**
+     * @param {number} capacity - Number of entries to keep
+     */
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.buffered = [];
+    }
+
+    /**
+     * Adds an entry, dropping the oldest ones once the buffer is full.
+     * @param {{statement: object, position: object}} entry
+     */
+    add(entry) {
+        this.buffered.push(entry);
+        if (this.buffered.length >= this.capacity * 2) {
+            this.truncate();
+        }
+    }
+
+    /**
+     * Sorts the buffer newest first and keeps only the capacity.
+     */
+    truncate() {
+        this.buffered.sort((a, b) => comparePositions(b.position, a.position));
+        this.buffered.length = Math.min(this.buffered.length, this.capacity);
+    }
+
+    /**
+     * Returns the kept entries, newest first.
+     * @returns {Array<{statement: object, position: object}>}
+     */
+    entries() {
+        this.truncate();
+        return this.buffered;
+    }
+}
+
+/**
+ * Runs a statement query, yielding matching statements in the requested order.
+ * @param {object} query - Parsed query (from parseStatementQuery)
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the storage reads
+ * @returns {AsyncGenerator<object>}
+ */
+export async function* queryStatements(query, options = {}) {
+    for await (const { statement } of queryStatementEntries(query, options)) {
+        yield statement;
+    }
+}
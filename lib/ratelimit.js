@@ -0,0 +1,285 @@
+/**
+ * Rate limiting of statement ingest.
+ * - Token buckets per credential, per actor and per client IP, measured in
+ *   statements (a batch of 50 costs 50); a rate of 0 disables a bucket kind
+ * - Daily quota of statements per registration (days of the partition time zone)
+ * - Counters of throttled requests per credential / actor / IP / registration
+ *
+ * State is kept in memory, per server process. Quotas start over on restart.
+ */
+
+import { createHash } from "crypto";
+import { AGENT_IFIS } from "./statement.js";
+import { pseudonymizeName } from "./privacy.js";
+import { dayKey, dayEnd } from "./partition.js";
+
+/**
+ * Kinds of token buckets.
+ */
+export const BUCKET_KINDS = ["token", "actor", "ip"];
+
+/**
+ * Number of buckets above which idle (full) buckets are dropped.
+ */
+const MAX_BUCKETS = 10000;
+
+/**
+ * Maximum number of keys kept in the throttle counters.
+ */
+const MAX_THROTTLE_KEYS = 1000;
+
+/**
+ * Current settings: {rate, burst} per bucket kind, and the registration quota.
+ */
+let settings = {
+    token: { rate: 0, burst: 0 },
+    actor: { rate: 0, burst: 0 },
+    ip: { rate: 0, burst: 0 },
+    registrationDailyQuota: 0,
+};
+
+/**
+ * Token buckets, keyed by "kind:key".
+ */
+let buckets = new Map();
+
+/**
+ * Statements counted per registration for the current quota day.
+ */
+let quotaDay = null;
+let quotaCounts = new Map();
+
+/**
+ * Throttle counters, keyed by "kind:key", and totals per kind.
+ */
+let throttled = new Map();
+let throttledTotals = createTotals();
+let throttledSince = new Date();
+
+/**
+ * Creates empty throttle totals.
+ * @returns {Record<string, {requests: number, statements: number}>}
+ */
+function createTotals() {
+    return Object.fromEntries([...BUCKET_KINDS, "registration"].map(kind => [kind, { requests: 0, statements: 0 }]));
+}
+
+/**
+ * Configures the rate limits.
+ * @param {object} options
+ * @param {{rate?: number, burst?: number}} [options.token] - Per credential (statements/second, bucket size)
+ * @param {{rate?: number, burst?: number}} [options.actor] - Per actor
+ * @param {{rate?: number, burst?: number}} [options.ip] - Per client IP
+ * @param {number} [options.registrationDailyQuota] - Statements per registration and day (0 disables)
+ * @returns {{token: string, actor: string, ip: string, registrationDailyQuota: number}} Summary for logging
+ */
+export function configureRateLimit(options) {
+    const limit = (value = {}) => {
+        const rate = Math.max(0, Number(value.rate) || 0);
+        // The bucket holds at least one second's worth of statements
+        const burst = rate > 0 ? Math.max(Number(value.burst) || 0, rate, 1) : 0;
+        return { rate, burst };
+    };
+
+    settings = {
+        token: limit(options.token),
+        actor: limit(options.actor),
+        ip: limit(options.ip),
+        registrationDailyQuota: Math.max(0, Math.floor(Number(options.registrationDailyQuota) || 0)),
+    };
+    buckets = new Map();
+    quotaDay = null;
+    quotaCounts = new Map();
+    throttled = new Map();
+    throttledTotals = createTotals();
+    throttledSince = new Date();
+
+    const describe = ({ rate, burst }) => rate > 0 ? `${rate}/s (burst ${burst})` : "off";
+    return {
+        token: describe(settings.token),
+        actor: describe(settings.actor),
+        ip: describe(settings.ip),
+        registrationDailyQuota: settings.registrationDailyQuota,
+    };
+}
+
+/**
+ * Builds the key identifying an actor in buckets and counters.
+ * Account names are pseudonymized like stored statements; other identifiers are hashed.
+ * @param {object} actor - Agent or Group
+ * @returns {string|null} Key, or null for actors without an identifier (anonymous groups)
+ */
+function actorKey(actor) {
+    const ifi = AGENT_IFIS.find(k => actor?.[k] !== undefined);
+    if (!ifi) {
+        return null;
+    }
+    if (ifi === "account") {
+        return `${actor.account.homePage}|${pseudonymizeName(actor.account.name)}`;
+    }
+    return `${ifi}:${createHash("sha256").update(String(actor[ifi]), "utf8").digest("hex").slice(0, 16)}`;
+}
+
+/**
+ * Gets a bucket, refilled up to now.
+ * @param {string} kind - Bucket kind
+ * @param {string} key - Bucket key
+ * @param {number} now - Current time (ms)
+ * @returns {{tokens: number, updated: number}}
+ */
+function getBucket(kind, key, now) {
+    const limit = settings[kind];
+    const id = `${kind}:${key}`;
+    let bucket = buckets.get(id);
+    if (!bucket) {
+        bucket = { tokens: limit.burst, updated: now };
+        buckets.set(id, bucket);
+    } else {
+        bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updated) / 1000 * limit.rate);
+        bucket.updated = now;
+    }
+    return bucket;
+}
+
+/**
+ * Drops buckets that have refilled completely, once there are too many.
+ * @param {number} now - Current time (ms)
+ */
+function pruneBuckets(now) {
+    if (buckets.size <= MAX_BUCKETS) {
+        return;
+    }
+    for (const [id, bucket] of buckets) {
+        const limit = settings[id.slice(0, id.indexOf(":"))];
+        if (bucket.tokens + (now - bucket.updated) / 1000 * limit.rate >= limit.burst) {
+            buckets.delete(id);
+        }
+    }
+}
+
+/**
+ * Records a throttled request in the counters.
+ * @param {string} kind - token | actor | ip | registration
+ * @param {string} key - Throttled key
+ * @param {number} statements - Statements in the rejected request
+ * @param {Date} now - Current time
+ */
+function recordThrottle(kind, key, statements, now) {
+    const id = `${kind}:${key}`;
+    const counter = throttled.get(id) || { kind, key, requests: 0, statements: 0, lastThrottledAt: null };
+    counter.requests++;
+    counter.statements += statements;
+    counter.lastThrottledAt = now.toISOString();
+    throttledTotals[kind].requests++;
+    throttledTotals[kind].statements += statements;
+    // Re-insert so the map stays ordered by last throttle; drop the stalest keys
+    throttled.delete(id);
+    throttled.set(id, counter);
+    while (throttled.size > MAX_THROTTLE_KEYS) {
+        throttled.delete(throttled.keys().next().value);
+    }
+}
+
+/**
+ * Checks an ingest request against the rate limits and quotas, and charges it
+ * if it is allowed. Nothing is charged when any limit rejects the request.
+ * @param {object} request
+ * @param {string} request.credential - Credential name
+ * @param {string} request.ip - Client IP
+ * @param {object[]} request.statements - Statements of the request
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {{allowed: true} | {allowed: false, kind: string, key: string, retryAfter: number, reason: string}}
+ *   retryAfter in whole seconds
+ */
+export function checkIngest({ credential, ip, statements }, now = new Date()) {
+    const time = now.getTime();
+
+    // Statements charged to each bucket
+    const demands = new Map();
+    const demand = (kind, key) => {
+        if (settings[kind].rate > 0 && key) {
+            const id = `${kind}:${key}`;
+            demands.set(id, { kind, key, cost: (demands.get(id)?.cost || 0) + 1 });
+        }
+    };
+    for (const statement of statements) {
+        demand("token", credential);
+        demand("actor", actorKey(statement.actor));
+        demand("ip", ip);
+    }
+
+    for (const { kind, key, cost } of demands.values()) {
+        const limit = settings[kind];
+        const bucket = getBucket(kind, key, time);
+        const needed = Math.min(cost, limit.burst);
+        if (bucket.tokens < needed) {
+            recordThrottle(kind, key, statements.length, now);
+            return {
+                allowed: false,
+                kind,
+                key,
+                retryAfter: Math.max(1, Math.ceil((needed - bucket.tokens) / limit.rate)),
+                reason: `Rate limit exceeded for ${kind} ${key} (${limit.rate} statement(s)/s, burst ${limit.burst})`,
+            };
+        }
+    }
+
+    // Daily registration quota
+    const perRegistration = new Map();
+    if (settings.registrationDailyQuota > 0) {
+        const today = dayKey(now);
+        if (quotaDay !== today) {
+            quotaDay = today;
+            quotaCounts = new Map();
+        }
+        for (const statement of statements) {
+            const registration = statement.context?.registration;
+            if (registration) {
+                perRegistration.set(registration, (perRegistration.get(registration) || 0) + 1);
+            }
+        }
+        for (const [registration, count] of perRegistration) {
+            if ((quotaCounts.get(registration) || 0) + count > settings.registrationDailyQuota) {
+                recordThrottle("registration", registration, statements.length, now);
+                return {
+                    allowed: false,
+                    kind: "registration",
+                    key: registration,
+                    retryAfter: Math.max(1, Math.ceil((dayEnd(today).getTime() + 1 - time) / 1000)),
+                    reason: `Daily quota of ${settings.registrationDailyQuota} statement(s) exceeded for registration ${registration}`,
+                };
+            }
+        }
+    }
+
+    // Allowed: charge every bucket and quota
+    for (const { kind, key, cost } of demands.values()) {
+        const bucket = buckets.get(`${kind}:${key}`);
+        bucket.tokens = Math.max(0, bucket.tokens - cost);
+    }
+    for (const [registration, count] of perRegistration) {
+        quotaCounts.set(registration, (quotaCounts.get(registration) || 0) + count);
+    }
+    pruneBuckets(time);
+
+    return { allowed: true };
+}
+
+/**
+ * Gets the throttle counters (most throttled first) and today's quota usage.
+ * @returns {{since: string, settings: object, totals: Record<string, {requests: number, statements: number}>, throttled: object[], quotas: {day: string|null, registrations: Array<{registration: string, statements: number}>}}}
+ */
+export function getThrottleStats() {
+    return {
+        since: throttledSince.toISOString(),
+        settings,
+        totals: throttledTotals,
+        throttled: [...throttled.values()].sort((a, b) => b.requests - a.requests),
+        quotas: {
+            day: quotaDay,
+            registrations: [...quotaCounts]
+                .map(([registration, statements]) => ({ registration, statements }))
+                .sort((a, b) => b.statements - a.statements),
+        },
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * Retention policy for stored statements.
+ * Whole days older than the retention period are deleted, or archived first
+ * (moved to an archive directory / copied under an archive prefix).
+ * Runs as a scheduled in-process task or from scripts/retention.js.
+ */
+
+import { listDays, removeDay, appendAuditRecord } from "../storage/index.js";
+import { dayKey, addDays } from "./partition.js";
+
+/**
+ * Supported retention actions.
+ */
+export const RETENTION_ACTIONS = ["delete", "archive"];
+
+/**
+ * Delay before the first scheduled run after startup.
+ */
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+
+/**
+ * Name of the audit log retention runs are recorded in.
+ */
+const AUDIT_LOG = "retention";
+
+/**
+ * Current retention settings.
+ */
+let settings = {
+    days: 0,
+    action: "delete",
+    archive: null,
+    intervalHours: 24,
+};
+
+/**
+ * Scheduled task timers.
+ */
+let firstRunTimer = null;
+let intervalTimer = null;
+
+/**
+ * Configures the retention policy.
+ * @param {{days?: number, action?: string, archive?: string|null, intervalHours?: number}} options
+ *   days: retention period (0 disables), action: delete | archive,
+ *   archive: archive directory (local) or prefix (GCS), intervalHours: schedule interval
+ * @returns {{enabled: boolean, days: number, action: string, archive: string|null}} Summary for logging
+ */
+export function configureRetention(options) {
+    const action = options.action || "delete";
+    if (!RETENTION_ACTIONS.includes(action)) {
+        throw new Error(`Unknown retention action: ${action} (expected ${RETENTION_ACTIONS.join(", ")})`);
+    }
+    if (action === "archive" && !options.archive) {
+        throw new Error("Retention action archive requires an archive directory or prefix");
+    }
+
+    settings = {
+        days: Math.max(0, options.days || 0),
+        action,
+        archive: action === "archive" ? options.archive : null,
+        intervalHours: options.intervalHours || 24,
+    };
+
+    return { enabled: settings.days > 0, days: settings.days, action, archive: settings.archive };
+}
+
+/**
+ * Computes the first day that is kept (in the partition time zone).
+ * @param {Date} now - Current time
+ * @returns {string} Day key (YYYY-MM-DD); older days are past retention
+ */
+function cutoffDayKey(now) {
+    return addDays(dayKey(now), -settings.days);
+}
+
+/**
+ * Applies the retention policy once.
+ * @param {{now?: Date, dryRun?: boolean}} [options] - dryRun only reports the days that would be removed
+ * @returns {Promise<{cutoff: string, action: string, dryRun: boolean, days: Array<{day: string, files: string[], bytes: number}>}>}
+ */
+export async function runRetention(options = {}) {
+    const now = options.now || new Date();
+    const dryRun = Boolean(options.dryRun);
+    if (settings.days <= 0) {
+        throw new Error("Retention is not configured (RETENTION_DAYS)");
+    }
+
+    const cutoff = cutoffDayKey(now);
+    const report = { cutoff, action: settings.action, dryRun, days: [] };
+    const expired = (await listDays()).filter(day => day < cutoff);
+
+    for (const day of expired) {
+        if (dryRun) {
+            report.days.push({ day, files: [], bytes: 0 });
+            continue;
+        }
+        const result = await removeDay(day, settings.archive);
+        report.days.push(result);
+        console.log(`[retention] ${settings.action === "archive" ? "Archived" : "Deleted"} ${day}: ${result.files.length} file(s), ${result.bytes} byte(s)`);
+    }
+
+    if (!dryRun && report.days.length > 0) {
+        await appendAuditRecord(AUDIT_LOG, { ...report, ranAt: now.toISOString(), archive: settings.archive });
+    }
+    console.log(`[retention] ${dryRun ? "Dry run: " : ""}${report.days.length} day(s) before ${cutoff} ${dryRun ? "would be " : ""}${settings.action === "archive" ? "archived" : "deleted"}`);
+    return report;
+}
+
+/**
+ * Runs the retention policy, logging failures instead of throwing.
+ */
+function scheduledRun() {
+    runRetention().catch(error => console.error("[retention] Scheduled run failed:", error.message));
+}
+
+/**
+ * Starts the in-process retention schedule (no-op when retention is disabled).
+ * The first run happens shortly after startup, then every intervalHours.
+ */
+export function startRetentionSchedule() {
+    stopRetentionSchedule();
+    if (settings.days <= 0) {
+        return;
+    }
+    firstRunTimer = setTimeout(scheduledRun, FIRST_RUN_DELAY_MS);
+    firstRunTimer.unref();
+    intervalTimer = setInterval(scheduledRun, settings.intervalHours * 60 * 60 * 1000);
+    intervalTimer.unref();
+}
+
+/**
+ * Stops the in-process retention schedule.
+ */
+export function stopRetentionSchedule() {
+    clearTimeout(firstRunTimer);
+    clearInterval(intervalTimer);
+    firstRunTimer = null;
+    intervalTimer = null;
+}
@@ -0,0 +1,314 @@
+/**
+ * Learning session reconstruction.
+ * Splits the statements of a registration or an actor into work sessions per
+ * actor and registration: a session starts with "opened" (or the first statement
+ * after a break) and ends with "closed", a new "opened", or an idle gap.
+ * Each session reports its duration, block placements, edits, executions,
+ * edit/run cycles and the time to the first successful download to a device.
+ */
+
+import { readStatementsInRange, getVoidedIds } from "../storage/index.js";
+import { parseAgent, matchesQuery, storageFilter, MAX_RANGE_DAYS } from "./query.js";
+import { actorIdentifier } from "./statement.js";
+import { isValidUUID } from "./validation.js";
+import { dayKey, dayStart, dayEnd, addDays, daysBetween, isDayKey, getPartitionTimeZone } from "./partition.js";
+
+/**
+ * Prefix of the picapica-2d verb ids.
+ */
+const VERB_PREFIX = "urn:xapi:picapica-2d:verb:";
+
+/**
+ * Verbs counted as edits of the program (placements are counted on their own).
+ */
+const EDIT_VERBS = ["edited", "removed", "moved", "connected", "disconnected", "nested"];
+
+/**
+ * Default idle gap (minutes) after which a session ends.
+ */
+export const DEFAULT_IDLE_MINUTES = 15;
+
+/**
+ * Maximum idle gap (minutes) a request may ask for.
+ */
+const MAX_IDLE_MINUTES = 24 * 60;
+
+/**
+ * Parses session parameters.
+ * Params: registration and/or agent (at least one), from, to (day keys,
+ * inclusive; default the last 7 days), idleMinutes.
+ * @param {object} params - req.query
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {{valid: boolean, errors: string[], query?: object}}
+ */
+export function parseSessionQuery(params, now = new Date()) {
+    const errors = [];
+    const query = {
+        registration: params.registration,
+        agent: null,
+        from: params.from,
+        to: params.to ?? dayKey(now),
+        idleMinutes: DEFAULT_IDLE_MINUTES,
+    };
+
+    if (params.registration === undefined && params.agent === undefined) {
+        errors.push("registration or agent is required");
+    }
+    if (params.registration !== undefined && !isValidUUID(params.registration)) {
+        errors.push("registration must be a UUID");
+    }
+    if (params.agent !== undefined) {
+        query.agent = parseAgent(params.agent);
+        if (!query.agent) {
+            errors.push("agent must be an xAPI Agent JSON object with exactly one identifier");
+        }
+    }
+
+    for (const key of ["from", "to"]) {
+        if (query[key] !== undefined && !isDayKey(query[key])) {
+            errors.push(`${key} must be a date (YYYY-MM-DD)`);
+        }
+    }
+
+    if (params.idleMinutes !== undefined) {
+        const minutes = Number(params.idleMinutes);
+        if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_IDLE_MINUTES) {
+            errors.push(`idleMinutes must be a number between 0 and ${MAX_IDLE_MINUTES}`);
+        } else {
+            query.idleMinutes = minutes;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+
+    query.from = query.from ?? addDays(query.to, -6);
+    if (query.from > query.to) {
+        errors.push("from must be before or equal to to");
+    } else if (daysBetween(query.from, query.to) > MAX_RANGE_DAYS) {
+        errors.push(`Maximum ${MAX_RANGE_DAYS} days per query`);
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors };
+    }
+    return { valid: true, errors, query };
+}
+
+/**
+ * Reduces a statement to what session reconstruction needs.
+ * @param {object} statement - The xAPI Statement
+ * @returns {{time: number, verb: string, actor: string, registration: string|null, success: boolean}|null}
+ *   null for statements without a usable time or actor
+ */
+function toEvent(statement) {
+    const time = new Date(statement.timestamp || statement._meta?.ingestTime).getTime();
+    const actor = actorIdentifier(statement.actor);
+    if (isNaN(time) || !actor) {
+        return null;
+    }
+    const verbId = statement.verb?.id || "";
+    return {
+        time,
+        verb: verbId.startsWith(VERB_PREFIX) ? verbId.slice(VERB_PREFIX.length) : verbId,
+        actor,
+        registration: statement.context?.registration ?? null,
+        // A download counts as successful unless the result says otherwise
+        success: statement.result?.success !== false,
+    };
+}
+
+/**
+ * Creates a session starting with an event.
+ * @param {object} event - First event
+ * @returns {object}
+ */
+function startSession(event) {
+    return {
+        actor: event.actor,
+        registration: event.registration,
+        start: event.time,
+        last: event.time,
+        startedBy: event.verb === "opened" ? "opened" : "activity",
+        statements: 0,
+        placements: 0,
+        edits: 0,
+        executions: 0,
+        editRunCycles: 0,
+        downloads: 0,
+        saves: 0,
+        firstDownload: null,
+        editedSinceRun: false,
+    };
+}
+
+/**
+ * Finishes a session for the response.
+ * @param {object} session - Session being built
+ * @param {number} end - End time (ms)
+ * @param {string} endedBy - closed | reopened | idle | open
+ * @returns {object}
+ */
+function finishSession(session, end, endedBy) {
+    return {
+        actor: session.actor,
+        registration: session.registration,
+        start: new Date(session.start).toISOString(),
+        end: new Date(end).toISOString(),
+        durationSeconds: Math.round((end - session.start) / 1000),
+        startedBy: session.startedBy,
+        endedBy,
+        statements: session.statements,
+        placements: session.placements,
+        edits: session.edits,
+        executions: session.executions,
+        editRunCycles: session.editRunCycles,
+        downloads: session.downloads,
+        saves: session.saves,
+        firstDownload: session.firstDownload === null ? null : {
+            at: new Date(session.firstDownload).toISOString(),
+            secondsFromStart: Math.round((session.firstDownload - session.start) / 1000),
+        },
+    };
+}
+
+/**
+ * Counts an event into a session.
+ * @param {object} session - Session being built
+ * @param {object} event - The event
+ */
+function countEvent(session, event) {
+    session.statements++;
+    session.last = event.time;
+    if (event.verb === "placed") {
+        session.placements++;
+        session.editedSinceRun = true;
+    } else if (EDIT_VERBS.includes(event.verb)) {
+        session.edits++;
+        session.editedSinceRun = true;
+    } else if (event.verb === "executed") {
+        session.executions++;
+        // An edit/run cycle is a run after changes to the program
+        if (session.editedSinceRun) {
+            session.editRunCycles++;
+            session.editedSinceRun = false;
+        }
+    } else if (event.verb === "downloaded") {
+        session.downloads++;
+        if (event.success && session.firstDownload === null) {
+            session.firstDownload = event.time;
+        }
+    } else if (event.verb === "saved") {
+        session.saves++;
+    }
+}
+
+/**
+ * Splits the time-ordered events of one actor and registration into sessions.
+ * @param {object[]} events - Events ordered by time
+ * @param {number} idleMs - Idle gap that ends a session
+ * @param {number} now - Current time (ms); a session active within the idle gap is still open
+ * @returns {object[]} Finished sessions
+ */
+function splitSessions(events, idleMs, now) {
+    const sessions = [];
+    let current = null;
+
+    for (const event of events) {
+        if (current && event.time - current.last > idleMs) {
+            sessions.push(finishSession(current, current.last, "idle"));
+            current = null;
+        }
+        if (current && event.verb === "opened") {
+            sessions.push(finishSession(current, current.last, "reopened"));
+            current = null;
+        }
+        if (!current) {
+            current = startSession(event);
+        }
+        countEvent(current, event);
+        if (event.verb === "closed") {
+            sessions.push(finishSession(current, event.time, "closed"));
+            current = null;
+        }
+    }
+    if (current) {
+        sessions.push(finishSession(current, current.last, now - current.last > idleMs ? "idle" : "open"));
+    }
+    return sessions;
+}
+
+/**
+ * Reconstructs the sessions of the query's statements.
+ * Voided statements are ignored.
+ * @param {object} query - Parsed query (from parseSessionQuery); classrooms restricts registrations
+ * @param {{signal?: AbortSignal, now?: Date}} [options] - signal cancels the storage reads
+ * @returns {Promise<{from: string, to: string, timeZone: string, idleMinutes: number,
+ *   sessions: object[], actors: object[]}>} Sessions ordered by start, and totals per actor
+ */
+export async function reconstructSessions(query, options = {}) {
+    const now = (options.now || new Date()).getTime();
+    const voided = await getVoidedIds();
+    const filter = {
+        registration: query.registration,
+        agent: query.agent,
+        classrooms: query.classrooms,
+    };
+
+    // Events per actor and registration
+    const groups = new Map();
+    const statements = readStatementsInRange(dayStart(query.from), dayEnd(query.to), { signal: options.signal, filter: storageFilter(filter) });
+    for await (const statement of statements) {
+        if (voided.has(statement.id) || !matchesQuery(statement, filter)) {
+            continue;
+        }
+        const event = toEvent(statement);
+        if (!event) {
+            continue;
+        }
+        const key = JSON.stringify([event.actor, event.registration]);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(event);
+    }
+
+    const idleMs = query.idleMinutes * 60 * 1000;
+    const sessions = [...groups.values()]
+        .flatMap(events => splitSessions(events.sort((a, b) => a.time - b.time), idleMs, now))
+        .sort((a, b) => a.start.localeCompare(b.start) || a.actor.localeCompare(b.actor));
+
+    const actors = new Map();
+    for (const session of sessions) {
+        const totals = actors.get(session.actor) || {
+            actor: session.actor,
+            sessions: 0,
+            durationSeconds: 0,
+            placements: 0,
+            edits: 0,
+            executions: 0,
+            editRunCycles: 0,
+            downloads: 0,
+            firstDownloadSeconds: null,
+        };
+        totals.sessions++;
+        for (const key of ["durationSeconds", "placements", "edits", "executions", "editRunCycles", "downloads"]) {
+            totals[key] += session[key];
+        }
+        // Working time until the first successful download, over the sessions before it
+        if (totals.firstDownloadSeconds === null && session.firstDownload) {
+            totals.firstDownloadSeconds = totals.durationSeconds - session.durationSeconds + session.firstDownload.secondsFromStart;
+        }
+        actors.set(session.actor, totals);
+    }
+
+    return {
+        from: query.from,
+        to: query.to,
+        timeZone: getPartitionTimeZone(),
+        idleMinutes: query.idleMinutes,
+        sessions,
+        actors: [...actors.values()].sort((a, b) => a.actor.localeCompare(b.actor)),
+    };
+}
@@ -0,0 +1,279 @@
+/**
+ * xAPI Statement helpers shared by routes and storage backends.
+ */
+
+import { createHash } from "crypto";
+
+/**
+ * Properties assigned by the LRS (or by this server) that are ignored when
+ * comparing two statements with the same id (xAPI 1.0.3 Statement Comparison).
+ */
+const SERVER_PROPERTIES = ["_meta", "stored", "authority", "version"];
+
+/**
+ * Serializes a value as JSON with object keys sorted, so that semantically equal
+ * statements produce the same string regardless of key order.
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJSON).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k])}`).join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Computes a content hash of a statement, ignoring server-assigned properties.
+ * Two statements with the same id and the same hash are exact duplicates.
+ * @param {object} statement - The xAPI Statement
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+export function statementHash(statement) {
+    const content = { ...statement };
+    for (const key of SERVER_PROPERTIES) {
+        delete content[key];
+    }
+    return createHash("sha256").update(canonicalJSON(content)).digest("hex");
+}
+
+/**
+ * Inverse Functional Identifier properties of an Agent or identified Group.
+ */
+export const AGENT_IFIS = ["mbox", "mbox_sha1sum", "openid", "account"];
+
+/**
+ * Gets a string identifying an actor in reports: "homePage|name" for accounts
+ * (pseudonyms when pseudonymization is on), otherwise the IFI value.
+ * @param {object} actor - Agent or Group
+ * @returns {string|null} Identifier, or null for actors without one (anonymous groups)
+ */
+export function actorIdentifier(actor) {
+    if (actor?.account) {
+        return `${actor.account.homePage}|${actor.account.name}`;
+    }
+    const ifi = AGENT_IFIS.find(k => actor?.[k] !== undefined);
+    return ifi ? String(actor[ifi]) : null;
+}
+
+/**
+ * Reduces an Agent or Group to its identifying properties (format=ids).
+ * @param {object} agent - Agent or Group
+ * @returns {object}
+ */
+function agentIds(agent) {
+    if (!agent || typeof agent !== "object") {
+        return agent;
+    }
+    const result = {};
+    if (agent.objectType) {
+        result.objectType = agent.objectType;
+    }
+    const ifi = AGENT_IFIS.find(k => agent[k] !== undefined);
+    if (ifi) {
+        result[ifi] = agent[ifi];
+    } else if (Array.isArray(agent.member)) {
+        // Anonymous groups are identified by their members
+        result.member = agent.member.map(agentIds);
+    }
+    return result;
+}
+
+/**
+ * Reduces an Activity to its identifying properties (format=ids).
+ * @param {object} activity - Activity
+ * @returns {object}
+ */
+function activityIds(activity) {
+    if (!activity || typeof activity !== "object") {
+        return activity;
+    }
+    return activity.objectType ? { objectType: activity.objectType, id: activity.id } : { id: activity.id };
+}
+
+/**
+ * Reduces the object of a statement according to its type (format=ids).
+ * @param {object} object - Statement object
+ * @returns {object}
+ */
+function objectIds(object) {
+    if (!object || typeof object !== "object") {
+        return object;
+    }
+    switch (object.objectType) {
+        case "Agent":
+        case "Group":
+            return agentIds(object);
+        case "StatementRef":
+            return { objectType: object.objectType, id: object.id };
+        case "SubStatement":
+            return toIdsFormat(object);
+        default:
+            return activityIds(object);
+    }
+}
+
+/**
+ * Converts a statement to the "ids" format.
+ * @param {object} statement - The xAPI Statement
+ * @returns {object}
+ */
+function toIdsFormat(statement) {
+    const result = { ...statement };
+    if (statement.actor) {
+        result.actor = agentIds(statement.actor);
+    }
+    if (statement.verb) {
+        result.verb = { id: statement.verb.id };
+    }
+    if (statement.object) {
+        result.object = objectIds(statement.object);
+    }
+    if (statement.authority) {
+        result.authority = agentIds(statement.authority);
+    }
+    if (statement.context) {
+        const context = { ...statement.context };
+        if (context.instructor) {
+            context.instructor = agentIds(context.instructor);
+        }
+        if (context.team) {
+            context.team = agentIds(context.team);
+        }
+        if (context.contextActivities) {
+            context.contextActivities = Object.fromEntries(
+                Object.entries(context.contextActivities).map(([key, list]) => [
+                    key,
+                    Array.isArray(list) ? list.map(activityIds) : activityIds(list),
+                ])
+            );
+        }
+        result.context = context;
+    }
+    return result;
+}
+
+/**
+ * Picks a single language from a language map (format=canonical).
+ * @param {object} map - Language map
+ * @param {string[]} languages - Preferred languages, most preferred first
+ * @returns {object}
+ */
+function canonicalLanguageMap(map, languages) {
+    if (!map || typeof map !== "object") {
+        return map;
+    }
+    const keys = Object.keys(map);
+    if (keys.length <= 1) {
+        return map;
+    }
+    const lowerKeys = keys.map(k => k.toLowerCase());
+    for (const language of languages) {
+        const lang = language.toLowerCase();
+        const exact = lowerKeys.indexOf(lang);
+        if (exact !== -1) {
+            return { [keys[exact]]: map[keys[exact]] };
+        }
+        const prefix = lowerKeys.findIndex(k => k.split("-")[0] === lang.split("-")[0]);
+        if (prefix !== -1) {
+            return { [keys[prefix]]: map[keys[prefix]] };
+        }
+    }
+    return { [keys[0]]: map[keys[0]] };
+}
+
+/**
+ * Applies canonicalLanguageMap to the language maps of an activity definition.
+ * @param {object} activity - Activity
+ * @param {string[]} languages - Preferred languages
+ * @returns {object}
+ */
+function canonicalActivity(activity, languages) {
+    if (!activity?.definition) {
+        return activity;
+    }
+    const definition = { ...activity.definition };
+    for (const key of ["name", "description"]) {
+        if (definition[key]) {
+            definition[key] = canonicalLanguageMap(definition[key], languages);
+        }
+    }
+    for (const key of ["choices", "scale", "source", "target", "steps"]) {
+        if (Array.isArray(definition[key])) {
+            definition[key] = definition[key].map(c => ({
+                ...c,
+                description: canonicalLanguageMap(c.description, languages),
+            }));
+        }
+    }
+    return { ...activity, definition };
+}
+
+/**
+ * Converts a statement to the "canonical" format (one language per language map).
+ * @param {object} statement - The xAPI Statement
+ * @param {string[]} languages - Preferred languages
+ * @returns {object}
+ */
+function toCanonicalFormat(statement, languages) {
+    const result = { ...statement };
+    if (statement.verb?.display) {
+        result.verb = { ...statement.verb, display: canonicalLanguageMap(statement.verb.display, languages) };
+    }
+    if (statement.object) {
+        result.object = statement.object.objectType === "SubStatement"
+            ? toCanonicalFormat(statement.object, languages)
+            : canonicalActivity(statement.object, languages);
+    }
+    if (statement.context?.contextActivities) {
+        result.context = {
+            ...statement.context,
+            contextActivities: Object.fromEntries(
+                Object.entries(statement.context.contextActivities).map(([key, list]) => [
+                    key,
+                    Array.isArray(list) ? list.map(a => canonicalActivity(a, languages)) : canonicalActivity(list, languages),
+                ])
+            ),
+        };
+    }
+    return result;
+}
+
+/**
+ * Formats a statement for a query response (xAPI format parameter).
+ * @param {object} statement - The xAPI Statement
+ * @param {"exact"|"ids"|"canonical"} format - Requested format
+ * @param {string[]} [languages] - Preferred languages for canonical format
+ * @returns {object}
+ */
+export function formatStatement(statement, format, languages = []) {
+    switch (format) {
+        case "ids":
+            return toIdsFormat(statement);
+        case "canonical":
+            return toCanonicalFormat(statement, languages);
+        default:
+            return statement;
+    }
+}
+
+/**
+ * Verb id of voiding statements.
+ */
+export const VOIDED_VERB = "http://adlnet.gov/expapi/verbs/voided";
+
+/**
+ * Gets the id of the statement a voiding statement voids.
+ * @param {object} statement - The xAPI Statement
+ * @returns {string|null} Target statement id, or null if this is not a voiding statement
+ */
+export function voidedTargetId(statement) {
+    if (statement?.verb?.id !== VOIDED_VERB || statement.object?.objectType !== "StatementRef") {
+        return null;
+    }
+    return statement.object.id || null;
+}
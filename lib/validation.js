@@ -0,0 +1,738 @@
+/**
+ * xAPI 1.0.3 Statement validation.
+ * Checks the full statement structure (actor, verb, object, result, context,
+ * attachments, extensions, ...) and then the rules of our own profile
+ * (required fields, known vocabulary, per-verb required extensions).
+ * Errors carry JSON pointer paths, e.g. /statements/3/result/score/scaled.
+ */
+
+import { getVerb, isKnownActivityType } from "./vocabulary.js";
+import { VOIDED_VERB } from "./statement.js";
+
+/**
+ * Properties allowed on each xAPI object.
+ */
+const ALLOWED_PROPERTIES = {
+    statement: ["id", "actor", "verb", "object", "result", "context", "timestamp", "stored", "authority", "version", "attachments"],
+    subStatement: ["objectType", "actor", "verb", "object", "result", "context", "timestamp", "attachments"],
+    agent: ["objectType", "name", "mbox", "mbox_sha1sum", "openid", "account"],
+    group: ["objectType", "name", "mbox", "mbox_sha1sum", "openid", "account", "member"],
+    account: ["homePage", "name"],
+    verb: ["id", "display"],
+    activity: ["objectType", "id", "definition"],
+    definition: [
+        "name", "description", "type", "moreInfo", "extensions", "interactionType",
+        "correctResponsesPattern", "choices", "scale", "source", "target", "steps",
+    ],
+    interactionComponent: ["id", "description"],
+    statementRef: ["objectType", "id"],
+    result: ["score", "success", "completion", "response", "duration", "extensions"],
+    score: ["scaled", "raw", "min", "max"],
+    context: [
+        "registration", "instructor", "team", "contextActivities", "revision",
+        "platform", "language", "statement", "extensions",
+    ],
+    contextActivities: ["parent", "grouping", "category", "other"],
+    attachment: ["usageType", "display", "description", "contentType", "length", "sha2", "fileUrl"],
+};
+
+/**
+ * Valid interaction types of an activity definition.
+ */
+const INTERACTION_TYPES = [
+    "true-false", "choice", "fill-in", "long-fill-in", "matching", "performance",
+    "sequencing", "likert", "numeric", "other",
+];
+
+/**
+ * Interaction component lists allowed per interaction type.
+ */
+const INTERACTION_COMPONENTS = {
+    choice: ["choices"],
+    sequencing: ["choices"],
+    likert: ["scale"],
+    matching: ["source", "target"],
+    performance: ["steps"],
+};
+
+/**
+ * Extension keys of each part of a statement whose presence can be required per verb.
+ */
+const EXTENSION_LOCATIONS = {
+    context: (statement) => statement.context?.extensions,
+    result: (statement) => statement.result?.extensions,
+    object: (statement) => statement.object?.definition?.extensions,
+};
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const IRI_REGEX = /^[a-z][a-z0-9+.-]*:[^\s]+$/i;
+const IRL_REGEX = /^https?:\/\/[^\s]+$/i;
+const MBOX_REGEX = /^mailto:[^\s@]+@[^\s@]+$/i;
+const SHA1_REGEX = /^[0-9a-f]{40}$/i;
+const SHA2_REGEX = /^[0-9a-f]{56,128}$/i;
+const LANGUAGE_TAG_REGEX = /^[a-z]{2,8}(-[a-z0-9]{1,8})*$/i;
+const VERSION_REGEX = /^1\.0(\.\d+)?$/;
+const TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+const DURATION_REGEX = /^P(?!$)(\d+(\.\d+)?Y)?(\d+(\.\d+)?M)?(\d+(\.\d+)?W)?(\d+(\.\d+)?D)?(T(?=\d)(\d+(\.\d+)?H)?(\d+(\.\d+)?M)?(\d+(\.\d+)?S)?)?$/;
+
+/**
+ * Validates a UUID format.
+ * @param {string} uuid - The string to validate
+ * @returns {boolean}
+ */
+export function isValidUUID(uuid) {
+    return typeof uuid === "string" && UUID_REGEX.test(uuid);
+}
+
+/**
+ * Escapes a key for use as a JSON pointer segment (RFC 6901).
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function pointerSegment(key) {
+    return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Collects validation errors with JSON pointer paths.
+ */
+class Validator {
+    /**
+     * @param {string} basePath - JSON pointer of the statement in the request body
+     */
+    constructor(basePath) {
+        this.basePath = basePath;
+        this.errors = [];
+    }
+
+    /**
+     * Records an error.
+     * @param {string} path - JSON pointer relative to the statement
+     * @param {string} message - Error message
+     */
+    error(path, message) {
+        this.errors.push({ path: `${this.basePath}${path}`, message });
+    }
+
+    /**
+     * Checks that a value is a plain object.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     * @returns {boolean}
+     */
+    object(value, path) {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            this.error(path, "must be an object");
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Reports properties not defined by xAPI for this object.
+     * @param {object} value - Object
+     * @param {string} kind - Key of ALLOWED_PROPERTIES
+     * @param {string} path - JSON pointer
+     */
+    properties(value, kind, path) {
+        for (const key of Object.keys(value)) {
+            if (!ALLOWED_PROPERTIES[kind].includes(key)) {
+                this.error(`${path}/${pointerSegment(key)}`, "is not an allowed property");
+            }
+        }
+    }
+
+    /**
+     * Checks a string against a pattern.
+     * @param {*} value - Value
+     * @param {RegExp} pattern - Pattern
+     * @param {string} path - JSON pointer
+     * @param {string} description - What the value must be
+     * @returns {boolean}
+     */
+    pattern(value, pattern, path, description) {
+        if (typeof value !== "string" || !pattern.test(value)) {
+            this.error(path, `must be ${description}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks that a value is a string.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    string(value, path) {
+        if (typeof value !== "string") {
+            this.error(path, "must be a string");
+        }
+    }
+
+    /**
+     * Checks that a value is a boolean.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    boolean(value, path) {
+        if (typeof value !== "boolean") {
+            this.error(path, "must be a boolean");
+        }
+    }
+
+    /**
+     * Checks a language map (RFC 5646 tags to strings).
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    languageMap(value, path) {
+        if (!this.object(value, path)) return;
+        for (const [tag, text] of Object.entries(value)) {
+            const keyPath = `${path}/${pointerSegment(tag)}`;
+            if (!LANGUAGE_TAG_REGEX.test(tag)) {
+                this.error(keyPath, "must be keyed by an RFC 5646 language tag");
+            }
+            this.string(text, keyPath);
+        }
+    }
+
+    /**
+     * Checks an extensions object (keys must be IRIs).
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    extensions(value, path) {
+        if (!this.object(value, path)) return;
+        for (const key of Object.keys(value)) {
+            if (!IRI_REGEX.test(key)) {
+                this.error(`${path}/${pointerSegment(key)}`, "extension key must be an IRI");
+            }
+        }
+    }
+
+    /**
+     * Checks a timestamp (ISO 8601 with a time zone; -00:00 is not allowed).
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    timestamp(value, path) {
+        if (!this.pattern(value, TIMESTAMP_REGEX, path, "an ISO 8601 date-time with a time zone")) return;
+        if (/-00(:?00)?$/.test(value)) {
+            this.error(path, "must not use the -00:00 time zone offset");
+        } else if (isNaN(new Date(value).getTime())) {
+            this.error(path, "must be a valid date-time");
+        }
+    }
+
+    /**
+     * Checks an Agent or Group.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     * @param {{groupOnly?: boolean}} [options]
+     */
+    actor(value, path, options = {}) {
+        if (!this.object(value, path)) return;
+
+        const isGroup = value.objectType === "Group";
+        if (options.groupOnly && !isGroup) {
+            this.error(`${path}/objectType`, "must be Group");
+            return;
+        }
+        if (value.objectType !== undefined && value.objectType !== "Agent" && !isGroup) {
+            this.error(`${path}/objectType`, "must be Agent or Group");
+            return;
+        }
+        this.properties(value, isGroup ? "group" : "agent", path);
+
+        if (value.name !== undefined) {
+            this.string(value.name, `${path}/name`);
+        }
+
+        const ifis = ["mbox", "mbox_sha1sum", "openid", "account"].filter(k => value[k] !== undefined);
+        if (ifis.length > 1) {
+            this.error(path, "must have at most one inverse functional identifier");
+        } else if (ifis.length === 0 && !isGroup) {
+            this.error(path, "must have an inverse functional identifier (mbox, mbox_sha1sum, openid or account)");
+        }
+
+        if (value.mbox !== undefined) {
+            this.pattern(value.mbox, MBOX_REGEX, `${path}/mbox`, "a mailto: IRI");
+        }
+        if (value.mbox_sha1sum !== undefined) {
+            this.pattern(value.mbox_sha1sum, SHA1_REGEX, `${path}/mbox_sha1sum`, "a hex-encoded SHA-1 hash");
+        }
+        if (value.openid !== undefined) {
+            this.pattern(value.openid, IRI_REGEX, `${path}/openid`, "a URI");
+        }
+        if (value.account !== undefined && this.object(value.account, `${path}/account`)) {
+            this.properties(value.account, "account", `${path}/account`);
+            this.pattern(value.account.homePage, IRL_REGEX, `${path}/account/homePage`, "an IRL");
+            if (typeof value.account.name !== "string" || !value.account.name) {
+                this.error(`${path}/account/name`, "must be a non-empty string");
+            }
+        }
+
+        if (isGroup) {
+            if (value.member === undefined) {
+                if (ifis.length === 0) {
+                    this.error(`${path}/member`, "is required for an anonymous Group");
+                }
+            } else if (!Array.isArray(value.member)) {
+                this.error(`${path}/member`, "must be an array");
+            } else {
+                value.member.forEach((member, i) => {
+                    const memberPath = `${path}/member/${i}`;
+                    if (member?.objectType === "Group") {
+                        this.error(`${memberPath}/objectType`, "must be Agent (Groups cannot contain Groups)");
+                    } else {
+                        this.actor(member, memberPath);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Checks a Verb.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    verb(value, path) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "verb", path);
+        this.pattern(value.id, IRI_REGEX, `${path}/id`, "an IRI");
+        if (value.display !== undefined) {
+            this.languageMap(value.display, `${path}/display`);
+        }
+    }
+
+    /**
+     * Checks an Activity.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    activity(value, path) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "activity", path);
+        if (value.objectType !== undefined && value.objectType !== "Activity") {
+            this.error(`${path}/objectType`, "must be Activity");
+        }
+        this.pattern(value.id, IRI_REGEX, `${path}/id`, "an IRI");
+        if (value.definition !== undefined) {
+            this.definition(value.definition, `${path}/definition`);
+        }
+    }
+
+    /**
+     * Checks an Activity Definition.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    definition(value, path) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "definition", path);
+
+        for (const key of ["name", "description"]) {
+            if (value[key] !== undefined) {
+                this.languageMap(value[key], `${path}/${key}`);
+            }
+        }
+        if (value.type !== undefined) {
+            this.pattern(value.type, IRI_REGEX, `${path}/type`, "an IRI");
+        }
+        if (value.moreInfo !== undefined) {
+            this.pattern(value.moreInfo, IRL_REGEX, `${path}/moreInfo`, "an IRL");
+        }
+        if (value.extensions !== undefined) {
+            this.extensions(value.extensions, `${path}/extensions`);
+        }
+
+        const componentKeys = ["choices", "scale", "source", "target", "steps"];
+        if (value.interactionType === undefined) {
+            for (const key of ["correctResponsesPattern", ...componentKeys]) {
+                if (value[key] !== undefined) {
+                    this.error(`${path}/${key}`, "requires interactionType");
+                }
+            }
+            return;
+        }
+
+        if (!INTERACTION_TYPES.includes(value.interactionType)) {
+            this.error(`${path}/interactionType`, `must be one of: ${INTERACTION_TYPES.join(", ")}`);
+            return;
+        }
+        if (value.correctResponsesPattern !== undefined) {
+            if (!Array.isArray(value.correctResponsesPattern)) {
+                this.error(`${path}/correctResponsesPattern`, "must be an array");
+            } else {
+                value.correctResponsesPattern.forEach((p, i) => this.string(p, `${path}/correctResponsesPattern/${i}`));
+            }
+        }
+
+        const allowed = INTERACTION_COMPONENTS[value.interactionType] || [];
+        for (const key of componentKeys) {
+            if (value[key] === undefined) continue;
+            const listPath = `${path}/${key}`;
+            if (!allowed.includes(key)) {
+                this.error(listPath, `is not allowed for interactionType ${value.interactionType}`);
+                continue;
+            }
+            if (!Array.isArray(value[key])) {
+                this.error(listPath, "must be an array");
+                continue;
+            }
+            const ids = new Set();
+            value[key].forEach((component, i) => {
+                const componentPath = `${listPath}/${i}`;
+                if (!this.object(component, componentPath)) return;
+                this.properties(component, "interactionComponent", componentPath);
+                if (typeof component.id !== "string" || !component.id) {
+                    this.error(`${componentPath}/id`, "must be a non-empty string");
+                } else if (ids.has(component.id)) {
+                    this.error(`${componentPath}/id`, "must be unique within the list");
+                }
+                ids.add(component.id);
+                if (component.description !== undefined) {
+                    this.languageMap(component.description, `${componentPath}/description`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Checks a Statement Reference.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    statementRef(value, path) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "statementRef", path);
+        if (value.objectType !== "StatementRef") {
+            this.error(`${path}/objectType`, "must be StatementRef");
+        }
+        if (!isValidUUID(value.id)) {
+            this.error(`${path}/id`, "must be a valid UUID");
+        }
+    }
+
+    /**
+     * Checks the object of a statement.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     * @param {boolean} inSubStatement - Whether this is the object of a SubStatement
+     */
+    statementObject(value, path, inSubStatement) {
+        if (!this.object(value, path)) return;
+        switch (value.objectType) {
+            case undefined:
+            case "Activity":
+                this.activity(value, path);
+                break;
+            case "Agent":
+            case "Group":
+                this.actor(value, path);
+                break;
+            case "StatementRef":
+                this.statementRef(value, path);
+                break;
+            case "SubStatement":
+                if (inSubStatement) {
+                    this.error(`${path}/objectType`, "a SubStatement cannot contain a SubStatement");
+                } else {
+                    this.subStatement(value, path);
+                }
+                break;
+            default:
+                this.error(`${path}/objectType`, "must be Activity, Agent, Group, StatementRef or SubStatement");
+        }
+    }
+
+    /**
+     * Checks a Result.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    result(value, path) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "result", path);
+
+        if (value.score !== undefined && this.object(value.score, `${path}/score`)) {
+            const score = value.score;
+            const scorePath = `${path}/score`;
+            this.properties(score, "score", scorePath);
+            for (const key of ["scaled", "raw", "min", "max"]) {
+                if (score[key] !== undefined && (typeof score[key] !== "number" || !isFinite(score[key]))) {
+                    this.error(`${scorePath}/${key}`, "must be a number");
+                }
+            }
+            if (typeof score.scaled === "number" && (score.scaled < -1 || score.scaled > 1)) {
+                this.error(`${scorePath}/scaled`, "must be between -1 and 1");
+            }
+            if (typeof score.min === "number" && typeof score.max === "number" && score.min >= score.max) {
+                this.error(`${scorePath}/max`, "must be greater than min");
+            }
+            if (typeof score.raw === "number") {
+                if (typeof score.min === "number" && score.raw < score.min) {
+                    this.error(`${scorePath}/raw`, "must not be less than min");
+                }
+                if (typeof score.max === "number" && score.raw > score.max) {
+                    this.error(`${scorePath}/raw`, "must not be greater than max");
+                }
+            }
+        }
+        if (value.success !== undefined) {
+            this.boolean(value.success, `${path}/success`);
+        }
+        if (value.completion !== undefined) {
+            this.boolean(value.completion, `${path}/completion`);
+        }
+        if (value.response !== undefined) {
+            this.string(value.response, `${path}/response`);
+        }
+        if (value.duration !== undefined) {
+            this.pattern(value.duration, DURATION_REGEX, `${path}/duration`, "an ISO 8601 duration");
+        }
+        if (value.extensions !== undefined) {
+            this.extensions(value.extensions, `${path}/extensions`);
+        }
+    }
+
+    /**
+     * Checks a Context.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     * @param {object} statement - Statement (revision/platform depend on its object)
+     */
+    context(value, path, statement) {
+        if (!this.object(value, path)) return;
+        this.properties(value, "context", path);
+
+        if (value.registration !== undefined && !isValidUUID(value.registration)) {
+            this.error(`${path}/registration`, "must be a valid UUID");
+        }
+        if (value.instructor !== undefined) {
+            this.actor(value.instructor, `${path}/instructor`);
+        }
+        if (value.team !== undefined) {
+            this.actor(value.team, `${path}/team`, { groupOnly: true });
+        }
+        if (value.contextActivities !== undefined && this.object(value.contextActivities, `${path}/contextActivities`)) {
+            const caPath = `${path}/contextActivities`;
+            this.properties(value.contextActivities, "contextActivities", caPath);
+            for (const [key, list] of Object.entries(value.contextActivities)) {
+                if (Array.isArray(list)) {
+                    list.forEach((activity, i) => this.activity(activity, `${caPath}/${key}/${i}`));
+                } else {
+                    this.activity(list, `${caPath}/${key}`);
+                }
+            }
+        }
+
+        const objectIsActivity = statement.object?.objectType === undefined || statement.object?.objectType === "Activity";
+        for (const key of ["revision", "platform"]) {
+            if (value[key] === undefined) continue;
+            this.string(value[key], `${path}/${key}`);
+            if (!objectIsActivity) {
+                this.error(`${path}/${key}`, "is only allowed when the object is an Activity");
+            }
+        }
+        if (value.language !== undefined) {
+            this.pattern(value.language, LANGUAGE_TAG_REGEX, `${path}/language`, "an RFC 5646 language tag");
+        }
+        if (value.statement !== undefined) {
+            this.statementRef(value.statement, `${path}/statement`);
+        }
+        if (value.extensions !== undefined) {
+            this.extensions(value.extensions, `${path}/extensions`);
+        }
+    }
+
+    /**
+     * Checks an attachments array.
+     * @param {*} value - Value
+     * @param {string} path - JSON pointer
+     */
+    attachments(value, path) {
+        if (!Array.isArray(value)) {
+            this.error(path, "must be an array");
+            return;
+        }
+        value.forEach((attachment, i) => {
+            const aPath = `${path}/${i}`;
+            if (!this.object(attachment, aPath)) return;
+            this.properties(attachment, "attachment", aPath);
+            this.pattern(attachment.usageType, IRI_REGEX, `${aPath}/usageType`, "an IRI");
+            if (attachment.display === undefined) {
+                this.error(`${aPath}/display`, "is required");
+            } else {
+                this.languageMap(attachment.display, `${aPath}/display`);
+            }
+            if (attachment.description !== undefined) {
+                this.languageMap(attachment.description, `${aPath}/description`);
+            }
+            if (typeof attachment.contentType !== "string" || !attachment.contentType.includes("/")) {
+                this.error(`${aPath}/contentType`, "must be an Internet Media Type");
+            }
+            if (!Number.isInteger(attachment.length) || attachment.length < 0) {
+                this.error(`${aPath}/length`, "must be a non-negative integer");
+            }
+            this.pattern(attachment.sha2, SHA2_REGEX, `${aPath}/sha2`, "a hex-encoded SHA-2 hash");
+            if (attachment.fileUrl !== undefined) {
+                this.pattern(attachment.fileUrl, IRL_REGEX, `${aPath}/fileUrl`, "an IRL");
+            }
+        });
+    }
+
+    /**
+     * Checks the parts shared by Statements and SubStatements.
+     * @param {object} value - Statement or SubStatement
+     * @param {string} path - JSON pointer
+     * @param {boolean} inSubStatement - Whether this is a SubStatement
+     */
+    statementBody(value, path, inSubStatement) {
+        for (const key of ["actor", "verb", "object"]) {
+            if (value[key] === undefined) {
+                this.error(`${path}/${key}`, "is required");
+            }
+        }
+        if (value.actor !== undefined) {
+            this.actor(value.actor, `${path}/actor`);
+        }
+        if (value.verb !== undefined) {
+            this.verb(value.verb, `${path}/verb`);
+            if (value.verb?.id === VOIDED_VERB && value.object?.objectType !== "StatementRef") {
+                this.error(`${path}/object/objectType`, "must be StatementRef for a voiding statement");
+            }
+        }
+        if (value.object !== undefined) {
+            this.statementObject(value.object, `${path}/object`, inSubStatement);
+        }
+        if (value.result !== undefined) {
+            this.result(value.result, `${path}/result`);
+        }
+        if (value.context !== undefined) {
+            this.context(value.context, `${path}/context`, value);
+        }
+        if (value.timestamp !== undefined) {
+            this.timestamp(value.timestamp, `${path}/timestamp`);
+        }
+        if (value.attachments !== undefined) {
+            this.attachments(value.attachments, `${path}/attachments`);
+        }
+    }
+
+    /**
+     * Checks a SubStatement.
+     * @param {object} value - SubStatement
+     * @param {string} path - JSON pointer
+     */
+    subStatement(value, path) {
+        this.properties(value, "subStatement", path);
+        this.statementBody(value, path, true);
+    }
+
+    /**
+     * Checks a Statement against the xAPI 1.0.3 structure.
+     * @param {object} value - Statement
+     */
+    statement(value) {
+        this.properties(value, "statement", "");
+        if (value.id !== undefined && !isValidUUID(value.id)) {
+            this.error("/id", "must be a valid UUID");
+        }
+        this.statementBody(value, "", false);
+        if (value.stored !== undefined) {
+            this.timestamp(value.stored, "/stored");
+        }
+        if (value.authority !== undefined) {
+            this.actor(value.authority, "/authority");
+        }
+        if (value.version !== undefined) {
+            this.pattern(value.version, VERSION_REGEX, "/version", "a 1.0.x version");
+        }
+    }
+
+    /**
+     * Checks the rules of our own profile on top of the xAPI structure.
+     * @param {object} value - Statement
+     */
+    profile(value) {
+        // Fields every picapica statement must carry
+        for (const key of ["id", "context", "timestamp"]) {
+            if (value[key] === undefined) {
+                this.error(`/${key}`, "is required");
+            }
+        }
+        if (value.actor && typeof value.actor === "object" && !value.actor.account) {
+            this.error("/actor/account", "is required");
+        }
+
+        const verbId = value.verb?.id;
+        const verb = typeof verbId === "string" ? getVerb(verbId) : null;
+        // Voiding statements (xAPI) are accepted regardless of the profile vocabulary
+        if (value.verb && typeof value.verb === "object" && verbId !== VOIDED_VERB) {
+            if (value.verb.display === undefined) {
+                this.error("/verb/display", "is required");
+            }
+            if (typeof verbId === "string" && !verb) {
+                this.error("/verb/id", `is not a known verb: ${verbId}`);
+            }
+        }
+
+        const object = value.object;
+        if (object && typeof object === "object" && (object.objectType === undefined || object.objectType === "Activity")) {
+            const type = object.definition?.type;
+            if (type === undefined) {
+                this.error("/object/definition/type", "is required");
+            } else if (typeof type === "string" && !isKnownActivityType(type)) {
+                this.error("/object/definition/type", `is not a known activity type: ${type}`);
+            }
+        }
+
+        if (value.context && typeof value.context === "object" && value.context.registration === undefined) {
+            this.error("/context/registration", "is required");
+        }
+
+        // Per-verb required extensions
+        for (const [location, keys] of Object.entries(verb?.requiredExtensions || {})) {
+            const extensions = EXTENSION_LOCATIONS[location]?.(value) || {};
+            const basePath = location === "object" ? "/object/definition/extensions" : `/${location}/extensions`;
+            for (const key of keys) {
+                if (extensions[key] === undefined) {
+                    this.error(`${basePath}/${pointerSegment(key)}`, `is required for verb ${verbId}`);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Validates an xAPI Statement.
+ * @param {object} statement - The statement to validate
+ * @param {string} [basePath] - JSON pointer of the statement in the request body
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateStatement(statement, basePath = "") {
+    const validator = new Validator(basePath);
+
+    if (!validator.object(statement, "")) {
+        return { valid: false, errors: validator.errors };
+    }
+
+    validator.statement(statement);
+    validator.profile(statement);
+
+    return { valid: validator.errors.length === 0, errors: validator.errors };
+}
+
+/**
+ * Validates an Agent (e.g. the agent parameter of the document resources).
+ * @param {object} agent - The Agent to validate
+ * @param {string} [basePath] - JSON pointer of the agent
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+export function validateAgent(agent, basePath = "") {
+    const validator = new Validator(basePath);
+    validator.actor(agent, "");
+    return { valid: validator.errors.length === 0, errors: validator.errors };
+}
@@ -0,0 +1,57 @@
+/**
+ * xAPI version negotiation.
+ * Requests to /api/xapi must carry X-Experience-API-Version (1.0.x), and every
+ * response reports the version this server implements.
+ */
+
+/**
+ * xAPI version implemented by this server (sent on every response).
+ */
+export const XAPI_VERSION = "1.0.3";
+
+/**
+ * Versions reported by /about.
+ */
+export const SUPPORTED_VERSIONS = ["1.0.3", "1.0.2", "1.0.1", "1.0.0"];
+
+/**
+ * Accepted request header values: any 1.0 patch version.
+ */
+const ACCEPTED_VERSION_REGEX = /^1\.0(\.\d+)?$/;
+
+/**
+ * Paths that may be requested without the version header.
+ */
+const EXEMPT_PATHS = ["/about"];
+
+/**
+ * Creates the version negotiation middleware.
+ * Sets X-Experience-API-Version on the response and responds 400 when the
+ * request header is missing or names an unsupported version.
+ * @returns {import("express").RequestHandler}
+ */
+export function xapiVersion() {
+    return (req, res, next) => {
+        res.setHeader("X-Experience-API-Version", XAPI_VERSION);
+
+        if (req.method === "OPTIONS" || EXEMPT_PATHS.includes(req.path)) {
+            return next();
+        }
+
+        const version = req.header("x-experience-api-version");
+        if (!version) {
+            return res.status(400).json({
+                error: "Missing X-Experience-API-Version header",
+                details: [`Supported versions: ${SUPPORTED_VERSIONS.join(", ")}`],
+            });
+        }
+        if (!ACCEPTED_VERSION_REGEX.test(version.trim())) {
+            return res.status(400).json({
+                error: "Unsupported xAPI version",
+                details: [`Version ${version} is not supported`, `Supported versions: ${SUPPORTED_VERSIONS.join(", ")}`],
+            });
+        }
+
+        next();
+    };
+}
@@ -0,0 +1,210 @@
+/**
+ * Vocabulary registry.
+ * Loads the accepted verbs and activity types from versioned profile files
+ * (JSON) in a directory, and reloads them when the files change or on SIGHUP.
+ *
+ * Profile file format:
+ * {
+ *   "id": "urn:xapi:picapica-2d",
+ *   "version": "1.0.0",
+ *   "verbs": [{ "id": "urn:xapi:picapica-2d:verb:placed", "display": { "en-US": "placed" } }],
+ *   "activityTypes": [{ "id": "urn:xapi:picapica-2d:activity-type:block" }]
+ * }
+ *
+ * When several files declare the same profile id, the highest version is active.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Delay before reloading after a file change (editors write files in several steps).
+ */
+const RELOAD_DEBOUNCE_MS = 200;
+
+/**
+ * Active vocabulary.
+ */
+let vocabulary = {
+    profiles: [],
+    verbs: new Map(),
+    activityTypes: new Map(),
+    loadedAt: null,
+};
+
+/**
+ * Directory profiles are loaded from.
+ */
+let profileDir = null;
+
+/**
+ * File watcher and pending reload timer.
+ */
+let watcher = null;
+let reloadTimer = null;
+let sighupHandler = null;
+
+/**
+ * Compares two dotted version strings numerically.
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+    const pa = String(a).split(".").map(n => parseInt(n, 10) || 0);
+    const pb = String(b).split(".").map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Reads and checks one profile file.
+ * @param {string} filePath - Profile file
+ * @returns {object} Profile
+ */
+function readProfile(filePath) {
+    const profile = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const file = path.basename(filePath);
+
+    if (!profile.id || !profile.version) {
+        throw new Error(`${file}: profile must have id and version`);
+    }
+    for (const key of ["verbs", "activityTypes"]) {
+        if (profile[key] !== undefined && !Array.isArray(profile[key])) {
+            throw new Error(`${file}: ${key} must be an array`);
+        }
+        for (const entry of profile[key] || []) {
+            if (!entry || typeof entry.id !== "string" || !entry.id) {
+                throw new Error(`${file}: every entry in ${key} must have an id`);
+            }
+        }
+    }
+
+    return { ...profile, file };
+}
+
+/**
+ * Loads all profiles from the profile directory and activates them.
+ * On error the previous vocabulary stays active.
+ * @returns {{profiles: number, verbs: number, activityTypes: number}} Summary for logging
+ */
+export function loadVocabulary() {
+    const files = fs.readdirSync(profileDir).filter(f => f.endsWith(".json")).sort();
+
+    // Pick the highest version of each profile id
+    const active = new Map();
+    for (const file of files) {
+        const profile = readProfile(path.join(profileDir, file));
+        const current = active.get(profile.id);
+        if (!current || compareVersions(profile.version, current.version) > 0) {
+            active.set(profile.id, profile);
+        }
+    }
+
+    const verbs = new Map();
+    const activityTypes = new Map();
+    for (const profile of active.values()) {
+        for (const verb of profile.verbs || []) {
+            verbs.set(verb.id, { ...verb, profile: profile.id });
+        }
+        for (const type of profile.activityTypes || []) {
+            activityTypes.set(type.id, { ...type, profile: profile.id });
+        }
+    }
+
+    vocabulary = {
+        profiles: [...active.values()].map(p => ({ id: p.id, version: p.version, name: p.name, file: p.file })),
+        verbs,
+        activityTypes,
+        loadedAt: new Date().toISOString(),
+    };
+
+    return { profiles: active.size, verbs: verbs.size, activityTypes: activityTypes.size };
+}
+
+/**
+ * Reloads the vocabulary, logging the result instead of throwing.
+ * @param {string} reason - Why the reload happened (for the log)
+ */
+function reload(reason) {
+    try {
+        const summary = loadVocabulary();
+        console.log(`[vocabulary] Reloaded (${reason}): ${summary.profiles} profile(s), ${summary.verbs} verb(s), ${summary.activityTypes} activity type(s)`);
+    } catch (error) {
+        console.error(`[vocabulary] Reload failed (${reason}), keeping previous vocabulary:`, error.message);
+    }
+}
+
+/**
+ * Configures the profile directory, loads it and starts watching for changes.
+ * @param {{dir: string, watch?: boolean}} options
+ * @returns {{profiles: number, verbs: number, activityTypes: number}} Summary for logging
+ */
+export function configureVocabulary(options) {
+    profileDir = options.dir;
+    const summary = loadVocabulary();
+
+    if (watcher) {
+        watcher.close();
+        watcher = null;
+    }
+    if (options.watch !== false) {
+        watcher = fs.watch(profileDir, () => {
+            clearTimeout(reloadTimer);
+            reloadTimer = setTimeout(() => reload("file change"), RELOAD_DEBOUNCE_MS);
+        });
+        watcher.unref();
+        if (!sighupHandler) {
+            sighupHandler = () => reload("SIGHUP");
+            process.on("SIGHUP", sighupHandler);
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * Gets a verb of the active vocabulary, including its per-verb rules
+ * (e.g. requiredExtensions: { context: [...], result: [...], object: [...] }).
+ * @param {string} id - Verb id
+ * @returns {object|null} Verb entry, or null if unknown
+ */
+export function getVerb(id) {
+    return vocabulary.verbs.get(id) || null;
+}
+
+/**
+ * Checks whether a verb id is in the active vocabulary.
+ * @param {string} id - Verb id
+ * @returns {boolean}
+ */
+export function isKnownVerb(id) {
+    return vocabulary.verbs.has(id);
+}
+
+/**
+ * Checks whether an activity type is in the active vocabulary.
+ * @param {string} id - Activity type IRI
+ * @returns {boolean}
+ */
+export function isKnownActivityType(id) {
+    return vocabulary.activityTypes.has(id);
+}
+
+/**
+ * Gets the active vocabulary for listing.
+ * @returns {{profiles: object[], verbs: object[], activityTypes: object[], loadedAt: string}}
+ */
+export function getVocabulary() {
+    return {
+        profiles: vocabulary.profiles,
+        verbs: [...vocabulary.verbs.values()],
+        activityTypes: [...vocabulary.activityTypes.values()],
+        loadedAt: vocabulary.loadedAt,
+    };
+}
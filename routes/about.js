@@ -0,0 +1,41 @@
+/**
+ * xAPI About resource.
+ * Reports the supported xAPI versions and server extensions. Served without
+ * authentication so clients can check compatibility before anything else.
+ */
+
+import express from "express";
+import { backendName } from "../storage/index.js";
+import { getVocabulary } from "../lib/vocabulary.js";
+import { SUPPORTED_VERSIONS } from "../lib/version.js";
+
+const router = express.Router();
+
+/**
+ * Extension IRIs reported by /about.
+ */
+const EXTENSIONS = {
+    storage: "urn:pxt-telemetry:extension:storage",
+    vocabulary: "urn:pxt-telemetry:extension:vocabulary",
+};
+
+/**
+ * GET /api/xapi/about
+ * Supported versions, plus the storage backend and active vocabulary profiles.
+ */
+router.get("/about", (_req, res) => {
+    const vocabulary = getVocabulary();
+
+    return res.json({
+        version: SUPPORTED_VERSIONS,
+        extensions: {
+            [EXTENSIONS.storage]: { backend: backendName },
+            [EXTENSIONS.vocabulary]: {
+                profiles: vocabulary.profiles.map(p => ({ id: p.id, version: p.version })),
+                loadedAt: vocabulary.loadedAt,
+            },
+        },
+    });
+});
+
+export default router;
@@ -0,0 +1,90 @@
+/**
+ * Administrative routes.
+ * Operations on stored learner data that need a dedicated scope.
+ */
+
+import express from "express";
+import { jsonBody } from "../lib/body.js";
+import { requireScope } from "../lib/auth.js";
+import { parseErasureRequest, eraseLearnerData } from "../lib/erasure.js";
+import { getThrottleStats } from "../lib/ratelimit.js";
+import { getForwardStatus, requeueDeadLetters } from "../lib/forward.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/xapi/admin/erasure
+ * Erase all statements of a learner: { agent: {...} } or { registration: "<uuid>" }.
+ * Rewrites every affected file / object, writes an audit record and returns a report.
+ */
+router.post("/admin/erasure", requireScope("data:erase"), jsonBody(), async (req, res) => {
+    try {
+        const { errors, criteria } = parseErasureRequest(req.body || {});
+        if (errors.length > 0) {
+            return res.status(400).json({
+                error: "Invalid erasure request",
+                details: errors,
+            });
+        }
+
+        const report = await eraseLearnerData(criteria, req.credential.name);
+        return res.json(report);
+    } catch (error) {
+        console.error("[xapi] Error erasing learner data:", error);
+        return res.status(500).json({
+            error: "Internal server error",
+            details: [error.message],
+        });
+    }
+});
+
+/**
+ * GET /api/xapi/admin/throttling
+ * Throttle counters since startup: who hit the rate limits or registration
+ * quotas (credential, actor, IP, registration), and today's quota usage.
+ */
+router.get("/admin/throttling", requireScope("stats:read"), (_req, res) => {
+    return res.json(getThrottleStats());
+});
+
+/**
+ * GET /api/xapi/admin/forwarding
+ * Forwarding status per upstream target: queued and dead-lettered statements,
+ * retry state, last success and last error.
+ */
+router.get("/admin/forwarding", requireScope("stats:read"), async (_req, res) => {
+    try {
+        return res.json(await getForwardStatus());
+    } catch (error) {
+        console.error("[xapi] Error reading forwarding status:", error);
+        return res.status(500).json({
+            error: "Internal server error",
+            details: [error.message],
+        });
+    }
+});
+
+/**
+ * POST /api/xapi/admin/forwarding/:target/requeue
+ * Moves a target's dead letters back to its queue and retries it right away.
+ */
+router.post("/admin/forwarding/:target/requeue", requireScope("forwarding:manage"), async (req, res) => {
+    try {
+        const requeued = await requeueDeadLetters(req.params.target);
+        if (!requeued) {
+            return res.status(404).json({
+                error: "Forwarding target not found",
+                details: [`Unknown forwarding target: ${req.params.target}`],
+            });
+        }
+        return res.json({ target: req.params.target, requeued });
+    } catch (error) {
+        console.error("[xapi] Error requeueing dead letters:", error);
+        return res.status(500).json({
+            error: "Internal server error",
+            details: [error.message],
+        });
+    }
+});
+
+export default router;
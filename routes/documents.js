@@ -0,0 +1,287 @@
+/**
+ * xAPI document resources routes.
+ * State (/activities/state), Activity Profile (/activities/profile) and
+ * Agent Profile (/agents/profile) documents with ETag concurrency control.
+ */
+
+import express from "express";
+import { getDocument } from "../storage/index.js";
+import { rawBody } from "../lib/body.js";
+import {
+    stateKeyPrefix,
+    activityProfileKeyPrefix,
+    agentProfileKeyPrefix,
+    documentKey,
+    parseEtagList,
+    listDocumentIds,
+    putDocument,
+    postDocument,
+    removeDocument,
+    removeDocuments,
+} from "../lib/documents.js";
+import { AGENT_IFIS } from "../lib/statement.js";
+import { requireScope, classroomAllowed } from "../lib/auth.js";
+import { validateAgent, isValidUUID } from "../lib/validation.js";
+
+const router = express.Router();
+
+/**
+ * Maximum document size (applies to the decompressed body as well).
+ */
+const DOCUMENT_LIMIT = process.env.DOCUMENT_LIMIT || "1mb";
+
+/**
+ * Parses the parameters of a document request.
+ * @param {object} query - Query parameters
+ * @param {{activityId?: boolean, agent?: boolean, registration?: boolean, idParam: string}} spec
+ *   Which identifying parameters the resource uses
+ * @returns {{errors: string[], params: {activityId?: string, agent?: object, registration?: string, id?: string, since?: Date}}}
+ */
+function parseDocumentParams(query, spec) {
+    const errors = [];
+    const params = {};
+
+    if (spec.activityId) {
+        if (typeof query.activityId !== "string" || !query.activityId) {
+            errors.push("activityId is required");
+        } else {
+            params.activityId = query.activityId;
+        }
+    }
+
+    if (spec.agent) {
+        if (typeof query.agent !== "string" || !query.agent) {
+            errors.push("agent is required");
+        } else {
+            try {
+                params.agent = JSON.parse(query.agent);
+                const result = validateAgent(params.agent, "/agent");
+                errors.push(...result.errors.map(e => `${e.path} ${e.message}`));
+                if (result.valid && !AGENT_IFIS.some(k => params.agent[k] !== undefined)) {
+                    errors.push("agent must have an inverse functional identifier");
+                }
+            } catch {
+                errors.push("agent must be a JSON Agent object");
+            }
+        }
+    }
+
+    if (spec.registration && query.registration !== undefined) {
+        if (!isValidUUID(query.registration)) {
+            errors.push("registration must be a UUID");
+        } else {
+            params.registration = query.registration;
+        }
+    }
+
+    if (query[spec.idParam] !== undefined) {
+        if (typeof query[spec.idParam] !== "string" || !query[spec.idParam]) {
+            errors.push(`${spec.idParam} must be a non-empty string`);
+        } else {
+            params.id = query[spec.idParam];
+        }
+    }
+
+    if (query.since !== undefined) {
+        params.since = new Date(query.since);
+        if (isNaN(params.since.getTime())) {
+            errors.push("since must be an ISO 8601 timestamp");
+        }
+    }
+
+    return { errors, params };
+}
+
+/**
+ * Parses the concurrency headers of a request.
+ * @param {import("express").Request} req - The request
+ * @returns {{ifMatch: string[]|null, ifNoneMatch: string[]|null}}
+ */
+function parseConditions(req) {
+    return {
+        ifMatch: parseEtagList(req.header("if-match")),
+        ifNoneMatch: parseEtagList(req.header("if-none-match")),
+    };
+}
+
+/**
+ * Sends an error response in the format used by the xAPI routes.
+ * @param {import("express").Response} res - The response
+ * @param {number} status - HTTP status
+ * @param {string} error - Error title
+ * @param {string[]} details - Error details
+ */
+function sendError(res, status, error, details) {
+    return res.status(status).json({ error, details });
+}
+
+/**
+ * Sends the response for a failed write.
+ * @param {import("express").Response} res - The response
+ * @param {{preconditionFailed?: boolean, conflict?: boolean, error?: string}} result - Write result
+ */
+function sendWriteFailure(res, result) {
+    if (result.preconditionFailed) {
+        return sendError(res, 412, "Precondition failed", ["The document was changed (If-Match / If-None-Match)"]);
+    }
+    if (result.conflict) {
+        return sendError(res, 409, "Conflict", ["The document exists; send If-Match or If-None-Match to replace it"]);
+    }
+    return sendError(res, 400, "Invalid document", [result.error]);
+}
+
+/**
+ * Registers GET / PUT / POST / DELETE handlers for one document resource.
+ * @param {string} path - Resource path
+ * @param {object} options
+ * @param {object} options.spec - Parameter spec for parseDocumentParams
+ * @param {(params: object) => string} options.prefix - Builds the key prefix from the parameters
+ * @param {boolean} options.requirePrecondition - PUT over an existing document needs If-Match / If-None-Match
+ * @param {boolean} options.deleteAll - DELETE without an id deletes all matching documents
+ * @param {string} options.label - Resource name for logs
+ */
+function documentResource(path, options) {
+    const { spec } = options;
+
+    /**
+     * Parses the request parameters, responding 400 / 403 when they are unusable.
+     * @returns {object|null} Parameters, or null if a response was sent
+     */
+    const resolve = (req, res, requireId) => {
+        const { errors, params } = parseDocumentParams(req.query, spec);
+        if (requireId && !params.id) {
+            errors.push(`${spec.idParam} is required`);
+        }
+        if (errors.length > 0) {
+            sendError(res, 400, "Invalid parameters", errors);
+            return null;
+        }
+        // Classroom-bound credentials only reach the State documents of their registrations
+        if (spec.registration && !classroomAllowed(req.credential, { context: { registration: params.registration } })) {
+            sendError(res, 403, "Forbidden", [`Credential ${req.credential.name} is not allowed for this registration`]);
+            return null;
+        }
+        return params;
+    };
+
+    const handle = (action, handler) => async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`[xapi] Error ${action} ${options.label}:`, error);
+            return sendError(res, 500, "Internal server error", [error.message]);
+        }
+    };
+
+    router.get(path, requireScope("documents:read"), handle("getting", async (req, res) => {
+        const params = resolve(req, res, false);
+        if (!params) return;
+        const prefix = options.prefix(params);
+
+        if (!params.id) {
+            return res.json(await listDocumentIds(prefix, params.since));
+        }
+
+        const document = await getDocument(documentKey(prefix, params.id));
+        if (!document) {
+            return sendError(res, 404, "Document not found", [`No document found with ${spec.idParam}: ${params.id}`]);
+        }
+        res.setHeader("Content-Type", document.contentType);
+        res.setHeader("ETag", document.etag);
+        res.setHeader("Last-Modified", new Date(document.updated).toUTCString());
+        return res.send(document.content);
+    }));
+
+    router.put(path, requireScope("documents:write"), rawBody({ limit: DOCUMENT_LIMIT }), handle("storing", async (req, res) => {
+        const params = resolve(req, res, true);
+        if (!params) return;
+
+        const result = await putDocument(
+            documentKey(options.prefix(params), params.id),
+            params.id,
+            req.body,
+            req.header("content-type") || "application/octet-stream",
+            { ...parseConditions(req), requirePrecondition: options.requirePrecondition }
+        );
+        if (!result.success) {
+            return sendWriteFailure(res, result);
+        }
+        res.setHeader("ETag", result.etag);
+        return res.sendStatus(204);
+    }));
+
+    router.post(path, requireScope("documents:write"), rawBody({ limit: DOCUMENT_LIMIT }), handle("merging", async (req, res) => {
+        const params = resolve(req, res, true);
+        if (!params) return;
+
+        const result = await postDocument(
+            documentKey(options.prefix(params), params.id),
+            params.id,
+            req.body,
+            req.header("content-type") || "application/octet-stream",
+            parseConditions(req)
+        );
+        if (!result.success) {
+            return sendWriteFailure(res, result);
+        }
+        res.setHeader("ETag", result.etag);
+        return res.sendStatus(204);
+    }));
+
+    router.delete(path, requireScope("documents:write"), handle("deleting", async (req, res) => {
+        const params = resolve(req, res, !options.deleteAll);
+        if (!params) return;
+        const prefix = options.prefix(params);
+
+        if (!params.id) {
+            const deleted = await removeDocuments(prefix);
+            console.log(`[xapi] Deleted ${deleted} ${options.label} document(s)`);
+            return res.sendStatus(204);
+        }
+
+        const result = await removeDocument(documentKey(prefix, params.id), parseConditions(req));
+        if (!result.success) {
+            return sendWriteFailure(res, result);
+        }
+        return res.sendStatus(204);
+    }));
+}
+
+/**
+ * /api/xapi/activities/state
+ * Params: activityId, agent, registration (optional), stateId, since (list only).
+ * DELETE without stateId deletes all State documents of the activity, agent and registration.
+ */
+documentResource("/activities/state", {
+    spec: { activityId: true, agent: true, registration: true, idParam: "stateId" },
+    prefix: params => stateKeyPrefix(params.activityId, params.agent, params.registration),
+    requirePrecondition: false,
+    deleteAll: true,
+    label: "state",
+});
+
+/**
+ * /api/xapi/activities/profile
+ * Params: activityId, profileId, since (list only).
+ */
+documentResource("/activities/profile", {
+    spec: { activityId: true, idParam: "profileId" },
+    prefix: params => activityProfileKeyPrefix(params.activityId),
+    requirePrecondition: true,
+    deleteAll: false,
+    label: "activity profile",
+});
+
+/**
+ * /api/xapi/agents/profile
+ * Params: agent, profileId, since (list only).
+ */
+documentResource("/agents/profile", {
+    spec: { agent: true, idParam: "profileId" },
+    prefix: params => agentProfileKeyPrefix(params.agent),
+    requirePrecondition: true,
+    deleteAll: false,
+    label: "agent profile",
+});
+
+export default router;
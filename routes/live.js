@@ -0,0 +1,187 @@
+/**
+ * Live statement stream routes.
+ * Pushes newly stored statements to teachers' dashboards as Server-Sent Events.
+ * Mounted before the Statements routes so "live" is not taken for a statement id.
+ */
+
+import express from "express";
+import { parseAgent, matchesQuery } from "../lib/query.js";
+import { formatStatement } from "../lib/statement.js";
+import { requireScope } from "../lib/auth.js";
+import { isValidUUID } from "../lib/validation.js";
+import { pseudonymizeQueryAgent } from "../lib/privacy.js";
+import { subscribe, eventsAfter } from "../lib/live.js";
+
+const router = express.Router();
+
+/**
+ * Interval of keep-alive comments, so proxies do not close idle streams (ms).
+ */
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+/**
+ * Reconnection delay suggested to clients (ms).
+ */
+const RETRY_DELAY = 3000;
+
+/**
+ * Unsent data above which a slow client is disconnected (it reconnects and replays).
+ */
+const MAX_PENDING_BYTES = 1024 * 1024;
+
+/**
+ * Valid values of the format parameter.
+ */
+const FORMATS = ["exact", "ids", "canonical"];
+
+/**
+ * Splits a comma separated parameter.
+ * @param {string|undefined} value - Raw value
+ * @returns {string[]|null} Values, or null when absent
+ */
+function parseList(value) {
+    if (value === undefined) {
+        return null;
+    }
+    return String(value).split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parses the filters of a live subscription.
+ * @param {object} params - req.query
+ * @returns {{errors: string[], filter: {registrations: string[]|null, verbs: string[]|null, agent: object|null, format: string}}}
+ */
+function parseLiveFilter(params) {
+    const errors = [];
+    const filter = {
+        registrations: parseList(params.registration),
+        verbs: parseList(params.verb),
+        agent: null,
+        format: params.format ?? "exact",
+    };
+
+    if (filter.registrations && !filter.registrations.every(isValidUUID)) {
+        errors.push("registration must be a UUID (or a comma separated list of UUIDs)");
+    }
+    if (params.agent !== undefined) {
+        filter.agent = parseAgent(params.agent);
+        if (!filter.agent) {
+            errors.push("agent must be an xAPI Agent JSON object with exactly one identifier");
+        }
+    }
+    if (!FORMATS.includes(filter.format)) {
+        errors.push(`format must be one of: ${FORMATS.join(", ")}`);
+    }
+
+    return { errors, filter };
+}
+
+/**
+ * Tests a statement against a subscription's filters.
+ * @param {object} statement - The stored statement
+ * @param {object} filter - Parsed filter
+ * @returns {boolean}
+ */
+function matchesFilter(statement, filter) {
+    if (filter.verbs && !filter.verbs.includes(statement.verb?.id)) {
+        return false;
+    }
+    if (filter.registrations && !filter.registrations.includes(statement.context?.registration)) {
+        return false;
+    }
+    return matchesQuery(statement, { agent: filter.agent, classrooms: filter.classrooms });
+}
+
+/**
+ * GET /api/xapi/statements/live
+ * Server-Sent Events stream of statements as they are stored.
+ * Query params: registration, verb (comma separated lists), agent, format.
+ * A reconnecting client sends Last-Event-ID (or lastEventId) to replay what it
+ * missed; a "reset" event tells it that replay was not possible.
+ */
+router.get("/statements/live", requireScope("statements:read"), (req, res) => {
+    const { errors, filter } = parseLiveFilter(req.query);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            error: "Invalid query parameters",
+            details: errors,
+        });
+    }
+
+    // Stored account names are pseudonyms, so translate the agent filter
+    filter.agent = pseudonymizeQueryAgent(filter.agent);
+
+    // Credentials bound to classrooms only see those registrations
+    if (req.credential.classrooms) {
+        const outside = (filter.registrations || []).filter(r => !req.credential.classrooms.includes(r));
+        if (outside.length > 0) {
+            return res.status(403).json({
+                error: "Forbidden",
+                details: outside.map(r => `Registration ${r} is not allowed for credential ${req.credential.name}`),
+            });
+        }
+        filter.classrooms = req.credential.classrooms;
+    }
+
+    const languages = req.acceptsLanguages().filter(l => l !== "*");
+    let unsubscribe = null;
+    let heartbeat = null;
+    // Stops writing to this client; "close" may only come after the next publish
+    const stop = () => {
+        clearInterval(heartbeat);
+        unsubscribe?.();
+    };
+    const send = (event) => {
+        if (res.writableEnded || res.destroyed || !matchesFilter(event.statement, filter)) {
+            return;
+        }
+        res.write(`id: ${event.id}\nevent: statement\ndata: ${JSON.stringify(formatStatement(event.statement, filter.format, languages))}\n\n`);
+        if (res.writableLength > MAX_PENDING_BYTES) {
+            console.log(`[xapi] Live stream of ${req.credential.name} closed: client too slow`);
+            stop();
+            // Not end(): that would keep the connection until the backlog is flushed
+            res.destroy();
+        }
+    };
+
+    // Replay and subscribe without yielding, so no event falls in between
+    const lastEventId = req.header("last-event-id") ?? req.query.lastEventId;
+    const replay = lastEventId !== undefined ? eventsAfter(lastEventId) : null;
+    unsubscribe = subscribe(send);
+    if (!unsubscribe) {
+        res.setHeader("Retry-After", String(RETRY_DELAY / 1000));
+        return res.status(503).json({
+            error: "Too many subscribers",
+            details: ["The live stream has reached its subscriber limit"],
+        });
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream; charset=utf-8",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_DELAY}\n\n`);
+
+    if (replay) {
+        if (!replay.complete) {
+            res.write(`event: reset\ndata: ${JSON.stringify({ reason: "Events after the last event id are no longer available; use GET /statements to catch up" })}\n\n`);
+        }
+        replay.events.forEach(send);
+    }
+
+    res.on("close", stop);
+    if (res.destroyed) {
+        // Already dropped as too slow while replaying
+        return;
+    }
+    heartbeat = setInterval(() => {
+        if (!res.writableEnded && !res.destroyed) {
+            res.write(": keep-alive\n\n");
+        }
+    }, HEARTBEAT_INTERVAL);
+    console.log(`[xapi] Live stream opened by ${req.credential.name}${replay ? ` (replayed ${replay.events.length})` : ""}`);
+});
+
+export default router;
@@ -3,133 +3,71 @@
  * Handles receiving, validating, and storing xAPI Statements.
  */
 
+import { once } from "events";
 import express from "express";
-import { appendStatement, appendStatements, readStatementsInRange, getDateStats } from "../storage/index.js";
+import {
+    appendStatement,
+    appendStatements,
+    checkStatementIds,
+    getStatement,
+    getVoidedIds,
+    getDateStats,
+} from "../storage/index.js";
+import { jsonBody } from "../lib/body.js";
+import { parseStatementQuery, queryStatementEntries, encodeCursor } from "../lib/query.js";
+import { formatStatement, voidedTargetId } from "../lib/statement.js";
+import { requireScope, classroomAllowed } from "../lib/auth.js";
+import { getVocabulary } from "../lib/vocabulary.js";
+import { validateStatement, isValidUUID } from "../lib/validation.js";
+import { protectStatements, protectIp, pseudonymizeName, pseudonymizeQueryAgent } from "../lib/privacy.js";
+import { dayKey, dayStart, isDayKey } from "../lib/partition.js";
+import { checkIngest } from "../lib/ratelimit.js";
+import { parseAggregateQuery, aggregateStatements } from "../lib/analytics.js";
+import { parseSessionQuery, reconstructSessions } from "../lib/sessions.js";
+import { EXPORT_TYPES, MAX_EXPORT_DAYS, parseColumns, formatHeader, formatStatementRow } from "../lib/export.js";
+import { recordAccepted, recordRejected, recordValidationErrors, recordDuplicates, recordStorageWrite } from "../lib/metrics.js";
+import { publishStatements } from "../lib/live.js";
+import { enqueueForward } from "../lib/forward.js";
 
 const router = express.Router();
 
 /**
- * Required fields for a valid xAPI Statement.
+ * Maximum request body size (applies to the decompressed body as well).
  */
-const REQUIRED_FIELDS = ["id", "actor", "verb", "object", "context", "timestamp"];
+const BODY_LIMIT = process.env.BODY_LIMIT || "10mb";
 
 /**
- * Valid verb IDs.
+ * Gets the client IP of a request.
+ * X-Forwarded-For is only honoured for the proxies trusted by the "trust proxy"
+ * setting (TRUST_PROXY), so clients cannot pick their own rate limit bucket
+ * or the _meta.srcIp recorded with their statements.
+ * @param {import("express").Request} req - The request
+ * @returns {string}
  */
-const VALID_VERB_IDS = [
-    "urn:xapi:picapica-2d:verb:placed",
-    "urn:xapi:picapica-2d:verb:removed",
-    "urn:xapi:picapica-2d:verb:edited",
-    "urn:xapi:picapica-2d:verb:executed",
-    "urn:xapi:picapica-2d:verb:downloaded",
-    "urn:xapi:picapica-2d:verb:saved",
-    "urn:xapi:picapica-2d:verb:opened",
-    "urn:xapi:picapica-2d:verb:closed",
-    "urn:xapi:picapica-2d:verb:moved",
-    "urn:xapi:picapica-2d:verb:connected",
-    "urn:xapi:picapica-2d:verb:disconnected",
-    "urn:xapi:picapica-2d:verb:nested",
-    "urn:xapi:picapica-2d:verb:selected",
-];
-
-/**
- * Valid activity types.
- */
-const VALID_ACTIVITY_TYPES = [
-    "urn:xapi:picapica-2d:activity-type:block",
-    "urn:xapi:picapica-2d:activity-type:code",
-    "urn:xapi:picapica-2d:activity-type:project",
-    "urn:xapi:picapica-2d:activity-type:device",
-];
-
-/**
- * Validates a UUID format.
- * @param {string} uuid - The string to validate
- * @returns {boolean}
- */
-function isValidUUID(uuid) {
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    return uuidRegex.test(uuid);
-}
-
-/**
- * Validates an xAPI Statement.
- * @param {object} statement - The statement to validate
- * @returns {{valid: boolean, errors: string[]}}
- */
-function validateStatement(statement) {
-    const errors = [];
-
-    // Check required fields
-    for (const field of REQUIRED_FIELDS) {
-        if (!statement[field]) {
-            errors.push(`Missing required field: ${field}`);
-        }
-    }
-
-    if (errors.length > 0) {
-        return { valid: false, errors };
-    }
-
-    // Validate id format
-    if (!isValidUUID(statement.id)) {
-        errors.push("Invalid statement id: must be a valid UUID");
-    }
-
-    // Validate actor
-    if (!statement.actor.account?.homePage || !statement.actor.account?.name) {
-        errors.push("Invalid actor: must have account with homePage and name");
-    }
-
-    // Validate verb
-    if (!statement.verb.id || !statement.verb.display) {
-        errors.push("Invalid verb: must have id and display");
-    } else if (!VALID_VERB_IDS.includes(statement.verb.id)) {
-        errors.push(`Invalid verb id: ${statement.verb.id}`);
-    }
-
-    // Validate object
-    if (!statement.object.id || !statement.object.definition?.type) {
-        errors.push("Invalid object: must have id and definition.type");
-    } else if (!VALID_ACTIVITY_TYPES.includes(statement.object.definition.type)) {
-        errors.push(`Invalid activity type: ${statement.object.definition.type}`);
-    }
-
-    // Validate context
-    if (!statement.context.registration) {
-        errors.push("Invalid context: must have registration");
-    } else if (!isValidUUID(statement.context.registration)) {
-        errors.push("Invalid context.registration: must be a valid UUID");
-    }
-
-    // Validate timestamp
-    const timestamp = new Date(statement.timestamp);
-    if (isNaN(timestamp.getTime())) {
-        errors.push("Invalid timestamp: must be a valid ISO 8601 date");
-    }
-
-    return { valid: errors.length === 0, errors };
+function clientIp(req) {
+    return req.ip || req.socket.remoteAddress || "";
 }
 
 /**
  * POST /api/xapi/statements
  * Receive and store xAPI Statements.
  * Accepts single statement or batch { statements: [...] }
+ * Bodies may be compressed with Content-Encoding: gzip, deflate or br.
  */
-router.post("/statements", express.json({ limit: "10mb" }), async (req, res) => {
+router.post("/statements", requireScope("statements:write"), jsonBody({ limit: BODY_LIMIT }), async (req, res) => {
     try {
         const body = req.body;
 
-        // Debug: log incoming request
-        console.log("[xapi] POST /statements received, body keys:", Object.keys(body || {}));
-
         // Determine if single statement or batch
         let statements;
+        let batch = false;
         if (Array.isArray(body.statements)) {
             statements = body.statements;
+            batch = true;
         } else if (body.id && body.actor && body.verb) {
             statements = [body];
         } else {
+            recordRejected("invalid_body", 1);
             return res.status(400).json({
                 error: "Invalid request body",
                 details: ["Expected single statement or { statements: [...] }"],
@@ -145,6 +83,7 @@ router.post("/statements", express.json({ limit: "10mb" }), async (req, res) =>
         }
 
         if (statements.length > 100) {
+            recordRejected("batch_too_large", statements.length);
             return res.status(400).json({
                 error: "Batch too large",
                 details: ["Maximum 100 statements per batch"],
@@ -154,11 +93,11 @@ router.post("/statements", express.json({ limit: "10mb" }), async (req, res) =>
         // Validate all statements
         const validationErrors = [];
         for (let i = 0; i < statements.length; i++) {
-            const result = validateStatement(statements[i]);
+            const result = validateStatement(statements[i], batch ? `/statements/${i}` : "");
             if (!result.valid) {
                 validationErrors.push({
                     index: i,
-                    id: statements[i].id || "unknown",
+                    id: statements[i]?.id || "unknown",
                     errors: result.errors,
                 });
             }
@@ -166,26 +105,131 @@ router.post("/statements", express.json({ limit: "10mb" }), async (req, res) =>
 
         if (validationErrors.length > 0) {
             console.log("[xapi] Validation failed:", JSON.stringify(validationErrors));
+            recordRejected("validation", statements.length);
+            recordValidationErrors(validationErrors);
             return res.status(400).json({
                 error: "Validation failed",
                 details: validationErrors,
             });
         }
 
+        // Credentials bound to classrooms may only write to those registrations
+        const outsideClassroom = statements.filter(s => !classroomAllowed(req.credential, s));
+        if (outsideClassroom.length > 0) {
+            recordRejected("forbidden", statements.length);
+            return res.status(403).json({
+                error: "Forbidden",
+                details: outsideClassroom.map(s =>
+                    `Statement ${s.id}: registration ${s.context.registration} is not allowed for credential ${req.credential.name}`),
+            });
+        }
+
+        // Rate limits and daily registration quotas (a misbehaving device must not flood storage)
+        const limited = checkIngest({
+            credential: req.credential.name,
+            ip: clientIp(req),
+            statements,
+        });
+        if (!limited.allowed) {
+            console.log(`[xapi] Throttled ${limited.kind} ${limited.key}: ${statements.length} statement(s), retry after ${limited.retryAfter}s`);
+            recordRejected("rate_limited", statements.length);
+            res.setHeader("Retry-After", String(limited.retryAfter));
+            return res.status(429).json({
+                error: "Too many requests",
+                details: [limited.reason],
+            });
+        }
+
+        // Reject batches that contain the same id more than once
+        const seenIds = new Set();
+        const repeatedIds = new Set();
+        for (const statement of statements) {
+            if (seenIds.has(statement.id)) {
+                repeatedIds.add(statement.id);
+            }
+            seenIds.add(statement.id);
+        }
+        if (repeatedIds.size > 0) {
+            recordRejected("duplicate_ids", statements.length);
+            return res.status(400).json({
+                error: "Duplicate statement ids in batch",
+                details: [...repeatedIds].map(id => `Statement id appears more than once: ${id}`),
+            });
+        }
+
+        // A voiding statement cannot target another voiding statement
+        const invalidVoids = [];
+        for (const statement of statements) {
+            const target = voidedTargetId(statement);
+            if (target && voidedTargetId(statements.find(s => s.id === target) || await getStatement(target))) {
+                invalidVoids.push(`Statement ${statement.id}: cannot void the voiding statement ${target}`);
+            }
+        }
+        if (invalidVoids.length > 0) {
+            recordRejected("invalid_void", statements.length);
+            return res.status(400).json({
+                error: "Invalid voiding statement",
+                details: invalidVoids,
+            });
+        }
+
+        // Privacy layer: pseudonyms and stripped extensions are applied before the
+        // duplicate check, so a resent statement compares equal to the stored one
+        statements = await protectStatements(statements);
+
+        // Idempotency: exact duplicates of stored statements are accepted silently,
+        // a known id with different content is a conflict (xAPI 1.0.3)
+        const known = await checkStatementIds(statements);
+        if (known.conflicts.length > 0) {
+            console.log("[xapi] Conflicting statement ids:", known.conflicts.join(", "));
+            recordRejected("conflict", statements.length);
+            return res.status(409).json({
+                error: "Conflict",
+                details: known.conflicts.map(id => `Statement ${id} already exists with different content`),
+            });
+        }
+        // Counted as accepted once stored: a conflict found by the write is a rejection instead
+        if (known.duplicates.length > 0) {
+            console.log("[xapi] Skipping", known.duplicates.length, "duplicate statement(s)");
+            recordDuplicates(known.duplicates.length);
+            const duplicateIds = new Set(known.duplicates);
+            statements = statements.filter(s => !duplicateIds.has(s.id));
+            if (statements.length === 0) {
+                recordAccepted(req.credential, known.duplicates.length);
+                return res.sendStatus(204);
+            }
+        }
+
         // Add server metadata
         const ingestTime = new Date().toISOString();
-        const srcIp = (req.headers["x-forwarded-for"] || req.socket.remoteAddress || "").toString();
+        const srcIp = protectIp(clientIp(req));
 
         for (const statement of statements) {
             statement._meta = {
                 ingestTime,
                 srcIp,
+                credential: req.credential.name,
             };
         }
 
         // Store statements
+        const writeStart = process.hrtime.bigint();
+        const writeSeconds = () => Number(process.hrtime.bigint() - writeStart) / 1e9;
         if (statements.length === 1) {
             const result = await appendStatement(statements[0]);
+            if (result.conflict) {
+                // Stored with other content by a concurrent request since the id check
+                recordRejected("conflict", 1);
+                return res.status(409).json({
+                    error: "Conflict",
+                    details: [result.error],
+                });
+            }
+            recordStorageWrite({
+                seconds: writeSeconds(),
+                stored: result.success && !result.duplicate ? 1 : 0,
+                failed: result.success ? 0 : 1,
+            });
             if (!result.success) {
                 console.error("[xapi] Storage error:", result.error);
                 return res.status(500).json({
@@ -193,8 +237,19 @@ router.post("/statements", express.json({ limit: "10mb" }), async (req, res) =>
                     details: [result.error],
                 });
             }
+            recordAccepted(req.credential, known.duplicates.length + 1);
+            if (!result.duplicate) {
+                await enqueueForward(statements);
+                publishStatements(statements);
+            }
         } else {
             const result = await appendStatements(statements);
+            recordStorageWrite({ seconds: writeSeconds(), stored: result.success, failed: result.failed });
+            recordAccepted(req.credential, known.duplicates.length + result.success);
+            const storedIds = new Set(result.stored);
+            const stored = statements.filter(s => storedIds.has(s.id));
+            await enqueueForward(stored);
+            publishStatements(stored);
             if (result.failed > 0) {
                 console.error("[xapi] Storage errors:", result.errors);
                 if (result.success === 0) {
@@ -227,73 +282,172 @@ router.post("/statements", express.json({ limit: "10mb" }), async (req, res) =>
 });
 
 /**
- * GET /api/xapi/statements
- * Query statements by date range.
- * Query params: startDate, endDate, actorId (optional)
+ * Looks up a single statement for GET, honouring voiding and classroom bindings.
+ * @param {import("express").Request} req - The request
+ * @param {import("express").Response} res - The response
+ * @param {string} id - Statement id
+ * @param {boolean} voided - true to look up a voided statement (voidedStatementId)
  */
-router.get("/statements", async (req, res) => {
-    try {
-        const { startDate, endDate, actorId } = req.query;
+async function sendSingleStatement(req, res, id, voided) {
+    if (!isValidUUID(id)) {
+        return res.status(400).json({
+            error: "Invalid statement ID",
+            details: ["ID must be a valid UUID"],
+        });
+    }
 
-        // Validate required params
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                error: "Missing required parameters",
-                details: ["startDate and endDate are required"],
-            });
-        }
+    const statement = await getStatement(id);
+    const isVoided = statement ? (await getVoidedIds()).has(id) : false;
+    if (statement && isVoided === voided && classroomAllowed(req.credential, statement)) {
+        const languages = req.acceptsLanguages().filter(l => l !== "*");
+        return res.json(formatStatement(statement, req.query.format || "exact", languages));
+    }
 
-        const start = new Date(startDate);
-        const end = new Date(endDate);
+    return res.status(404).json({
+        error: "Statement not found",
+        details: [voided ? `No voided statement found with id: ${id}` : `No statement found with id: ${id}`],
+    });
+}
 
-        if (isNaN(start.getTime()) || isNaN(end.getTime())) {
-            return res.status(400).json({
-                error: "Invalid date format",
-                details: ["Dates must be valid ISO 8601 format"],
-            });
+/**
+ * Builds the "more" IRL for a continuation cursor.
+ * @param {import("express").Request} req - The request
+ * @param {string} cursor - Encoded cursor
+ * @returns {string} Relative IRL
+ */
+function moreUrl(req, cursor) {
+    return `${req.baseUrl}/statements?more=${encodeURIComponent(cursor)}`;
+}
+
+/**
+ * Creates a signal that aborts when the client disconnects before the response is complete.
+ * Passed to storage reads so an abandoned query stops reading files.
+ * @param {import("express").Response} res - The response
+ * @returns {AbortSignal}
+ */
+function abortOnClose(res) {
+    const controller = new AbortController();
+    res.on("close", () => {
+        if (!res.writableFinished) {
+            controller.abort();
         }
+    });
+    return controller.signal;
+}
 
-        if (start > end) {
-            return res.status(400).json({
-                error: "Invalid date range",
-                details: ["startDate must be before or equal to endDate"],
+/**
+ * Adapts a parsed statement query to the credential, responding 403 when it
+ * asks for a registration outside the credential's classrooms.
+ * @param {import("express").Request} req - The request
+ * @param {import("express").Response} res - The response
+ * @param {object} query - Parsed query (from parseStatementQuery)
+ * @returns {boolean} false if a response was sent
+ */
+function restrictQuery(req, res, query) {
+    // Stored account names are pseudonyms, so translate the actor filters
+    query.agent = pseudonymizeQueryAgent(query.agent);
+    query.actorId = pseudonymizeName(query.actorId);
+
+    // Credentials bound to classrooms only see those registrations
+    if (req.credential.classrooms) {
+        if (query.registration && !req.credential.classrooms.includes(query.registration)) {
+            res.status(403).json({
+                error: "Forbidden",
+                details: [`Registration ${query.registration} is not allowed for credential ${req.credential.name}`],
             });
+            return false;
         }
+        query.classrooms = req.credential.classrooms;
+    }
+    return true;
+}
 
-        // Limit date range to prevent huge queries
-        const daysDiff = (end - start) / (1000 * 60 * 60 * 24);
-        if (daysDiff > 31) {
+/**
+ * GET /api/xapi/statements
+ * Query statements.
+ * Query params (xAPI): verb, activity, registration, agent, since, until, limit,
+ * ascending, related_activities, format
+ * Query params (legacy): startDate, endDate, actorId
+ * Single statement: statementId, or voidedStatementId for voided statements
+ * Continuation: more (opaque cursor returned by the previous page)
+ *
+ * Responds with a StatementResult { statements, more } when the client accepts
+ * application/json, otherwise streams NDJSON (oldest first unless ascending=false).
+ */
+router.get("/statements", requireScope("statements:read"), async (req, res) => {
+    const signal = abortOnClose(res);
+    try {
+        // Single statement lookups (xAPI): statementId / voidedStatementId
+        if (req.query.statementId !== undefined || req.query.voidedStatementId !== undefined) {
+            if (req.query.statementId !== undefined && req.query.voidedStatementId !== undefined) {
+                return res.status(400).json({
+                    error: "Invalid query parameters",
+                    details: ["statementId and voidedStatementId cannot be used together"],
+                });
+            }
+            const voided = req.query.voidedStatementId !== undefined;
+            return await sendSingleStatement(req, res, voided ? req.query.voidedStatementId : req.query.statementId, voided);
+        }
+
+        const statementResult = req.accepts(["application/x-ndjson", "application/json"]) === "application/json";
+
+        const parsed = parseStatementQuery(req.query, { ascending: !statementResult });
+        if (!parsed.valid) {
             return res.status(400).json({
-                error: "Date range too large",
-                details: ["Maximum 31 days per query"],
+                error: "Invalid query parameters",
+                details: parsed.errors,
             });
         }
 
+        const { query } = parsed;
+        if (!restrictQuery(req, res, query)) return;
+
+        const languages = req.acceptsLanguages().filter(l => l !== "*");
+
+        if (statementResult) {
+            const statements = [];
+            let more = "";
+            let last = null;
+            for await (const { statement, position } of queryStatementEntries(query, { signal })) {
+                if (statements.length >= query.limit) {
+                    more = moreUrl(req, encodeCursor(query, last));
+                    break;
+                }
+                statements.push(formatStatement(statement, query.format, languages));
+                last = position;
+            }
+            return res.json({ statements, more });
+        }
+
         // Set up streaming response
         res.setHeader("Content-Type", "application/x-ndjson");
         res.setHeader("Transfer-Encoding", "chunked");
 
         let count = 0;
-        const maxResults = 10000;
+        let last = null;
 
-        for await (const statement of readStatementsInRange(start, end)) {
-            // Filter by actorId if specified
-            if (actorId && statement.actor?.account?.name !== actorId) {
-                continue;
-            }
-
-            // Check result limit
-            if (count >= maxResults) {
-                res.write(JSON.stringify({ _truncated: true, count }) + "\n");
+        for await (const { statement, position } of queryStatementEntries(query, { signal })) {
+            // Check result limit; the marker carries a cursor to resume from here
+            if (count >= query.limit) {
+                const cursor = encodeCursor(query, last);
+                res.write(JSON.stringify({ _truncated: true, count, cursor, more: moreUrl(req, cursor) }) + "\n");
                 break;
             }
 
-            res.write(JSON.stringify(statement) + "\n");
+            // Wait for slow clients instead of buffering the whole result
+            if (!res.write(JSON.stringify(formatStatement(statement, query.format, languages)) + "\n")) {
+                await once(res, "drain", { signal });
+            }
+            last = position;
             count++;
         }
 
         res.end();
     } catch (error) {
+        if (signal.aborted) {
+            console.log("[xapi] Statement query cancelled: client disconnected");
+            return;
+        }
         console.error("[xapi] Error querying statements:", error);
         if (!res.headersSent) {
             return res.status(500).json({
@@ -306,36 +460,89 @@ router.get("/statements", async (req, res) => {
 });
 
 /**
- * GET /api/xapi/statements/:id
- * Get a single statement by ID.
- * Note: This requires scanning files, so it may be slow.
+ * GET /api/xapi/statements/export
+ * Stream statements as CSV (default) or TSV, one row per statement.
+ * Query params: type (csv | tsv), columns (column mapping, see lib/export.js),
+ * bom (true adds a UTF-8 BOM for spreadsheet software), and the filters of
+ * GET /statements (verb, activity, registration, agent, since, until, ...).
+ * Oldest first unless ascending=false; ranges may span up to MAX_EXPORT_DAYS,
+ * and no row limit applies unless limit is given.
+ * Registered before /statements/:id so "export" is not taken for an id.
  */
-router.get("/statements/:id", async (req, res) => {
+router.get("/statements/export", requireScope("statements:read"), async (req, res) => {
+    const signal = abortOnClose(res);
     try {
-        const { id } = req.params;
+        const type = req.query.type ?? "csv";
+        const { columns, errors } = parseColumns(req.query.columns);
+        if (!Object.hasOwn(EXPORT_TYPES, type)) {
+            errors.push(`type must be one of: ${Object.keys(EXPORT_TYPES).join(", ")}`);
+        }
+        if (req.query.bom !== undefined && req.query.bom !== "true" && req.query.bom !== "false") {
+            errors.push("bom must be true or false");
+        }
 
-        if (!isValidUUID(id)) {
+        const params = { ...req.query };
+        for (const key of ["type", "columns", "bom", "more"]) {
+            delete params[key];
+        }
+        const parsed = parseStatementQuery(params, { ascending: true, maxRangeDays: MAX_EXPORT_DAYS, maxLimit: Infinity });
+        errors.push(...parsed.errors);
+        if (errors.length > 0) {
             return res.status(400).json({
-                error: "Invalid statement ID",
-                details: ["ID must be a valid UUID"],
+                error: "Invalid query parameters",
+                details: errors,
             });
         }
 
-        // Search in recent files (last 7 days)
-        const end = new Date();
-        const start = new Date();
-        start.setDate(start.getDate() - 7);
+        const { query } = parsed;
+        if (!restrictQuery(req, res, query)) return;
 
-        for await (const statement of readStatementsInRange(start, end)) {
-            if (statement.id === id) {
-                return res.json(statement);
+        const { contentType, extension } = EXPORT_TYPES[type];
+        res.setHeader("Content-Type", contentType);
+        res.setHeader("Content-Disposition",
+            `attachment; filename="statements-${dayKey(query.start)}-${dayKey(query.end)}.${extension}"`);
+        res.write(`${req.query.bom === "true" ? "\uFEFF" : ""}${formatHeader(columns, type)}`);
+
+        let count = 0;
+        for await (const { statement } of queryStatementEntries(query, { signal })) {
+            if (count >= query.limit) {
+                break;
             }
+            // Wait for slow clients instead of buffering the whole export
+            if (!res.write(formatStatementRow(statement, columns, type))) {
+                await once(res, "drain", { signal });
+            }
+            count++;
         }
 
-        return res.status(404).json({
-            error: "Statement not found",
-            details: [`No statement found with id: ${id}`],
-        });
+        res.end();
+        console.log(`[xapi] Exported ${count} statement(s) as ${type}`);
+    } catch (error) {
+        if (signal.aborted) {
+            console.log("[xapi] Statement export cancelled: client disconnected");
+            return;
+        }
+        console.error("[xapi] Error exporting statements:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                error: "Internal server error",
+                details: [error.message],
+            });
+        }
+        // Abort the connection: ending normally would pass a truncated file off as complete
+        res.destroy();
+    }
+});
+
+/**
+ * GET /api/xapi/statements/:id
+ * Get a single statement by ID.
+ * Looked up through the storage backend's id index, so any stored statement is found.
+ * Voided statements are not returned (use ?voidedStatementId=).
+ */
+router.get("/statements/:id", requireScope("statements:read"), async (req, res) => {
+    try {
+        return await sendSingleStatement(req, res, req.params.id, false);
     } catch (error) {
         console.error("[xapi] Error getting statement:", error);
         return res.status(500).json({
@@ -348,11 +555,12 @@ router.get("/statements/:id", async (req, res) => {
 /**
  * GET /api/xapi/stats
  * Get storage statistics for a date.
+ * A plain date (YYYY-MM-DD) names a day of the partition time zone.
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", requireScope("stats:read"), async (req, res) => {
     try {
         const { date } = req.query;
-        const targetDate = date ? new Date(date) : new Date();
+        const targetDate = isDayKey(date) ? dayStart(date) : date ? new Date(date) : new Date();
 
         if (isNaN(targetDate.getTime())) {
             return res.status(400).json({
@@ -364,7 +572,7 @@ router.get("/stats", async (req, res) => {
         const stats = await getDateStats(targetDate);
 
         return res.json({
-            date: targetDate.toISOString().split("T")[0],
+            date: dayKey(targetDate),
             ...stats,
         });
     } catch (error) {
@@ -376,4 +584,110 @@ router.get("/stats", async (req, res) => {
     }
 });
 
+/**
+ * GET /api/xapi/stats/aggregate
+ * Count statements over a range of days.
+ * Query params: from, to (YYYY-MM-DD, default the last 7 days), groupBy (comma
+ * separated: verb, activityType, activity, actor, registration, day, hour;
+ * default day), limit (groups), filters verb, activity, activityType,
+ * registration, agent.
+ * Closed days are served from a cache while their files are unchanged.
+ */
+router.get("/stats/aggregate", requireScope("stats:read"), async (req, res) => {
+    const signal = abortOnClose(res);
+    try {
+        const parsed = parseAggregateQuery(req.query);
+        if (!parsed.valid) {
+            return res.status(400).json({
+                error: "Invalid query parameters",
+                details: parsed.errors,
+            });
+        }
+
+        const { query } = parsed;
+
+        // Stored account names are pseudonyms, so translate the agent filter
+        query.filters.agent = pseudonymizeQueryAgent(query.filters.agent);
+
+        // Credentials bound to classrooms only count those registrations
+        if (req.credential.classrooms) {
+            if (query.filters.registration && !req.credential.classrooms.includes(query.filters.registration)) {
+                return res.status(403).json({
+                    error: "Forbidden",
+                    details: [`Registration ${query.filters.registration} is not allowed for credential ${req.credential.name}`],
+                });
+            }
+            query.classrooms = req.credential.classrooms;
+        }
+
+        return res.json(await aggregateStatements(query, { signal }));
+    } catch (error) {
+        if (signal.aborted) {
+            console.log("[xapi] Aggregation cancelled: client disconnected");
+            return;
+        }
+        console.error("[xapi] Error aggregating statements:", error);
+        return res.status(500).json({
+            error: "Internal server error",
+            details: [error.message],
+        });
+    }
+});
+
+/**
+ * GET /api/xapi/sessions
+ * Reconstruct learning sessions of a registration or an actor.
+ * Query params: registration and/or agent, from, to (YYYY-MM-DD, default the
+ * last 7 days), idleMinutes (gap that ends a session, default 15).
+ * Responds with the sessions ordered by start and totals per actor.
+ */
+router.get("/sessions", requireScope("statements:read"), async (req, res) => {
+    const signal = abortOnClose(res);
+    try {
+        const parsed = parseSessionQuery(req.query);
+        if (!parsed.valid) {
+            return res.status(400).json({
+                error: "Invalid query parameters",
+                details: parsed.errors,
+            });
+        }
+
+        const { query } = parsed;
+
+        // Stored account names are pseudonyms, so translate the agent filter
+        query.agent = pseudonymizeQueryAgent(query.agent);
+
+        // Credentials bound to classrooms only see those registrations
+        if (req.credential.classrooms) {
+            if (query.registration && !req.credential.classrooms.includes(query.registration)) {
+                return res.status(403).json({
+                    error: "Forbidden",
+                    details: [`Registration ${query.registration} is not allowed for credential ${req.credential.name}`],
+                });
+            }
+            query.classrooms = req.credential.classrooms;
+        }
+
+        return res.json(await reconstructSessions(query, { signal }));
+    } catch (error) {
+        if (signal.aborted) {
+            console.log("[xapi] Session reconstruction cancelled: client disconnected");
+            return;
+        }
+        console.error("[xapi] Error reconstructing sessions:", error);
+        return res.status(500).json({
+            error: "Internal server error",
+            details: [error.message],
+        });
+    }
+});
+
+/**
+ * GET /api/xapi/vocabulary
+ * List the active vocabulary (verbs and activity types the server accepts).
+ */
+router.get("/vocabulary", (_req, res) => {
+    return res.json(getVocabulary());
+});
+
 export default router;
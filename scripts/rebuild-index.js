@@ -0,0 +1,18 @@
+/**
+ * Rebuilds the statement id index from stored data.
+ * Usage: node scripts/rebuild-index.js   (uses the same env vars as server.js)
+ */
+
+import { rebuildIndex } from "../storage/index.js";
+import { configureStorageFromEnv } from "./storage.js";
+
+const backend = configureStorageFromEnv();
+console.log(`[rebuild-index] Rebuilding id index (${backend})`);
+
+try {
+    const result = await rebuildIndex();
+    console.log(`[rebuild-index] Done: ${result.statements} statement(s) in ${result.files} file(s)`);
+} catch (error) {
+    console.error("[rebuild-index] Failed:", error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,25 @@
+/**
+ * Moves statements to the day they belong to in the partition time zone.
+ * Usage: node scripts/repartition.js [--dry-run]
+ * Run with the server stopped, after changing XAPI_PARTITION_TZ or to fix data
+ * written before the partition time zone was applied consistently.
+ */
+
+import { repartitionStatements } from "../storage/index.js";
+import { getPartitionTimeZone } from "../lib/partition.js";
+import { configureStorageFromEnv } from "./storage.js";
+
+const dryRun = process.argv.slice(2).includes("--dry-run");
+
+try {
+    const backend = configureStorageFromEnv();
+    console.log(`[repartition] Partition time zone ${getPartitionTimeZone()} (${backend})${dryRun ? ", dry run" : ""}`);
+    const report = await repartitionStatements({ dryRun });
+    for (const { file, moved } of report.files) {
+        console.log(`[repartition] ${file}: ${moved} statement(s)`);
+    }
+    console.log(`[repartition] ${dryRun ? "Misplaced" : "Moved"}: ${report.moved} statement(s)`);
+} catch (error) {
+    console.error("[repartition] Failed:", error.message);
+    process.exitCode = 1;
+}
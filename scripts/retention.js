@@ -0,0 +1,30 @@
+/**
+ * Applies the retention policy once.
+ * Usage: node scripts/retention.js [--dry-run] [--days N]
+ * Uses the same env vars as server.js (RETENTION_DAYS, RETENTION_ACTION, ...).
+ */
+
+import { configureRetention, runRetention } from "../lib/retention.js";
+import { configureStorageFromEnv, retentionOptionsFromEnv } from "./storage.js";
+
+const args = process.argv.slice(2);
+const dryRun = args.includes("--dry-run");
+const daysArg = args.indexOf("--days");
+
+const backend = configureStorageFromEnv();
+const options = retentionOptionsFromEnv(backend);
+if (daysArg !== -1) {
+    options.days = parseInt(args[daysArg + 1], 10);
+}
+
+try {
+    const summary = configureRetention(options);
+    console.log(`[retention] Keeping ${summary.days} day(s), action ${summary.action} (${backend})`);
+    const report = await runRetention({ dryRun });
+    for (const day of report.days) {
+        console.log(`[retention] ${day.day}${dryRun ? "" : `: ${day.files.length} file(s), ${day.bytes} byte(s)`}`);
+    }
+} catch (error) {
+    console.error("[retention] Failed:", error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,36 @@
+/**
+ * Looks up the original account of pseudonymized account names.
+ * Usage: node scripts/reverse-pseudonym.js <private-key.pem> <pseudonym>...
+ * The private key is the counterpart of PSEUDONYM_LOOKUP_PUBLIC_KEY and is kept
+ * by authorized staff only. Uses the same storage env vars as server.js.
+ */
+
+import fs from "fs";
+import { getDocument } from "../storage/index.js";
+import { decryptLookupRecord, lookupRecordKey } from "../lib/privacy.js";
+import { configureStorageFromEnv } from "./storage.js";
+
+const [keyFile, ...names] = process.argv.slice(2);
+if (!keyFile || names.length === 0) {
+    console.error("Usage: node scripts/reverse-pseudonym.js <private-key.pem> <pseudonym>...");
+    process.exit(2);
+}
+
+configureStorageFromEnv();
+const privateKey = fs.readFileSync(keyFile, "utf8");
+
+for (const name of names) {
+    try {
+        const document = await getDocument(lookupRecordKey(name));
+        if (!document) {
+            console.log(JSON.stringify({ pseudonym: name, error: "not found" }));
+            process.exitCode = 1;
+            continue;
+        }
+        const account = decryptLookupRecord(JSON.parse(document.content.toString("utf8")), privateKey);
+        console.log(JSON.stringify({ pseudonym: name, ...account }));
+    } catch (error) {
+        console.error(`[reverse-pseudonym] ${name}:`, error.message);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Storage setup shared by the maintenance scripts.
+ * Mirrors the backend, partition and retention configuration done in server.js.
+ */
+
+import path from "path";
+import { configure, backendName } from "../storage/index.js";
+import { configurePartition } from "../lib/partition.js";
+
+/**
+ * Gets the xAPI log directory, as server.js derives it.
+ * @returns {string}
+ */
+function xapiLogDir() {
+    return process.env.XAPI_LOG_DIR || path.join(process.env.LOG_DIR || "./logs", "xapi");
+}
+
+/**
+ * Configures the selected storage backend and the partition time zone from environment variables.
+ * @returns {string} Backend name
+ */
+export function configureStorageFromEnv() {
+    configurePartition({ timeZone: process.env.XAPI_PARTITION_TZ });
+    if (backendName === "gcs") {
+        configure({
+            bucket: process.env.GCS_BUCKET || "pxt-xapi-logs",
+            prefix: process.env.GCS_PREFIX || "xapi",
+            projectId: process.env.GCS_PROJECT_ID,
+        });
+    } else if (backendName === "sqlite") {
+        configure({
+            file: process.env.SQLITE_PATH || path.join(xapiLogDir(), "statements.sqlite"),
+        });
+    } else {
+        configure({
+            baseDir: xapiLogDir(),
+            maxFileSize: parseInt(process.env.XAPI_MAX_FILE_SIZE || "104857600", 10),
+        });
+    }
+    return backendName;
+}
+
+/**
+ * Reads the retention policy from environment variables.
+ * @param {string} backend - Backend name (selects the archive directory or prefix)
+ * @returns {{days: number, action: string, archive: string|undefined, intervalHours: number}}
+ */
+export function retentionOptionsFromEnv(backend) {
+    return {
+        days: parseInt(process.env.RETENTION_DAYS || "0", 10),
+        action: process.env.RETENTION_ACTION || "delete",
+        archive: backend === "gcs" ? process.env.RETENTION_ARCHIVE_PREFIX : process.env.RETENTION_ARCHIVE_DIR,
+        intervalHours: parseFloat(process.env.RETENTION_INTERVAL_HOURS || "24"),
+    };
+}
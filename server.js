@@ -1,21 +1,39 @@
 // server.js
 // PXT xAPI テレメトリ受信サーバ
 // ・xAPI 1.0.3 Statement形式で学習活動を記録
-// ・ヘッダ x-telemetry-token で簡易認証
-// ・ストレージ: STORAGE_BACKEND=local (default) or gcs
+// ・ヘッダ x-telemetry-token（または Authorization: Bearer）で認証
+//   名前付きトークン / JWT ごとにスコープ・オリジン・クラスを制限可能
+// ・ストレージ: STORAGE_BACKEND=local (default), gcs or sqlite
 
 import fs from "fs";
 import path from "path";
+import { fileURLToPath } from "url";
 import express from "express";
 import cors from "cors";
 import xapiRoutes from "./routes/xapi.js";
-import { configure as configureStorage, backendName } from "./storage/index.js";
+import documentRoutes from "./routes/documents.js";
+import aboutRoutes from "./routes/about.js";
+import adminRoutes from "./routes/admin.js";
+import liveRoutes from "./routes/live.js";
+import { configure as configureStorage, compressClosedFiles, getCurrentFileStats, backendName } from "./storage/index.js";
+import { configureAuth, authenticate, requireScope, originAllowed } from "./lib/auth.js";
+import { configureVocabulary } from "./lib/vocabulary.js";
+import { xapiVersion } from "./lib/version.js";
+import { configurePrivacy } from "./lib/privacy.js";
+import { configureRetention, startRetentionSchedule } from "./lib/retention.js";
+import { configurePartition } from "./lib/partition.js";
+import { configureRateLimit } from "./lib/ratelimit.js";
+import { configureMetrics, requestMetrics, metricsHandler } from "./lib/metrics.js";
+import { configureLive } from "./lib/live.js";
+import { configureForward, startForwarding } from "./lib/forward.js";
 
 // ===== 設定 =====
 const cfg = loadConfig();
 
 // ===== アプリ =====
 const app = express();
+// リバースプロキシ（Cloud Run / ロードバランサ）の背後では TRUST_PROXY で信頼する範囲を指定し、req.ip をクライアントの IP にする
+app.set("trust proxy", cfg.trustProxy);
 
 // ===== CORS =====
 // 許可するオリジン（複数可）を環境変数で指定（無指定はローカル開発用に http://localhost:* を許可）
@@ -30,25 +48,25 @@ const corsOptionsDelegate = (req, callback) => {
   let corsOptions = { origin: false };
 
   if (reqOrigin) {
-    const ok = ALLOW_ORIGINS.some(pat => {
-      if (pat.endsWith(":*")) {
-        // 例: http://localhost:* を許可
-        const base = pat.slice(0, -2);
-        return reqOrigin.startsWith(base);
-      }
-      return reqOrigin === pat;
-    });
+    // 例: http://localhost:* は http://localhost:<任意のポート> を許可
+    const ok = originAllowed(reqOrigin, ALLOW_ORIGINS);
     if (ok) {
       corsOptions = {
         origin: reqOrigin,
         // 認証情報を使わないなら false のままでOK（fetch keepalive 可）
         credentials: false,
-        methods: ["GET", "POST", "OPTIONS"],
+        methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
         allowedHeaders: [
           "Content-Type",
           "X-Telemetry-Token",
-          "Content-Encoding"
+          "Authorization",
+          "Content-Encoding",
+          "If-Match",
+          "If-None-Match",
+          "Last-Event-ID",
+          "X-Experience-API-Version"
         ],
+        exposedHeaders: ["ETag", "Last-Modified", "X-Experience-API-Version", "Retry-After"],
         maxAge: 86400 // プリフライトを1日キャッシュ
       };
     }
@@ -56,12 +74,20 @@ const corsOptionsDelegate = (req, callback) => {
   callback(null, corsOptions);
 };
 
+// ===== メトリクス =====
+// リクエストごとのレイテンシを計測（/metrics で Prometheus 形式で公開）
+configureMetrics({ backend: backendName, currentFile: getCurrentFileStats });
+app.use(requestMetrics());
+
 // すべてのルートにCORSを適用（プリフライト含む）
 app.use(cors(corsOptionsDelegate));
 app.options("*", cors(corsOptionsDelegate)); // 明示的にプリフライトを処理
 
 // ===== xAPI Storage Configuration =====
+// 日付ごとのファイル・オブジェクトは XAPI_PARTITION_TZ（既定 UTC）の日付で分ける
+const partitionSummary = configurePartition({ timeZone: cfg.partitionTimeZone });
 const xapiLogDir = process.env.XAPI_LOG_DIR || path.join(cfg.logDir, "xapi");
+const sqlitePath = process.env.SQLITE_PATH || path.join(xapiLogDir, "statements.sqlite");
 
 if (backendName === "gcs") {
   // GCS backend configuration
@@ -70,6 +96,11 @@ if (backendName === "gcs") {
     prefix: process.env.GCS_PREFIX || "xapi",
     projectId: process.env.GCS_PROJECT_ID,
   });
+} else if (backendName === "sqlite") {
+  // SQLite backend configuration（1 つのデータベースファイルに保存）
+  configureStorage({
+    file: sqlitePath,
+  });
 } else {
   // Local filesystem backend configuration
   ensureDir(xapiLogDir);
@@ -77,28 +108,102 @@ if (backendName === "gcs") {
     baseDir: xapiLogDir,
     maxFileSize: parseInt(process.env.XAPI_MAX_FILE_SIZE || "104857600", 10),
   });
+  // 終了した日・ローテーション済みのファイルを .jsonl.gz に圧縮（XAPI_COMPRESS_CLOSED=true のとき。起動 1 分後、以降 1 時間ごと）
+  // 圧縮できるのは local だけなので、gcs / sqlite では予約しない
+  if (cfg.compressClosed) scheduleCompression();
 }
 
-// ===== xAPI Routes (with authentication) =====
-app.use("/api/xapi", (req, res, next) => {
-  // Token authentication for xAPI endpoints
-  const token = req.header("x-telemetry-token");
-  if (!cfg.token || token !== cfg.token) {
-    return res.sendStatus(401);
-  }
-  next();
-}, xapiRoutes);
+// ===== 保持期間 =====
+// RETENTION_DAYS を過ぎた日のファイルを削除（またはアーカイブへ移動）。プロセス内で定期実行
+const retentionSummary = configureRetention({
+  days: cfg.retentionDays,
+  action: cfg.retentionAction,
+  archive: backendName === "gcs" ? cfg.retentionArchivePrefix : cfg.retentionArchiveDir,
+  intervalHours: cfg.retentionIntervalHours,
+});
+startRetentionSchedule();
+
+// ===== プライバシー =====
+// アカウント名の仮名化（HMAC）、IP の切り詰め・削除、指定した拡張の除去
+const privacySummary = configurePrivacy({
+  pseudonymKey: cfg.pseudonymKey,
+  lookupPublicKeyFile: cfg.pseudonymLookupKeyFile,
+  ipMode: cfg.ipMode,
+  stripExtensions: cfg.stripExtensions,
+});
+
+// ===== レート制限 =====
+// 認証情報・actor・IP ごとのトークンバケット（Statement 数/秒）と registration ごとの 1 日の上限
+const rateLimitSummary = configureRateLimit({
+  token: { rate: cfg.rateLimitTokenRate, burst: cfg.rateLimitTokenBurst },
+  actor: { rate: cfg.rateLimitActorRate, burst: cfg.rateLimitActorBurst },
+  ip: { rate: cfg.rateLimitIpRate, burst: cfg.rateLimitIpBurst },
+  registrationDailyQuota: cfg.registrationDailyQuota,
+});
+
+// ===== ライブ配信 =====
+// 保存した Statement を SSE で配信（再接続時の再送用に直近のイベントを保持）
+const liveSummary = configureLive({
+  bufferSize: cfg.liveBufferSize,
+  maxSubscribers: cfg.liveMaxSubscribers,
+});
+
+// ===== 上流 LRS への転送 =====
+// 保存した Statement をディスク上のキューに積み、FORWARD_TARGETS_FILE の LRS へ非同期に送る
+const forwardSummary = configureForward({
+  targetsFile: cfg.forwardTargetsFile,
+  queueDir: cfg.forwardQueueDir || path.join(cfg.logDir, "forward"),
+  batchSize: cfg.forwardBatchSize,
+  timeoutSeconds: cfg.forwardTimeoutSeconds,
+  maxBackoffSeconds: cfg.forwardMaxBackoffSeconds,
+  maxAttempts: cfg.forwardMaxAttempts,
+});
+startForwarding();
+
+// ===== 認証情報 =====
+// CREDENTIALS_FILE があれば名前付きトークン、なければ TOKEN を Statement と統計のスコープだけを持つ単一トークンとして扱う
+const authSummary = configureAuth({
+  credentialsFile: cfg.credentialsFile,
+  token: cfg.token,
+  jwtSecret: cfg.jwtSecret,
+});
+
+// ===== 語彙（Verb / Activity Type） =====
+// プロファイルファイルから読み込み、変更時・SIGHUP で再読み込み
+const vocabularySummary = configureVocabulary({ dir: cfg.vocabularyDir });
+
+// ===== xAPI Routes =====
+// X-Experience-API-Version ヘッダを必須にし、すべての応答に付与（/about は不要）
+app.use("/api/xapi", xapiVersion());
+// /about は認証なしで公開
+app.use("/api/xapi", aboutRoutes);
+// ライブ配信と Statements、State / Activity Profile / Agent Profile のドキュメント API、管理操作（要認証）
+// /statements/live を /statements/:id より先に登録する
+app.use("/api/xapi", authenticate(), liveRoutes, xapiRoutes, documentRoutes, adminRoutes);
 
 // GET /healthz: ヘルスチェック
 app.get("/healthz", (_req, res) => res.status(200).send("ok"));
 
+// GET /metrics: Prometheus 形式のメトリクス（要 metrics:read スコープ）
+app.get("/metrics", authenticate(), requireScope("metrics:read"), metricsHandler());
+
 // 起動
 const port = Number(process.env.PORT || cfg.port || 3000);
 app.listen(port, () => {
   console.log(`[xapi] listening on :${port}`);
   console.log(`[xapi] storage backend: ${backendName}`);
+  console.log(`[xapi] partition time zone: ${partitionSummary.timeZone}`);
+  console.log(`[xapi] vocabulary: ${vocabularySummary.profiles} profile(s), ${vocabularySummary.verbs} verb(s), ${vocabularySummary.activityTypes} activity type(s)`);
+  console.log(`[xapi] credentials: ${authSummary.credentials}${authSummary.jwt ? " (+ JWT)" : ""}`);
+  console.log(`[xapi] retention: ${retentionSummary.enabled ? `${retentionSummary.days} day(s), ${retentionSummary.action}${retentionSummary.archive ? ` -> ${retentionSummary.archive}` : ""}` : "off"}`);
+  console.log(`[xapi] rate limits: token ${rateLimitSummary.token}, actor ${rateLimitSummary.actor}, ip ${rateLimitSummary.ip}, registration ${rateLimitSummary.registrationDailyQuota || "off"}/day`);
+  console.log(`[xapi] live feed: ${liveSummary.maxSubscribers > 0 ? `${liveSummary.maxSubscribers} subscriber(s), ${liveSummary.bufferSize} buffered event(s)` : "off"}`);
+  console.log(`[xapi] forwarding: ${forwardSummary.targets.length > 0 ? `${forwardSummary.targets.join(", ")} (${forwardSummary.queued} statement(s) queued)` : "off"}`);
+  console.log(`[xapi] privacy: pseudonyms ${privacySummary.pseudonyms ? "on" : "off"}${privacySummary.lookup ? " (+ lookup)" : ""}, ip ${privacySummary.ipMode}, ${privacySummary.stripExtensions} stripped extension(s)`);
   if (backendName === "gcs") {
     console.log(`[xapi] GCS bucket: ${process.env.GCS_BUCKET || "pxt-xapi-logs"}`);
+  } else if (backendName === "sqlite") {
+    console.log(`[xapi] SQLite database: ${sqlitePath}`);
   } else {
     console.log(`[xapi] log dir: ${xapiLogDir}`);
   }
@@ -111,11 +216,61 @@ function loadConfig() {
     port: 3000,
     logDir: process.env.LOG_DIR || "./logs",
     token: process.env.TOKEN || "please_change_me",
+    credentialsFile: process.env.CREDENTIALS_FILE,
+    jwtSecret: process.env.JWT_SECRET,
+    vocabularyDir: process.env.VOCABULARY_DIR || fileURLToPath(new URL("./profiles", import.meta.url)),
     bodyLimit: process.env.BODY_LIMIT || "10mb",
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    pseudonymKey: process.env.PSEUDONYM_KEY,
+    pseudonymLookupKeyFile: process.env.PSEUDONYM_LOOKUP_PUBLIC_KEY,
+    ipMode: process.env.PRIVACY_IP_MODE || "keep",
+    stripExtensions: (process.env.PRIVACY_STRIP_EXTENSIONS || "").split(",").map(s => s.trim()).filter(Boolean),
+    retentionDays: parseInt(process.env.RETENTION_DAYS || "0", 10),
+    retentionAction: process.env.RETENTION_ACTION || "delete",
+    retentionArchiveDir: process.env.RETENTION_ARCHIVE_DIR,
+    retentionArchivePrefix: process.env.RETENTION_ARCHIVE_PREFIX,
+    retentionIntervalHours: parseFloat(process.env.RETENTION_INTERVAL_HOURS || "24"),
+    compressClosed: process.env.XAPI_COMPRESS_CLOSED === "true",
+    partitionTimeZone: process.env.XAPI_PARTITION_TZ || "UTC",
+    rateLimitTokenRate: parseFloat(process.env.RATE_LIMIT_TOKEN_RATE || "0"),
+    rateLimitTokenBurst: parseFloat(process.env.RATE_LIMIT_TOKEN_BURST || "0"),
+    rateLimitActorRate: parseFloat(process.env.RATE_LIMIT_ACTOR_RATE || "10"),
+    rateLimitActorBurst: parseFloat(process.env.RATE_LIMIT_ACTOR_BURST || "300"),
+    rateLimitIpRate: parseFloat(process.env.RATE_LIMIT_IP_RATE || "0"),
+    rateLimitIpBurst: parseFloat(process.env.RATE_LIMIT_IP_BURST || "0"),
+    registrationDailyQuota: parseInt(process.env.REGISTRATION_DAILY_QUOTA || "0", 10),
+    liveBufferSize: parseInt(process.env.LIVE_BUFFER_SIZE || "1000", 10),
+    liveMaxSubscribers: parseInt(process.env.LIVE_MAX_SUBSCRIBERS || "100", 10),
+    forwardTargetsFile: process.env.FORWARD_TARGETS_FILE,
+    forwardQueueDir: process.env.FORWARD_QUEUE_DIR,
+    forwardBatchSize: parseInt(process.env.FORWARD_BATCH_SIZE || "500", 10),
+    forwardTimeoutSeconds: parseFloat(process.env.FORWARD_TIMEOUT_SECONDS || "30"),
+    forwardMaxBackoffSeconds: parseFloat(process.env.FORWARD_MAX_BACKOFF_SECONDS || "900"),
+    forwardMaxAttempts: parseInt(process.env.FORWARD_MAX_ATTEMPTS || "0", 10),
   };
   return base;
 }
 
+function scheduleCompression() {
+  const run = () => compressClosedFiles()
+    .then(r => {
+      if (r.files.length > 0) {
+        console.log(`[xapi] compressed ${r.files.length} file(s): ${r.bytesBefore} -> ${r.bytesAfter} bytes`);
+      }
+    })
+    .catch(e => console.error("[xapi] compression failed:", e.message));
+  setTimeout(run, 60 * 1000).unref();
+  setInterval(run, 60 * 60 * 1000).unref();
+}
+
+// TRUST_PROXY: 未設定/false は信頼しない、true はすべて、数字はホップ数、それ以外はアドレス・サブネットの一覧（express の trust proxy と同じ）
+function parseTrustProxy(value) {
+  if (!value || value === "false") return false;
+  if (value === "true") return true;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value.split(",").map(s => s.trim()).filter(Boolean);
+}
+
 function ensureDir(dir) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
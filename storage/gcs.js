@@ -4,10 +4,22 @@
  *
  * Object path format: xapi/{YYYY}/{MM}/{DD}/{timestamp}-{uuid}.jsonl
  * Each write creates a unique object to avoid conflicts.
+ *
+ * Stored ids are indexed by marker objects: prefix/_ids/{id}
+ * (content: {hash, object, offset, length}). Markers are created with
+ * ifGenerationMatch=0, so duplicate detection is atomic across Cloud Run instances.
+ * Voided statements are marked by prefix/_voided/{id} (content and metadata
+ * voidedBy: voiding statement id); the voided ids are cached for a short time.
+ * Documents (State / Activity Profile / Agent Profile) are stored as
+ * prefix/_documents/{key}; writes use generation preconditions for ETag checks.
  */
 
 import { Storage } from "@google-cloud/storage";
 import { randomUUID } from "crypto";
+import { statementHash, voidedTargetId } from "../lib/statement.js";
+import { dayKey, dayParts, dayStart, dayEnd, addDays, statementDayKey } from "../lib/partition.js";
+import { recordGcsError } from "../lib/metrics.js";
+import { parseLines, streamLines, removeLines, isAbortError } from "./lines.js";
 
 /**
  * Default configuration.
@@ -26,6 +38,19 @@ const DEFAULT_CONFIG = {
  */
 let config = { ...DEFAULT_CONFIG };
 
+/**
+ * How long the voided ids listed from the bucket are reused (ms).
+ * Voids written by this instance are applied to the cache at once; those of
+ * other instances show up after at most this long.
+ */
+const VOIDED_CACHE_TTL = 30 * 1000;
+
+/**
+ * Cached voided ids (target id -> voiding statement id) and when they were listed.
+ */
+let voidedCache = null;
+let voidedLoading = null;
+
 /**
  * GCS Storage client (lazy initialized).
  */
@@ -66,18 +91,18 @@ export function configure(newConfig) {
     // Reset clients to pick up new config
     storage = null;
     bucket = null;
+    voidedCache = null;
+    voidedLoading = null;
 }
 
 /**
- * Generates the object prefix for a given date.
+ * Generates the object prefix for a given date (in the partition time zone).
  * Format: prefix/YYYY/MM/DD/
  * @param {Date} date - The date
  * @returns {string} Object prefix
  */
 export function getDatePrefix(date) {
-    const year = date.getFullYear().toString();
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-    const day = date.getDate().toString().padStart(2, "0");
+    const { year, month, day } = dayParts(dayKey(date));
     return `${config.prefix}/${year}/${month}/${day}/`;
 }
 
@@ -94,30 +119,628 @@ function generateObjectName(date) {
     return `${prefix}${timestamp}-${uuid}.jsonl`;
 }
 
+/**
+ * Generates the marker object name for a statement id.
+ * Format: prefix/_ids/{id}
+ * @param {string} id - Statement id
+ * @returns {string} Object name
+ */
+function getIdMarkerName(id) {
+    return `${config.prefix}/_ids/${id}`;
+}
+
+/**
+ * Generates the voided marker object name for a statement id.
+ * Format: prefix/_voided/{id}
+ * @param {string} id - Voided statement id
+ * @returns {string} Object name
+ */
+function getVoidedMarkerName(id) {
+    return `${config.prefix}/_voided/${id}`;
+}
+
+/**
+ * Writes voided markers for the voiding statements among stored ones.
+ * @param {object[]} statements - Stored statements
+ * @returns {Promise<void>}
+ */
+async function markVoided(statements) {
+    await Promise.all(statements.map(async (statement) => {
+        const target = voidedTargetId(statement);
+        if (target) {
+            await getBucket().file(getVoidedMarkerName(target)).save(statement.id, {
+                contentType: "text/plain",
+                resumable: false,
+                // Listed with the object, so reading the voided ids needs no downloads
+                metadata: { metadata: { voidedBy: statement.id } },
+            });
+            voidedCache?.ids.set(target, statement.id);
+        }
+    }));
+}
+
+/**
+ * Lists the voided markers.
+ * The voided id is the object name; markers written before the voidedBy
+ * metadata existed are downloaded for the voiding statement id.
+ * @returns {Promise<Map<string, string>>} Voided statement id -> voiding statement id
+ */
+async function listVoidedIds() {
+    const prefix = `${config.prefix}/_voided/`;
+    const [files] = await getBucket().getFiles({ prefix });
+    const result = new Map();
+
+    await Promise.all(files.map(async (file) => {
+        let voidedBy = file.metadata?.metadata?.voidedBy;
+        if (!voidedBy) {
+            const [content] = await file.download();
+            voidedBy = content.toString("utf8");
+        }
+        result.set(file.name.slice(prefix.length), voidedBy);
+    }));
+
+    return result;
+}
+
+/**
+ * Gets the ids of all voided statements.
+ * @returns {Promise<Map<string, string>>} Voided statement id -> voiding statement id
+ */
+export async function getVoidedIds() {
+    if (voidedCache && Date.now() - voidedCache.loadedAt < VOIDED_CACHE_TTL) {
+        return voidedCache.ids;
+    }
+    if (!voidedLoading) {
+        voidedLoading = listVoidedIds()
+            .then((ids) => {
+                voidedCache = { ids, loadedAt: Date.now() };
+                return ids;
+            })
+            .finally(() => {
+                voidedLoading = null;
+            });
+    }
+    return voidedLoading;
+}
+
+/**
+ * Lays out statements as the content of one object, recording where each
+ * statement lands (the id index entry).
+ * @param {string} objectName - Object name the content will be saved to
+ * @param {object[]} statements - Statements to lay out
+ * @returns {{objectName: string, statements: object[], content: string, entries: Array<{id: string, hash: string, object: string, offset: number, length: number}>}}
+ */
+function layoutObject(objectName, statements) {
+    const lines = [];
+    const entries = [];
+    let offset = 0;
+
+    for (const statement of statements) {
+        const line = JSON.stringify(statement);
+        const length = Buffer.byteLength(line, "utf8");
+        entries.push({ id: statement.id, hash: statementHash(statement), object: objectName, offset, length });
+        lines.push(line);
+        offset += length + 1;
+    }
+
+    return { objectName, statements, content: lines.join("\n") + "\n", entries };
+}
+
+/**
+ * Reads the id index entry for a statement id.
+ * @param {string} id - Statement id
+ * @returns {Promise<{hash: string, object?: string, offset?: number, length?: number}|null>}
+ *   The entry, or null if the id is not stored
+ */
+async function readIdMarker(id) {
+    try {
+        const [content] = await getBucket().file(getIdMarkerName(id)).download();
+        const text = content.toString("utf8");
+        // Markers written before the index carried locations hold only the hash
+        return text.startsWith("{") ? JSON.parse(text) : { hash: text };
+    } catch (error) {
+        if (error.code === 404) {
+            return null;
+        }
+        recordGcsError("marker", error);
+        throw error;
+    }
+}
+
+/**
+ * Writes the id index entry for a statement.
+ * @param {{id: string}} entry - Index entry
+ * @param {object} [preconditionOpts] - GCS preconditions for the write
+ * @returns {Promise<void>}
+ */
+async function writeIdMarker(entry, preconditionOpts) {
+    await getBucket().file(getIdMarkerName(entry.id)).save(JSON.stringify(entry), {
+        contentType: "application/json",
+        resumable: false,
+        ...(preconditionOpts ? { preconditionOpts } : {}),
+    });
+}
+
+/**
+ * Reserves statement ids by creating their marker objects.
+ * Creation only succeeds if the marker does not exist yet (ifGenerationMatch=0).
+ * @param {Array<{id: string, hash: string}>} entries - Index entries to reserve
+ * @returns {Promise<Map<string, "fresh"|"duplicate"|"conflict">>} Outcome per id
+ */
+async function reserveEntries(entries) {
+    const settled = await Promise.allSettled(entries.map(async (entry) => {
+        try {
+            await writeIdMarker(entry, { ifGenerationMatch: 0 });
+            return "fresh";
+        } catch (error) {
+            if (error.code !== 412) {
+                recordGcsError("marker", error);
+                throw error;
+            }
+            const stored = await readIdMarker(entry.id);
+            return stored && stored.hash === entry.hash ? "duplicate" : "conflict";
+        }
+    }));
+
+    // On error, undo the reservations that did succeed so a retry can proceed
+    const failure = settled.find(o => o.status === "rejected");
+    if (failure) {
+        await releaseIds(entries.filter((_, i) => settled[i].value === "fresh").map(e => e.id));
+        throw failure.reason;
+    }
+
+    return new Map(entries.map((entry, i) => [entry.id, settled[i].value]));
+}
+
+/**
+ * Releases id markers for statements that failed to be written.
+ * @param {string[]} ids - Statement ids to release
+ */
+async function releaseIds(ids) {
+    await Promise.all(ids.map(id =>
+        getBucket().file(getIdMarkerName(id)).delete({ ignoreNotFound: true })
+            .catch(error => {
+                recordGcsError("marker", error);
+                console.error(`[gcs] Error releasing id ${id}:`, error.message);
+            })
+    ));
+}
+
+/**
+ * Reserves and saves one laid out object.
+ * If some statements turn out to be stored already, the object is laid out
+ * again with the remaining ones and their index entries are corrected.
+ * @param {ReturnType<typeof layoutObject>} layout - Object layout
+ * @param {Map<string, string>} outcomes - Reservation outcome per id
+ * @returns {Promise<number>} Number of statements written
+ */
+async function saveLayout(layout, outcomes) {
+    const fresh = layout.statements.filter(s => outcomes.get(s.id) === "fresh");
+    if (fresh.length === 0) {
+        return 0;
+    }
+
+    let target = layout;
+    try {
+        if (fresh.length < layout.statements.length) {
+            target = layoutObject(layout.objectName, fresh);
+            await Promise.all(target.entries.map(entry => writeIdMarker(entry)));
+        }
+
+        await getBucket().file(target.objectName).save(target.content, {
+            contentType: "application/x-ndjson",
+            resumable: false,
+        });
+        // The data is stored at this point; a missing marker is repaired by rebuildIndex
+        await markVoided(fresh).catch(error => {
+            recordGcsError("marker", error);
+            console.error("[gcs] Error writing voided markers:", error.message);
+        });
+        return fresh.length;
+    } catch (error) {
+        recordGcsError("write", error);
+        await releaseIds(fresh.map(s => s.id));
+        throw error;
+    }
+}
+
+/**
+ * Checks which statement ids are already stored.
+ * @param {object[]} statements - Statements to check
+ * @returns {Promise<{duplicates: string[], conflicts: string[]}>} Ids stored with
+ *   identical content (duplicates) and with different content (conflicts)
+ */
+export async function checkStatementIds(statements) {
+    const result = { duplicates: [], conflicts: [] };
+    const stored = await Promise.all(statements.map(s => readIdMarker(s.id)));
+
+    statements.forEach((statement, i) => {
+        if (stored[i] === null) {
+            return;
+        }
+        if (stored[i].hash === statementHash(statement)) {
+            result.duplicates.push(statement.id);
+        } else {
+            result.conflicts.push(statement.id);
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Gets a single statement by id using the id index.
+ * Reads only the statement's byte range from its object.
+ * @param {string} id - Statement id
+ * @returns {Promise<object|null>} The statement, or null if not found
+ */
+export async function getStatement(id) {
+    const entry = await readIdMarker(id);
+    if (!entry || !entry.object) {
+        return null;
+    }
+
+    try {
+        const [content] = await getBucket().file(entry.object).download({
+            start: entry.offset,
+            end: entry.offset + entry.length - 1,
+        });
+        const statement = JSON.parse(content.toString("utf8"));
+        return statement.id === id ? statement : null;
+    } catch (error) {
+        if (error.code === 404 || error instanceof SyntaxError) {
+            return null;
+        }
+        recordGcsError("read", error);
+        throw error;
+    }
+}
+
+/**
+ * Rebuilds the id index from all statement objects under the prefix.
+ * Existing markers are overwritten; the first occurrence of an id wins.
+ * @returns {Promise<{files: number, statements: number}>}
+ */
+export async function rebuildIndex() {
+    const dataFiles = await listDataObjects();
+
+    const seen = new Set();
+    for (const file of dataFiles) {
+        const entries = [];
+        const statements = [];
+
+        for await (const { statement, offset, length } of streamLines(file.createReadStream())) {
+            if (statement.id && !seen.has(statement.id)) {
+                seen.add(statement.id);
+                statements.push(statement);
+                entries.push({ id: statement.id, hash: statementHash(statement), object: file.name, offset, length });
+            }
+        }
+
+        await Promise.all(entries.map(entry => writeIdMarker(entry)));
+        await markVoided(statements);
+    }
+
+    console.log(`[gcs] Rebuilt id index: ${seen.size} statement(s) in ${dataFiles.length} object(s)`);
+    return { files: dataFiles.length, statements: seen.size };
+}
+
+/**
+ * Lists the statement objects under the prefix (excluding markers, documents and audit records).
+ * @returns {Promise<File[]>} Objects sorted by name
+ */
+async function listDataObjects() {
+    const [files] = await getBucket().getFiles({ prefix: `${config.prefix}/` });
+    return files
+        .filter(f => !f.name.slice(config.prefix.length + 1).startsWith("_"))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Number of attempts to rewrite an object that changed while being rewritten.
+ */
+const REWRITE_ATTEMPTS = 3;
+
+/**
+ * Removes matching statements from one object.
+ * The object is replaced (or deleted when empty) only if it still has the
+ * generation that was read.
+ * @param {File} file - Statement object
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {Promise<object[]>} Removed statements
+ */
+async function eraseFromObject(file, matches) {
+    for (let attempt = 1; ; attempt++) {
+        const [metadata] = await file.getMetadata();
+        const [content] = await getBucket().file(file.name, { generation: metadata.generation }).download();
+        const result = removeLines(content, matches);
+        if (result.removed.length === 0) {
+            return [];
+        }
+
+        try {
+            if (result.content.length === 0) {
+                await file.delete({ ifGenerationMatch: metadata.generation });
+            } else {
+                await file.save(result.content, {
+                    contentType: "application/x-ndjson",
+                    resumable: false,
+                    preconditionOpts: { ifGenerationMatch: metadata.generation },
+                });
+            }
+            return result.removed;
+        } catch (error) {
+            if (error.code !== 412 || attempt >= REWRITE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Deletes the id markers and voided markers belonging to removed statements.
+ * @param {object[]} statements - Removed statements
+ * @returns {Promise<void>}
+ */
+async function dropMarkers(statements) {
+    await releaseIds(statements.map(s => s.id));
+    // Voided markers of removed statements, and those set by removed voiding statements
+    const voidedMarkers = [
+        ...statements.map(s => s.id),
+        ...statements.map(voidedTargetId).filter(Boolean),
+    ];
+    await Promise.all(voidedMarkers.map(async (id) => {
+        await getBucket().file(getVoidedMarkerName(id)).delete({ ignoreNotFound: true });
+        voidedCache?.ids.delete(id);
+    }));
+}
+
+/**
+ * Re-points the id markers of an object's statements after lines were removed from it.
+ * Markers pointing at another object are left alone.
+ * @param {File} file - Statement object
+ * @returns {Promise<void>}
+ */
+async function repointMarkers(file) {
+    const [exists] = await file.exists();
+    if (!exists) {
+        return;
+    }
+    const [content] = await file.download();
+    await Promise.all([...parseLines(content)].map(async ({ statement, offset, length }) => {
+        const stored = await readIdMarker(statement.id);
+        if (stored?.object === file.name) {
+            await writeIdMarker({ id: statement.id, hash: statementHash(statement), object: file.name, offset, length });
+        }
+    }));
+}
+
+/**
+ * Removes matching statements from every statement object (learner data erasure).
+ * Affected objects are rewritten with generation preconditions; id markers of
+ * removed statements are deleted and those of the remaining ones re-pointed.
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {Promise<{removed: number, files: Array<{file: string, removed: number}>, days: string[]}>}
+ *   days lists the days of the affected objects
+ */
+export async function eraseStatements(matches) {
+    const report = { removed: 0, files: [], days: [] };
+
+    for (const file of await listDataObjects()) {
+        const removed = await eraseFromObject(file, matches);
+        if (removed.length === 0) {
+            continue;
+        }
+
+        await dropMarkers(removed);
+        await repointMarkers(file);
+
+        report.files.push({ file: `gs://${config.bucket}/${file.name}`, removed: removed.length });
+        report.removed += removed.length;
+        const day = getObjectDayKey(file.name);
+        if (day && !report.days.includes(day)) {
+            report.days.push(day);
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Gets the day a data object belongs to from its prefix/YYYY/MM/DD/ name.
+ * @param {string} name - Object name
+ * @returns {string|null} Day key, or null for objects outside the date layout
+ */
+function getObjectDayKey(name) {
+    const match = name.slice(config.prefix.length + 1).match(/^(\d{4})\/(\d{2})\/(\d{2})\//);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Reads the index entries of all statements stored in a day's objects.
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @returns {Promise<Map<string, {id: string, hash: string, object: string, offset: number, length: number}>>}
+ *   Entries by id (first occurrence)
+ */
+async function readDayEntries(day) {
+    const entries = new Map();
+    const [files] = await getBucket().getFiles({ prefix: getDatePrefix(dayStart(day)) });
+    for (const file of files.sort((a, b) => a.name.localeCompare(b.name))) {
+        for await (const { statement, offset, length } of streamLines(file.createReadStream())) {
+            if (statement.id && !entries.has(statement.id)) {
+                entries.set(statement.id, { id: statement.id, hash: statementHash(statement), object: file.name, offset, length });
+            }
+        }
+    }
+    return entries;
+}
+
+/**
+ * Moves statements stored under another day than the one their timestamp falls
+ * on in the partition time zone (XAPI_PARTITION_TZ) into new objects under the
+ * right day. Used after changing the partition time zone; run with the server stopped.
+ * Misplaced statements without a copy under their day are copied there, their
+ * id markers are pointed at the copies, and only then are the copied statements
+ * removed from the source object, so an interrupted run can simply be repeated.
+ * @param {{dryRun?: boolean}} [options] - dryRun only counts the misplaced statements
+ * @returns {Promise<{moved: number, files: Array<{file: string, moved: number}>}>}
+ */
+export async function repartitionStatements({ dryRun = false } = {}) {
+    const report = { moved: 0, files: [] };
+
+    for (const file of await listDataObjects()) {
+        const fileDay = getObjectDayKey(file.name);
+        if (!fileDay) {
+            continue;
+        }
+        const misplaced = (statement) => Boolean(statement.id && statement.timestamp) && statementDayKey(statement) !== fileDay;
+
+        const byDay = new Map();
+        for await (const { statement } of streamLines(file.createReadStream())) {
+            if (misplaced(statement)) {
+                const day = statementDayKey(statement);
+                if (!byDay.has(day)) {
+                    byDay.set(day, []);
+                }
+                byDay.get(day).push(statement);
+            }
+        }
+        const count = [...byDay.values()].reduce((sum, list) => sum + list.length, 0);
+        if (count === 0) {
+            continue;
+        }
+        report.files.push({ file: `gs://${config.bucket}/${file.name}`, moved: count });
+        report.moved += count;
+        if (dryRun) {
+            continue;
+        }
+
+        // Copy the statements their day does not have yet (an interrupted run may have copied some),
+        // then point the markers at the copies before the source lines go
+        const copied = new Set();
+        for (const [day, statements] of byDay) {
+            const present = await readDayEntries(day);
+            const missing = statements.filter(s => !present.has(s.id));
+            if (missing.length > 0) {
+                const layout = layoutObject(generateObjectName(dayStart(day)), missing);
+                await getBucket().file(layout.objectName).save(layout.content, {
+                    contentType: "application/x-ndjson",
+                    resumable: false,
+                });
+                for (const entry of layout.entries) {
+                    present.set(entry.id, entry);
+                }
+            }
+            await Promise.all(statements.map(s => writeIdMarker(present.get(s.id))));
+            for (const statement of statements) {
+                copied.add(statement.id);
+            }
+        }
+
+        // Then drop the copied statements from this object
+        await eraseFromObject(file, statement => misplaced(statement) && copied.has(statement.id));
+        await repointMarkers(file);
+    }
+
+    return report;
+}
+
+/**
+ * Lists the days that have statement objects.
+ * @returns {Promise<string[]>} Day keys (YYYY-MM-DD), sorted
+ */
+export async function listDays() {
+    const days = new Set();
+    for (const file of await listDataObjects()) {
+        const match = file.name.slice(config.prefix.length + 1).match(/^(\d{4})\/(\d{2})\/(\d{2})\//);
+        if (match) {
+            days.add(`${match[1]}-${match[2]}-${match[3]}`);
+        }
+    }
+    return [...days].sort();
+}
+
+/**
+ * Removes all objects of a day (retention), optionally copying them under an
+ * archive prefix first. Archived objects keep their YYYY/MM/DD layout.
+ * The statements' id markers are deleted before the object.
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @param {string|null} [archivePrefix] - Archive prefix, or null to delete
+ * @returns {Promise<{day: string, files: string[], bytes: number}>}
+ */
+export async function removeDay(day, archivePrefix) {
+    const report = { day, files: [], bytes: 0 };
+    const [files] = await getBucket().getFiles({ prefix: getDatePrefix(dayStart(day)) });
+
+    for (const file of files) {
+        const [content] = await file.download();
+        if (archivePrefix) {
+            await file.copy(`${archivePrefix}/${file.name.slice(config.prefix.length + 1)}`);
+        }
+
+        // Markers go first: a crash in between leaves the object without markers
+        // (removed on the next run) instead of markers pointing at nothing.
+        // Keep markers that point at another copy of the statement.
+        const statements = [...parseLines(content)].map(({ statement }) => statement);
+        const markers = await Promise.all(statements.map(s => readIdMarker(s.id)));
+        await dropMarkers(statements.filter((_, i) => !markers[i]?.object || markers[i].object === file.name));
+        await file.delete({ ignoreNotFound: true });
+
+        report.files.push(`gs://${config.bucket}/${file.name}`);
+        report.bytes += content.length;
+    }
+    return report;
+}
+
+/**
+ * Writes an audit record as its own object.
+ * Format: prefix/_audit/{name}/{timestamp}-{uuid}.json
+ * @param {string} name - Audit log name (e.g. "erasure")
+ * @param {object} record - Audit record
+ * @returns {Promise<string>} Audit record location
+ */
+export async function appendAuditRecord(name, record) {
+    const objectName = `${config.prefix}/_audit/${name}/${Date.now()}-${randomUUID().slice(0, 8)}.json`;
+    await getBucket().file(objectName).save(JSON.stringify(record), {
+        contentType: "application/json",
+        resumable: false,
+    });
+    return `gs://${config.bucket}/${objectName}`;
+}
+
 /**
  * Appends a single xAPI Statement to GCS.
  * Creates a new object for this statement.
+ * Exact duplicates of a stored statement are skipped (reported as duplicate).
  * @param {object} statement - The xAPI Statement to append
  * @param {Date} [date] - Optional date (defaults to statement timestamp or now)
- * @returns {Promise<{filePath: string, success: boolean, error?: string}>}
+ * @returns {Promise<{filePath: string, success: boolean, duplicate?: boolean, conflict?: boolean, error?: string}>}
  */
 export async function appendStatement(statement, date) {
     const timestamp = date || (statement.timestamp ? new Date(statement.timestamp) : new Date());
-    const objectName = generateObjectName(timestamp);
+    const layout = layoutObject(generateObjectName(timestamp), [statement]);
+    const filePath = `gs://${config.bucket}/${layout.objectName}`;
 
     try {
-        const file = getBucket().file(objectName);
-        const content = JSON.stringify(statement) + "\n";
-
-        await file.save(content, {
-            contentType: "application/x-ndjson",
-            resumable: false,
-        });
+        const outcomes = await reserveEntries(layout.entries);
+        const outcome = outcomes.get(statement.id);
+        if (outcome === "duplicate") {
+            return { filePath: null, success: true, duplicate: true };
+        }
+        if (outcome === "conflict") {
+            return {
+                filePath: null,
+                success: false,
+                conflict: true,
+                error: `Statement ${statement.id} already exists with different content`,
+            };
+        }
 
-        return { filePath: `gs://${config.bucket}/${objectName}`, success: true };
+        await saveLayout(layout, outcomes);
+        return { filePath, success: true };
     } catch (error) {
         return {
-            filePath: `gs://${config.bucket}/${objectName}`,
+            filePath,
             success: false,
             error: error.message
         };
@@ -127,45 +750,65 @@ export async function appendStatement(statement, date) {
 /**
  * Appends multiple xAPI Statements to GCS.
  * Groups statements by date and creates one object per date group.
+ * Exact duplicates of stored statements are skipped and counted as duplicates;
+ * ids stored with different content are counted as failed.
  * @param {object[]} statements - Array of xAPI Statements
- * @returns {Promise<{total: number, success: number, failed: number, errors: string[]}>}
+ * @returns {Promise<{total: number, success: number, failed: number, duplicates: number, errors: string[], stored: string[]}>}
+ *   stored lists the ids of the statements written
  */
 export async function appendStatements(statements) {
     const result = {
         total: statements.length,
         success: 0,
         failed: 0,
+        duplicates: 0,
         errors: [],
+        stored: [],
     };
 
     // Group statements by date
     const byDate = new Map();
     for (const statement of statements) {
-        const timestamp = statement.timestamp ? new Date(statement.timestamp) : new Date();
-        const dateKey = timestamp.toISOString().split("T")[0];
+        const dateKey = statementDayKey(statement);
 
         if (!byDate.has(dateKey)) {
-            byDate.set(dateKey, { date: timestamp, statements: [] });
+            byDate.set(dateKey, { date: dayStart(dateKey), statements: [] });
         }
         byDate.get(dateKey).statements.push(statement);
     }
 
-    // Write each date group as a single object
-    for (const [dateKey, group] of byDate) {
-        const objectName = generateObjectName(group.date);
+    // Lay out one object per date group and reserve all ids up front
+    const layouts = [...byDate].map(([dateKey, group]) => ({
+        dateKey,
+        layout: layoutObject(generateObjectName(group.date), group.statements),
+    }));
 
-        try {
-            const file = getBucket().file(objectName);
-            const content = group.statements.map(s => JSON.stringify(s)).join("\n") + "\n";
+    let outcomes;
+    try {
+        outcomes = await reserveEntries(layouts.flatMap(l => l.layout.entries));
+    } catch (error) {
+        result.failed = statements.length;
+        result.errors.push(`id check: ${error.message}`);
+        return result;
+    }
 
-            await file.save(content, {
-                contentType: "application/x-ndjson",
-                resumable: false,
-            });
+    for (const [id, outcome] of outcomes) {
+        if (outcome === "duplicate") {
+            result.duplicates++;
+        } else if (outcome === "conflict") {
+            result.failed++;
+            result.errors.push(`${id}: already exists with different content`);
+        }
+    }
 
-            result.success += group.statements.length;
+    // Write each date group as a single object
+    for (const { dateKey, layout } of layouts) {
+        const fresh = layout.statements.filter(s => outcomes.get(s.id) === "fresh");
+        try {
+            result.success += await saveLayout(layout, outcomes);
+            result.stored.push(...fresh.map(s => s.id));
         } catch (error) {
-            result.failed += group.statements.length;
+            result.failed += fresh.length;
             result.errors.push(`${dateKey}: ${error.message}`);
         }
     }
@@ -174,79 +817,105 @@ export async function appendStatements(statements) {
 }
 
 /**
- * Reads statements from a GCS object.
+ * Reads statements from a GCS object, streaming it line by line.
  * @param {string} objectName - Object name (without gs://bucket/)
- * @returns {Promise<object[]>} Array of parsed statements
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read
+ * @returns {AsyncGenerator<object>} Parsed statements
  */
-export async function readStatements(objectName) {
+export async function* readStatements(objectName, options = {}) {
     try {
         const file = getBucket().file(objectName);
-        const [content] = await file.download();
-        const lines = content.toString("utf8").split("\n").filter(line => line.trim());
-
-        return lines.map(line => {
-            try {
-                return JSON.parse(line);
-            } catch {
-                return null;
-            }
-        }).filter(Boolean);
+        for await (const { statement } of streamLines(file.createReadStream(), options)) {
+            yield statement;
+        }
     } catch (error) {
-        if (error.code === 404) {
-            return [];
+        if (error.code !== 404) {
+            recordGcsError("read", error);
+            throw error;
         }
-        throw error;
     }
 }
 
 /**
- * Reads statements for a date range.
- * Lists all objects in each day's prefix and reads them.
+ * Reads statements for a date range together with their storage position.
+ * A position is {date, file, offset}: the day key, the object name and the
+ * byte offset just after the statement. Passing a position as `after` resumes
+ * reading exactly there; earlier objects are skipped by the listing itself.
+ * Objects are streamed line by line, so memory does not grow with their size.
  * @param {Date} startDate - Start date (inclusive)
  * @param {Date} endDate - End date (inclusive)
- * @returns {AsyncGenerator<object>} Async generator of statements
+ * @param {{date: string, file: string, offset: number}} [after] - Position to resume from
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read (e.g. the client disconnected)
+ * @returns {AsyncGenerator<{statement: object, position: {date: string, file: string, offset: number}}>}
  */
-export async function* readStatementsInRange(startDate, endDate) {
-    const current = new Date(startDate);
-    current.setHours(0, 0, 0, 0);
+export async function* readStatementEntries(startDate, endDate, after, options = {}) {
+    const lastDay = dayKey(endDate);
+    const end = dayEnd(lastDay);
 
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
+    let date = dayKey(startDate);
+    if (after && after.date > date) {
+        date = after.date;
+    }
 
-    while (current <= end) {
+    for (; date <= lastDay; date = addDays(date, 1)) {
+        options.signal?.throwIfAborted();
+        const current = dayStart(date);
+        const resuming = after && after.date === date;
         const prefix = getDatePrefix(current);
 
         try {
-            // List all objects with this prefix
-            const [files] = await getBucket().getFiles({ prefix });
+            // List objects with this prefix, starting at the resumed object if any
+            const query = resuming ? { prefix, startOffset: after.file } : { prefix };
+            const [files] = await getBucket().getFiles(query);
 
             // Sort by name (which includes timestamp) for chronological order
             const sortedFiles = files.sort((a, b) => a.name.localeCompare(b.name));
 
             for (const file of sortedFiles) {
-                const statements = await readStatements(file.name);
+                const start = resuming && file.name === after.file ? after.offset : 0;
+                if (start >= (parseInt(file.metadata?.size, 10) || Infinity)) {
+                    continue;
+                }
+
+                const stream = file.createReadStream(start > 0 ? { start } : {});
 
-                for (const statement of statements) {
+                for await (const { statement, next } of streamLines(stream, { baseOffset: start, signal: options.signal })) {
                     // Filter by timestamp if present
                     if (statement.timestamp) {
                         const stmtDate = new Date(statement.timestamp);
-                        if (stmtDate >= startDate && stmtDate <= end) {
-                            yield statement;
+                        if (stmtDate < startDate || stmtDate > end) {
+                            continue;
                         }
-                    } else {
-                        yield statement;
                     }
+                    yield { statement, position: { date, file: file.name, offset: next } };
                 }
             }
         } catch (error) {
-            // Skip if prefix doesn't exist
+            if (isAbortError(error)) {
+                throw error;
+            }
+            // Skip if prefix doesn't exist; any other failure ends the read so
+            // that callers do not return a silently incomplete result
             if (error.code !== 404) {
+                recordGcsError("read", error);
                 console.error(`[gcs] Error reading ${prefix}:`, error.message);
+                throw error;
             }
         }
+    }
+}
 
-        // Move to next day
-        current.setDate(current.getDate() + 1);
+/**
+ * Reads statements for a date range.
+ * Lists all objects in each day's prefix and reads them.
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read
+ * @returns {AsyncGenerator<object>} Async generator of statements
+ */
+export async function* readStatementsInRange(startDate, endDate, options = {}) {
+    for await (const { statement } of readStatementEntries(startDate, endDate, undefined, options)) {
+        yield statement;
     }
 }
 
@@ -262,9 +931,9 @@ export async function getDateStats(date) {
     try {
         const [files] = await getBucket().getFiles({ prefix });
 
+        // The listing carries each object's metadata
         for (const file of files) {
-            const [metadata] = await file.getMetadata();
-            const size = parseInt(metadata.size, 10) || 0;
+            const size = parseInt(file.metadata?.size, 10) || 0;
             result.files.push({
                 path: `gs://${config.bucket}/${file.name}`,
                 size
@@ -273,6 +942,7 @@ export async function getDateStats(date) {
         }
     } catch (error) {
         if (error.code !== 404) {
+            recordGcsError("stats", error);
             console.error(`[gcs] Error getting stats for ${prefix}:`, error.message);
         }
     }
@@ -280,6 +950,184 @@ export async function getDateStats(date) {
     return result;
 }
 
+/**
+ * Generates the object name of a stored document.
+ * Format: prefix/_documents/{key}
+ * @param {string} key - Document key (slash separated, built by lib/documents.js)
+ * @returns {string} Object name
+ */
+function getDocumentObjectName(key) {
+    return `${config.prefix}/_documents/${key}`;
+}
+
+/**
+ * Reads the metadata of a stored document object.
+ * @param {string} key - Document key
+ * @returns {Promise<object|null>} Object metadata, or null if the document does not exist
+ */
+async function readDocumentMetadata(key) {
+    try {
+        const [metadata] = await getBucket().file(getDocumentObjectName(key)).getMetadata();
+        return metadata;
+    } catch (error) {
+        if (error.code === 404) {
+            return null;
+        }
+        recordGcsError("document", error);
+        throw error;
+    }
+}
+
+/**
+ * Gets a stored document (State, Activity Profile or Agent Profile).
+ * @param {string} key - Document key
+ * @returns {Promise<{id: string, contentType: string, etag: string, updated: string, content: Buffer}|null>}
+ */
+export async function getDocument(key) {
+    const metadata = await readDocumentMetadata(key);
+    if (!metadata) {
+        return null;
+    }
+
+    try {
+        // Download exactly the generation the metadata belongs to
+        const file = getBucket().file(getDocumentObjectName(key), { generation: metadata.generation });
+        const [content] = await file.download();
+        return {
+            id: metadata.metadata?.id,
+            contentType: metadata.contentType,
+            etag: metadata.metadata?.etag,
+            updated: metadata.metadata?.updated,
+            content,
+        };
+    } catch (error) {
+        if (error.code === 404) {
+            return null;
+        }
+        recordGcsError("document", error);
+        throw error;
+    }
+}
+
+/**
+ * Lists the documents directly under a key prefix.
+ * @param {string} prefix - Key prefix (ending with "/")
+ * @param {{recursive?: boolean}} [options] - recursive also lists the documents of all deeper levels
+ * @returns {Promise<Array<{key: string, id: string, updated: string}>>}
+ */
+export async function listDocuments(prefix, options = {}) {
+    const objectPrefix = getDocumentObjectName(prefix);
+    const [files] = await getBucket().getFiles(options.recursive ? { prefix: objectPrefix } : { prefix: objectPrefix, delimiter: "/" });
+    return files.map(file => ({
+        key: `${prefix}${file.name.slice(objectPrefix.length)}`,
+        id: file.metadata.metadata?.id,
+        updated: file.metadata.metadata?.updated,
+    }));
+}
+
+/**
+ * Resolves an expected ETag to a GCS generation precondition.
+ * @param {string} key - Document key
+ * @param {string|null|undefined} expectedEtag - undefined: no check, null: must not exist, string: must match
+ * @returns {Promise<{ifGenerationMatch?: number|string}|null>} Preconditions, or null if the ETag does not match
+ */
+async function documentPreconditions(key, expectedEtag) {
+    if (expectedEtag === undefined) {
+        return {};
+    }
+    if (expectedEtag === null) {
+        return { ifGenerationMatch: 0 };
+    }
+    const metadata = await readDocumentMetadata(key);
+    if (!metadata || metadata.metadata?.etag !== expectedEtag) {
+        return null;
+    }
+    return { ifGenerationMatch: metadata.generation };
+}
+
+/**
+ * Saves a document, replacing the stored one.
+ * ETag checks are turned into generation preconditions, so concurrent writers
+ * on other instances cannot overwrite each other.
+ * @param {string} key - Document key
+ * @param {{id: string, contentType: string, etag: string, updated: string, content: Buffer}} document - Document
+ * @param {string|null} [expectedEtag] - undefined: unconditional, null: must not exist, string: stored ETag must match
+ * @returns {Promise<{success: boolean, preconditionFailed?: boolean}>}
+ */
+export async function saveDocument(key, document, expectedEtag) {
+    const preconditionOpts = await documentPreconditions(key, expectedEtag);
+    if (!preconditionOpts) {
+        return { success: false, preconditionFailed: true };
+    }
+
+    try {
+        await getBucket().file(getDocumentObjectName(key)).save(document.content, {
+            contentType: document.contentType,
+            resumable: false,
+            metadata: {
+                metadata: { id: document.id, etag: document.etag, updated: document.updated },
+            },
+            preconditionOpts,
+        });
+        return { success: true };
+    } catch (error) {
+        if (error.code === 412) {
+            return { success: false, preconditionFailed: true };
+        }
+        recordGcsError("document", error);
+        throw error;
+    }
+}
+
+/**
+ * Deletes a document.
+ * @param {string} key - Document key
+ * @param {string} [expectedEtag] - Stored ETag must match when given
+ * @returns {Promise<{success: boolean, notFound?: boolean, preconditionFailed?: boolean}>}
+ */
+export async function deleteDocument(key, expectedEtag) {
+    const metadata = await readDocumentMetadata(key);
+    if (!metadata) {
+        return { success: false, notFound: true };
+    }
+    if (expectedEtag !== undefined && metadata.metadata?.etag !== expectedEtag) {
+        return { success: false, preconditionFailed: true };
+    }
+
+    try {
+        await getBucket().file(getDocumentObjectName(key)).delete({ ifGenerationMatch: metadata.generation });
+        return { success: true };
+    } catch (error) {
+        if (error.code === 404) {
+            return { success: false, notFound: true };
+        }
+        if (error.code === 412) {
+            return { success: false, preconditionFailed: true };
+        }
+        recordGcsError("document", error);
+        throw error;
+    }
+}
+
+/**
+ * Compresses closed data files (local backend only).
+ * Objects are left as they are; use bucket lifecycle rules to move old days
+ * to a colder storage class instead.
+ * @returns {Promise<{files: string[], bytesBefore: number, bytesAfter: number}>}
+ */
+export async function compressClosedFiles() {
+    return { files: [], bytesBefore: 0, bytesAfter: 0 };
+}
+
+/**
+ * Gets the file statements of today are written to, for monitoring.
+ * Every write creates its own object, so there is no current file.
+ * @returns {Promise<null>}
+ */
+export async function getCurrentFileStats() {
+    return null;
+}
+
 /**
  * Gets the current configuration.
  * @returns {typeof DEFAULT_CONFIG}
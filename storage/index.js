@@ -5,6 +5,12 @@
  * Usage:
  *   STORAGE_BACKEND=local  -> uses jsonl.js (default)
  *   STORAGE_BACKEND=gcs    -> uses gcs.js
+ *   STORAGE_BACKEND=sqlite -> uses sqlite.js
+ *
+ * readStatementEntries / readStatementsInRange accept an optional
+ * `filter` option ({verb, registration, classrooms, agent}). The SQLite backend
+ * answers it from its indexes; the file backends ignore it, so callers still
+ * test every statement with matchesQuery.
  */
 
 const backend = process.env.STORAGE_BACKEND || "local";
@@ -14,6 +20,17 @@ let storage;
 if (backend === "gcs") {
     console.log("[storage] Using Google Cloud Storage backend");
     storage = await import("./gcs.js");
+} else if (backend === "sqlite") {
+    console.log("[storage] Using SQLite backend");
+    try {
+        storage = await import("./sqlite.js");
+    } catch (error) {
+        // better-sqlite3 is an optional dependency and may have failed to build
+        if (error.code === "ERR_MODULE_NOT_FOUND" && error.message.includes("better-sqlite3")) {
+            throw new Error("STORAGE_BACKEND=sqlite needs the optional better-sqlite3 package (npm install better-sqlite3)");
+        }
+        throw error;
+    }
 } else {
     console.log("[storage] Using local filesystem backend");
     storage = await import("./jsonl.js");
@@ -24,9 +41,25 @@ export const {
     configure,
     appendStatement,
     appendStatements,
+    checkStatementIds,
+    getStatement,
+    getVoidedIds,
+    rebuildIndex,
     readStatements,
     readStatementsInRange,
+    readStatementEntries,
     getDateStats,
+    getDocument,
+    listDocuments,
+    saveDocument,
+    deleteDocument,
+    eraseStatements,
+    appendAuditRecord,
+    listDays,
+    removeDay,
+    compressClosedFiles,
+    repartitionStatements,
+    getCurrentFileStats,
     getConfig,
 } = storage;
 
@@ -1,17 +1,35 @@
 /**
  * JSONL storage for xAPI Statements.
  * Provides date-based file organization, file rotation, and concurrent write safety.
+ *
+ * Files of closed days and files that finished rotation can be compressed to
+ * DD.jsonl.gz / DD-001.jsonl.gz (compressClosedFiles). Compressed files are read
+ * transparently: file names in the id index and read positions always refer to
+ * the uncompressed name, and offsets to the uncompressed content.
  */
 
 import fs from "fs";
 import path from "path";
+import zlib from "zlib";
+import { Transform, pipeline } from "stream";
 import { promisify } from "util";
+import { statementHash, voidedTargetId } from "../lib/statement.js";
+import { dayKey, dayParts, dayStart, dayEnd, addDays, statementDayKey } from "../lib/partition.js";
+import { streamLines, removeLines } from "./lines.js";
 
 const writeFile = promisify(fs.writeFile);
 const appendFile = promisify(fs.appendFile);
 const stat = promisify(fs.stat);
 const readFile = promisify(fs.readFile);
 const readdir = promisify(fs.readdir);
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const pipelineAsync = promisify(pipeline);
+
+/**
+ * Suffix of compressed data files.
+ */
+const COMPRESSED_SUFFIX = ".gz";
 
 /**
  * Default configuration.
@@ -35,12 +53,28 @@ let config = { ...DEFAULT_CONFIG };
  */
 const writeLocks = new Map();
 
+/**
+ * In-memory copy of the persistent id index (id -> {file, offset, length, hash}).
+ * Loaded lazily on first use from baseDir/_index/statement-ids.jsonl.
+ */
+let idIndex = null;
+let idIndexLoading = null;
+
+/**
+ * Voided statement ids (target id -> voiding statement id), derived from the id index.
+ */
+let voidedIds = new Map();
+
 /**
  * Updates the storage configuration.
  * @param {Partial<typeof DEFAULT_CONFIG>} newConfig - Configuration to merge
  */
 export function configure(newConfig) {
     config = { ...config, ...newConfig };
+    // Reset the id index to pick up the new baseDir
+    idIndex = null;
+    idIndexLoading = null;
+    voidedIds = new Map();
 }
 
 /**
@@ -54,25 +88,24 @@ function ensureDir(dir) {
 }
 
 /**
- * Generates the directory path for a given date.
+ * Generates the directory path for a given date (in the partition time zone).
  * Format: baseDir/YYYY/MM/
  * @param {Date} date - The date
  * @returns {string} Directory path
  */
 export function getDateDirectory(date) {
-    const year = date.getFullYear().toString();
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const { year, month } = dayParts(dayKey(date));
     return path.join(config.baseDir, year, month);
 }
 
 /**
- * Generates the base filename for a given date.
+ * Generates the base filename for a given date (in the partition time zone).
  * Format: DD.jsonl
  * @param {Date} date - The date
  * @returns {string} Base filename
  */
 export function getDateFilename(date) {
-    const day = date.getDate().toString().padStart(2, "0");
+    const { day } = dayParts(dayKey(date));
     return `${day}${config.extension}`;
 }
 
@@ -94,6 +127,123 @@ export function getFilePath(date, rotationIndex) {
     return path.join(dir, filename);
 }
 
+/**
+ * Builds the pattern matching a date's files, rotated and compressed ones included.
+ * Groups: 1 = rotation suffix ("-001"), 2 = compressed suffix (".gz").
+ * @param {string} baseFilename - Date filename without extension (DD)
+ * @returns {RegExp}
+ */
+function getDateFilePattern(baseFilename) {
+    return new RegExp(`^${baseFilename}(-\\d{3})?\\${config.extension}(\\${COMPRESSED_SUFFIX})?$`);
+}
+
+/**
+ * Checks whether a data file has been compressed.
+ * @param {string} filePath - Uncompressed file path
+ * @returns {boolean}
+ */
+function isCompressed(filePath) {
+    return !fs.existsSync(filePath) && fs.existsSync(filePath + COMPRESSED_SUFFIX);
+}
+
+/**
+ * Reads a data file, decompressing it if it has been compressed.
+ * @param {string} filePath - Uncompressed file path
+ * @returns {Promise<Buffer>}
+ */
+async function readDataFile(filePath) {
+    if (isCompressed(filePath)) {
+        return gunzip(await readFile(filePath + COMPRESSED_SUFFIX));
+    }
+    return readFile(filePath);
+}
+
+/**
+ * Creates a transform that drops the first bytes of a stream.
+ * @param {number} count - Number of bytes to drop
+ * @returns {Transform}
+ */
+function skipBytes(count) {
+    let remaining = count;
+    return new Transform({
+        transform(chunk, _encoding, callback) {
+            if (remaining >= chunk.length) {
+                remaining -= chunk.length;
+                return callback();
+            }
+            const rest = chunk.subarray(remaining);
+            remaining = 0;
+            callback(null, rest);
+        },
+    });
+}
+
+/**
+ * Opens a read stream over a data file's uncompressed content.
+ * The plain file is tried first; once opened it stays readable even if a
+ * concurrent compression removes it.
+ * @param {string} filePath - Uncompressed file path
+ * @param {number} [start] - Offset within the uncompressed content
+ * @returns {Promise<import("stream").Readable>}
+ */
+async function openDataStream(filePath, start = 0) {
+    try {
+        const handle = await fs.promises.open(filePath, "r");
+        return handle.createReadStream({ start });
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+
+    const handle = await fs.promises.open(filePath + COMPRESSED_SUFFIX, "r");
+    const streams = [handle.createReadStream(), zlib.createGunzip()];
+    if (start > 0) {
+        streams.push(skipBytes(start));
+    }
+    // Errors destroy every stream of the pipeline, the returned one included
+    return pipeline(streams, () => {});
+}
+
+/**
+ * Reads a byte range of a data file's uncompressed content.
+ * @param {string} filePath - Uncompressed file path
+ * @param {number} offset - Offset within the uncompressed content
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+async function readDataRange(filePath, offset, length) {
+    let handle = null;
+    try {
+        handle = await fs.promises.open(filePath, "r");
+    } catch (error) {
+        if (error.code !== "ENOENT") {
+            throw error;
+        }
+    }
+    if (handle) {
+        try {
+            const buffer = Buffer.alloc(length);
+            await handle.read(buffer, 0, length, offset);
+            return buffer;
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Compressed: decompress up to the end of the range
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of await openDataStream(filePath, offset)) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= length) {
+            break;
+        }
+    }
+    return Buffer.concat(chunks).subarray(0, length);
+}
+
 /**
  * Gets the current rotation index for a date's log file.
  * @param {Date} date - The date
@@ -108,7 +258,7 @@ async function getCurrentRotationIndex(date) {
     }
 
     const files = await readdir(dir);
-    const pattern = new RegExp(`^${baseFilename}(-\\d{3})?\\${config.extension}$`);
+    const pattern = getDateFilePattern(baseFilename);
 
     let maxIndex = 0;
     for (const file of files) {
@@ -151,8 +301,8 @@ async function getWriteFilePath(date) {
     let rotationIndex = await getCurrentRotationIndex(date);
     let filePath = getFilePath(date, rotationIndex || undefined);
 
-    // Check if rotation is needed
-    if (await needsRotation(filePath)) {
+    // Check if rotation is needed; compressed files are closed for writing
+    if (isCompressed(filePath) || await needsRotation(filePath)) {
         rotationIndex++;
         filePath = getFilePath(date, rotationIndex);
     }
@@ -160,6 +310,23 @@ async function getWriteFilePath(date) {
     return filePath;
 }
 
+/**
+ * Picks the file to write a date's statements to and locks it.
+ * Retries if the file got compressed while waiting for the lock.
+ * @param {Date} date - The date
+ * @returns {Promise<string>} Locked file path (release with releaseLock)
+ */
+async function lockWriteFilePath(date) {
+    for (;;) {
+        const filePath = await getWriteFilePath(date);
+        await acquireLock(filePath);
+        if (!isCompressed(filePath)) {
+            return filePath;
+        }
+        releaseLock(filePath);
+    }
+}
+
 /**
  * Acquires a write lock for a file path.
  * @param {string} filePath - File to lock
@@ -180,68 +347,442 @@ function releaseLock(filePath) {
     writeLocks.delete(filePath);
 }
 
+/**
+ * Recursively lists all JSONL data files under a directory.
+ * Directories starting with "_" (e.g. the id index) are skipped.
+ * Compressed files are listed under their uncompressed name.
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} File paths, sorted
+ */
+async function listDataFiles(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const result = new Set();
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!entry.name.startsWith("_")) {
+                for (const filePath of await listDataFiles(entryPath)) {
+                    result.add(filePath);
+                }
+            }
+        } else if (entry.name.endsWith(config.extension)) {
+            result.add(entryPath);
+        } else if (entry.name.endsWith(config.extension + COMPRESSED_SUFFIX)) {
+            result.add(entryPath.slice(0, -COMPRESSED_SUFFIX.length));
+        }
+    }
+    return [...result].sort();
+}
+
+/**
+ * Gets the path of the persistent id index.
+ * Format: baseDir/_index/statement-ids.jsonl
+ * @returns {string} Index file path
+ */
+function getIndexPath() {
+    return path.join(config.baseDir, "_index", `statement-ids${config.extension}`);
+}
+
+/**
+ * Creates an id index entry for a stored statement.
+ * Voiding statements also record the id they void.
+ * @param {object} statement - The stored statement
+ * @param {{file: string, offset: number, length: number}} location - Where it is stored
+ * @param {string} hash - Content hash
+ * @returns {{id: string, file: string, offset: number, length: number, hash: string, voids?: string}}
+ */
+function createIndexEntry(statement, location, hash) {
+    const entry = { id: statement.id, ...location, hash };
+    const target = voidedTargetId(statement);
+    if (target) {
+        entry.voids = target;
+    }
+    return entry;
+}
+
+/**
+ * Rebuilds the voided id map from the id index.
+ * @param {Map<string, object>} index - The id index
+ */
+function collectVoidedIds(index) {
+    voidedIds = new Map();
+    for (const entry of index.values()) {
+        if (entry.voids) {
+            voidedIds.set(entry.voids, entry.id);
+        }
+    }
+}
+
+/**
+ * Scans a JSONL file and returns index entries with byte offsets.
+ * @param {string} filePath - Path to the JSONL file
+ * @returns {Promise<Array<{id: string, file: string, offset: number, length: number, hash: string}>>}
+ */
+async function scanFileEntries(filePath) {
+    const file = path.relative(config.baseDir, filePath);
+    const entries = [];
+
+    for await (const { statement, offset, length } of streamLines(await openDataStream(filePath))) {
+        if (statement.id) {
+            entries.push(createIndexEntry(statement, { file, offset, length }, statementHash(statement)));
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Appends entries to the persistent id index.
+ * @param {Array<{id: string, file: string, offset: number, length: number, hash: string}>} entries
+ * @returns {Promise<void>}
+ */
+async function appendIndexEntries(entries) {
+    if (entries.length === 0) {
+        return;
+    }
+
+    const indexPath = getIndexPath();
+    ensureDir(path.dirname(indexPath));
+
+    await acquireLock(indexPath);
+    try {
+        const lines = entries.map((e) => JSON.stringify(e)).join("\n") + "\n";
+        await appendFile(indexPath, lines, "utf8");
+    } finally {
+        releaseLock(indexPath);
+    }
+}
+
+/**
+ * Writes the whole persistent id index from an in-memory index.
+ * The file is written to a temporary file and renamed into place.
+ * Entries of statements that are reserved but not written yet are left out;
+ * they are appended once written.
+ * @param {Map<string, object>} index - The id index
+ * @returns {Promise<void>}
+ */
+async function writeIndexFile(index) {
+    const indexPath = getIndexPath();
+    ensureDir(path.dirname(indexPath));
+
+    await acquireLock(indexPath);
+    try {
+        const tmpPath = `${indexPath}.tmp`;
+        const lines = [...index.values()]
+            .filter((e) => e.file !== undefined)
+            .map((e) => JSON.stringify(e) + "\n")
+            .join("");
+        await writeFile(tmpPath, lines, "utf8");
+        await fs.promises.rename(tmpPath, indexPath);
+    } finally {
+        releaseLock(indexPath);
+    }
+}
+
+/**
+ * Rebuilds the persistent id index from all JSONL files under baseDir.
+ * The new index is written to a temporary file and renamed into place.
+ * @returns {Promise<{files: number, statements: number}>}
+ */
+export async function rebuildIndex() {
+    const index = new Map();
+    const files = await listDataFiles(config.baseDir);
+    for (const filePath of files) {
+        for (const entry of await scanFileEntries(filePath)) {
+            // Keep the first occurrence, which is the one lookups should return
+            if (!index.has(entry.id)) {
+                index.set(entry.id, entry);
+            }
+        }
+    }
+
+    await writeIndexFile(index);
+
+    idIndex = index;
+    idIndexLoading = null;
+    collectVoidedIds(index);
+    console.log(`[jsonl] Rebuilt id index: ${index.size} statement(s) in ${files.length} file(s)`);
+    return { files: files.length, statements: index.size };
+}
+
+/**
+ * Loads the id index into memory.
+ * Reads the persistent index if present, otherwise builds it from the data files.
+ * @returns {Promise<Map<string, {id: string, file?: string, offset?: number, length?: number, hash: string}>>}
+ */
+async function getIdIndex() {
+    if (idIndex) {
+        return idIndex;
+    }
+    if (!idIndexLoading) {
+        idIndexLoading = (async () => {
+            const indexPath = getIndexPath();
+            if (!fs.existsSync(indexPath)) {
+                await rebuildIndex();
+                return idIndex;
+            }
+
+            const index = new Map();
+            const content = await readFile(indexPath, "utf8");
+            for (const line of content.split("\n")) {
+                if (!line.trim()) continue;
+                try {
+                    const entry = JSON.parse(line);
+                    if (!index.has(entry.id)) {
+                        index.set(entry.id, entry);
+                    }
+                } catch {
+                    // Skip a partially written last line
+                }
+            }
+            console.log(`[jsonl] Loaded id index: ${index.size} statement(s)`);
+            collectVoidedIds(index);
+            idIndex = index;
+            return index;
+        })();
+    }
+    return idIndexLoading;
+}
+
+/**
+ * Classifies statements against the stored ids and reserves the new ones.
+ * Runs synchronously once the index is loaded, so concurrent requests
+ * cannot both reserve the same id.
+ * @param {Map<string, object>} index - The id index
+ * @param {object[]} statements - Statements to classify
+ * @returns {{fresh: object[], duplicates: string[], conflicts: string[]}}
+ */
+function reserveStatements(index, statements) {
+    const result = { fresh: [], duplicates: [], conflicts: [] };
+
+    for (const statement of statements) {
+        const hash = statementHash(statement);
+        const stored = index.get(statement.id);
+        if (stored === undefined) {
+            index.set(statement.id, { id: statement.id, hash });
+            result.fresh.push(statement);
+        } else if (stored.hash === hash) {
+            result.duplicates.push(statement.id);
+        } else {
+            result.conflicts.push(statement.id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Releases ids reserved for statements that failed to be written.
+ * @param {Map<string, object>} index - The id index
+ * @param {object[]} statements - Statements to release
+ */
+function releaseStatements(index, statements) {
+    for (const statement of statements) {
+        index.delete(statement.id);
+    }
+}
+
+/**
+ * Appends statements to a file and records their offsets in the id index.
+ * Throws only when the data could not be written; a failed index append is
+ * logged and left for rebuildIndex. Must be called with the file lock held.
+ * @param {Map<string, object>} index - The id index
+ * @param {string} filePath - File to append to
+ * @param {object[]} statements - Statements to write
+ * @returns {Promise<void>}
+ */
+async function writeStatements(index, filePath, statements) {
+    let offset = fs.existsSync(filePath) ? (await stat(filePath)).size : 0;
+    const file = path.relative(config.baseDir, filePath);
+    const lines = [];
+    const entries = [];
+
+    for (const statement of statements) {
+        const line = JSON.stringify(statement);
+        const length = Buffer.byteLength(line, "utf8");
+        entries.push(createIndexEntry(statement, { file, offset, length }, index.get(statement.id).hash));
+        lines.push(line);
+        offset += length + 1;
+    }
+
+    await appendFile(filePath, lines.join("\n") + "\n", "utf8");
+
+    for (const entry of entries) {
+        index.set(entry.id, entry);
+        if (entry.voids) {
+            voidedIds.set(entry.voids, entry.id);
+        }
+    }
+
+    // The statements are stored now: a missing index line is repaired by rebuildIndex,
+    // while reporting a failure would make the client store them a second time
+    try {
+        await appendIndexEntries(entries);
+    } catch (error) {
+        console.error(`[jsonl] Failed to append id index entries for ${entries.length} statement(s) in ${file}; run rebuild-index to repair:`, error.message);
+    }
+}
+
+/**
+ * Checks which statement ids are already stored.
+ * @param {object[]} statements - Statements to check
+ * @returns {Promise<{duplicates: string[], conflicts: string[]}>} Ids stored with
+ *   identical content (duplicates) and with different content (conflicts)
+ */
+export async function checkStatementIds(statements) {
+    const index = await getIdIndex();
+    const result = { duplicates: [], conflicts: [] };
+
+    for (const statement of statements) {
+        const stored = index.get(statement.id);
+        if (stored === undefined) {
+            continue;
+        }
+        if (stored.hash === statementHash(statement)) {
+            result.duplicates.push(statement.id);
+        } else {
+            result.conflicts.push(statement.id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the ids of all voided statements.
+ * @returns {Promise<Map<string, string>>} Voided statement id -> voiding statement id
+ */
+export async function getVoidedIds() {
+    await getIdIndex();
+    return voidedIds;
+}
+
+/**
+ * Gets a single statement by id using the id index.
+ * @param {string} id - Statement id
+ * @returns {Promise<object|null>} The statement, or null if not found
+ */
+export async function getStatement(id) {
+    const index = await getIdIndex();
+    const entry = index.get(id);
+    if (!entry || entry.file === undefined) {
+        return null;
+    }
+
+    const filePath = path.join(config.baseDir, entry.file);
+    if (!fs.existsSync(filePath) && !isCompressed(filePath)) {
+        return null;
+    }
+
+    try {
+        const buffer = await readDataRange(filePath, entry.offset, entry.length);
+        const statement = JSON.parse(buffer.toString("utf8"));
+        return statement.id === id ? statement : null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Appends a single xAPI Statement to the JSONL file.
+ * Exact duplicates of a stored statement are skipped (reported as duplicate).
  * @param {object} statement - The xAPI Statement to append
  * @param {Date} [date] - Optional date (defaults to statement timestamp or now)
- * @returns {Promise<{filePath: string, success: boolean, error?: string}>}
+ * @returns {Promise<{filePath: string, success: boolean, duplicate?: boolean, conflict?: boolean, error?: string}>}
  */
 export async function appendStatement(statement, date) {
+    const index = await getIdIndex();
+    const reserved = reserveStatements(index, [statement]);
+    if (reserved.duplicates.length > 0) {
+        return { filePath: null, success: true, duplicate: true };
+    }
+    if (reserved.conflicts.length > 0) {
+        return {
+            filePath: null,
+            success: false,
+            conflict: true,
+            error: `Statement ${statement.id} already exists with different content`,
+        };
+    }
+
     const timestamp = date || (statement.timestamp ? new Date(statement.timestamp) : new Date());
-    const filePath = await getWriteFilePath(timestamp);
+    let filePath = null;
 
-    await acquireLock(filePath);
+    // The reservation is released on any failure, including when the write file
+    // cannot be created or locked, so that a retry is not reported as a duplicate
     try {
-        const line = JSON.stringify(statement) + "\n";
-        await appendFile(filePath, line, "utf8");
+        filePath = await lockWriteFilePath(timestamp);
+        await writeStatements(index, filePath, [statement]);
         return { filePath, success: true };
     } catch (error) {
+        releaseStatements(index, [statement]);
         return { filePath, success: false, error: error.message };
     } finally {
-        releaseLock(filePath);
+        if (filePath) {
+            releaseLock(filePath);
+        }
     }
 }
 
 /**
  * Appends multiple xAPI Statements to JSONL files.
  * Groups statements by date for efficient writing.
+ * Exact duplicates of stored statements are skipped and counted as duplicates;
+ * ids stored with different content are counted as failed.
  * @param {object[]} statements - Array of xAPI Statements
- * @returns {Promise<{total: number, success: number, failed: number, errors: string[]}>}
+ * @returns {Promise<{total: number, success: number, failed: number, duplicates: number, errors: string[], stored: string[]}>}
+ *   stored lists the ids of the statements written
  */
 export async function appendStatements(statements) {
     const result = {
         total: statements.length,
         success: 0,
         failed: 0,
+        duplicates: 0,
         errors: [],
+        stored: [],
     };
 
+    const index = await getIdIndex();
+    const reserved = reserveStatements(index, statements);
+    result.duplicates = reserved.duplicates.length;
+    result.failed += reserved.conflicts.length;
+    for (const id of reserved.conflicts) {
+        result.errors.push(`${id}: already exists with different content`);
+    }
+
     // Group statements by date
     const byDate = new Map();
-    for (const statement of statements) {
-        const timestamp = statement.timestamp ? new Date(statement.timestamp) : new Date();
-        const dateKey = timestamp.toISOString().split("T")[0];
+    for (const statement of reserved.fresh) {
+        const dateKey = statementDayKey(statement);
 
         if (!byDate.has(dateKey)) {
-            byDate.set(dateKey, { date: timestamp, statements: [] });
+            byDate.set(dateKey, { date: dayStart(dateKey), statements: [] });
         }
         byDate.get(dateKey).statements.push(statement);
     }
 
     // Write each date group
     for (const [dateKey, group] of byDate) {
-        const filePath = await getWriteFilePath(group.date);
+        let filePath = null;
 
-        await acquireLock(filePath);
         try {
-            const lines = group.statements.map((s) => JSON.stringify(s)).join("\n") + "\n";
-            await appendFile(filePath, lines, "utf8");
+            filePath = await lockWriteFilePath(group.date);
+            await writeStatements(index, filePath, group.statements);
             result.success += group.statements.length;
+            result.stored.push(...group.statements.map(s => s.id));
         } catch (error) {
+            releaseStatements(index, group.statements);
             result.failed += group.statements.length;
             result.errors.push(`${dateKey}: ${error.message}`);
         } finally {
-            releaseLock(filePath);
+            if (filePath) {
+                releaseLock(filePath);
+            }
         }
     }
 
@@ -249,78 +790,400 @@ export async function appendStatements(statements) {
 }
 
 /**
- * Reads statements from a file.
- * @param {string} filePath - Path to the JSONL file
- * @returns {Promise<object[]>} Array of parsed statements
+ * Removes matching statements from every JSONL file (learner data erasure).
+ * Each affected file is rewritten under its write lock (temporary file, then rename),
+ * and the id index is corrected for the removed and shifted statements.
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {Promise<{removed: number, files: Array<{file: string, removed: number}>, days: string[]}>}
+ *   days lists the (storage) days statements were removed from
  */
-export async function readStatements(filePath) {
-    if (!fs.existsSync(filePath)) {
+export async function eraseStatements(matches) {
+    const index = await getIdIndex();
+    const report = { removed: 0, files: [], days: [] };
+
+    for (const filePath of await listDataFiles(config.baseDir)) {
+        await acquireLock(filePath);
+        try {
+            const removed = await removeFromFile(index, filePath, matches);
+            for (const statement of removed) {
+                index.delete(statement.id);
+            }
+            if (removed.length > 0) {
+                const file = path.relative(config.baseDir, filePath);
+                report.files.push({ file, removed: removed.length });
+                report.removed += removed.length;
+                const day = getFileDayKey(filePath);
+                if (day && !report.days.includes(day)) {
+                    report.days.push(day);
+                }
+            }
+        } finally {
+            releaseLock(filePath);
+        }
+    }
+
+    if (report.removed > 0) {
+        await writeIndexFile(index);
+        collectVoidedIds(index);
+    }
+    return report;
+}
+
+/**
+ * Removes matching statements from one file, keeping it compressed if it was.
+ * Must be called with the file lock held. Index entries of the remaining
+ * statements are re-pointed; those of the removed ones are left to the caller.
+ * @param {Map<string, object>} index - The id index
+ * @param {string} filePath - Uncompressed file path
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {Promise<object[]>} Removed statements
+ */
+async function removeFromFile(index, filePath, matches) {
+    const compressed = isCompressed(filePath);
+    const { content, removed } = removeLines(await readDataFile(filePath), matches);
+    if (removed.length === 0) {
         return [];
     }
 
-    const content = await readFile(filePath, "utf8");
-    const lines = content.split("\n").filter((line) => line.trim());
+    const targetPath = compressed ? filePath + COMPRESSED_SUFFIX : filePath;
+    const tmpPath = `${targetPath}.tmp`;
+    await writeFile(tmpPath, compressed ? await gzip(content) : content);
+    await fs.promises.rename(tmpPath, targetPath);
+
+    // Statements after a removed line moved; re-index the file
+    for (const entry of await scanFileEntries(filePath)) {
+        if (index.get(entry.id)?.file === entry.file) {
+            index.set(entry.id, entry);
+        }
+    }
+    return removed;
+}
+
+/**
+ * Gets the day a data file belongs to from its YYYY/MM/DD path.
+ * @param {string} filePath - Uncompressed file path
+ * @returns {string|null} Day key, or null for files outside the date layout
+ */
+function getFileDayKey(filePath) {
+    const pattern = new RegExp(`^(\\d{4})/(\\d{2})/(\\d{2})(-\\d{3})?\\${config.extension}$`);
+    const match = path.relative(config.baseDir, filePath).split(path.sep).join("/").match(pattern);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Reads the index entries of all statements stored in a day's files.
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @returns {Promise<Map<string, object>>} Entries by id (first occurrence)
+ */
+async function readDayEntries(day) {
+    const entries = new Map();
+    for (const { filePath } of await listDateFiles(dayStart(day))) {
+        for (const entry of await scanFileEntries(filePath)) {
+            if (!entries.has(entry.id)) {
+                entries.set(entry.id, entry);
+            }
+        }
+    }
+    return entries;
+}
 
-    return lines.map((line) => {
+/**
+ * Moves statements stored under another day than the one their timestamp falls
+ * on in the partition time zone (XAPI_PARTITION_TZ) to the right day's file.
+ * Used after changing the partition time zone; run with the server stopped.
+ * Misplaced statements without a copy in their day's files are copied there,
+ * the id index is pointed at the copies and written, and only then are the
+ * copied statements removed from the source file, so an interrupted run can
+ * simply be repeated.
+ * @param {{dryRun?: boolean}} [options] - dryRun only counts the misplaced statements
+ * @returns {Promise<{moved: number, files: Array<{file: string, moved: number}>}>}
+ */
+export async function repartitionStatements({ dryRun = false } = {}) {
+    const index = await getIdIndex();
+    const report = { moved: 0, files: [] };
+
+    for (const filePath of await listDataFiles(config.baseDir)) {
+        const fileDay = getFileDayKey(filePath);
+        if (!fileDay) {
+            continue;
+        }
+        const file = path.relative(config.baseDir, filePath);
+        const misplaced = (statement) => Boolean(statement.id && statement.timestamp) && statementDayKey(statement) !== fileDay;
+
+        const byDay = new Map();
+        for await (const { statement } of streamLines(await openDataStream(filePath))) {
+            if (misplaced(statement)) {
+                const day = statementDayKey(statement);
+                if (!byDay.has(day)) {
+                    byDay.set(day, []);
+                }
+                byDay.get(day).push(statement);
+            }
+        }
+        const count = [...byDay.values()].reduce((sum, list) => sum + list.length, 0);
+        if (count === 0) {
+            continue;
+        }
+        report.files.push({ file, moved: count });
+        report.moved += count;
+        if (dryRun) {
+            continue;
+        }
+
+        // Copy the statements their day's files do not have yet (an interrupted run may have copied some)
+        const copied = new Set();
+        for (const [day, statements] of byDay) {
+            const present = await readDayEntries(day);
+            const missing = statements.filter(s => !present.has(s.id));
+            if (missing.length > 0) {
+                // writeStatements takes the hash from the index, which may lack lines (see writeStatements)
+                for (const statement of missing) {
+                    if (!index.has(statement.id)) {
+                        index.set(statement.id, { id: statement.id, hash: statementHash(statement) });
+                    }
+                }
+                const targetPath = await lockWriteFilePath(dayStart(day));
+                try {
+                    await writeStatements(index, targetPath, missing);
+                } finally {
+                    releaseLock(targetPath);
+                }
+            }
+            for (const statement of statements) {
+                if (present.has(statement.id)) {
+                    index.set(statement.id, present.get(statement.id));
+                }
+                copied.add(statement.id);
+            }
+        }
+        // The index must point at the copies before the source lines go
+        await writeIndexFile(index);
+
+        // Then drop the copied statements from this file
+        await acquireLock(filePath);
         try {
-            return JSON.parse(line);
-        } catch {
-            return null;
+            await removeFromFile(index, filePath, statement => misplaced(statement) && copied.has(statement.id));
+        } finally {
+            releaseLock(filePath);
         }
-    }).filter(Boolean);
+        await writeIndexFile(index);
+    }
+
+    return report;
 }
 
 /**
- * Reads statements for a date range.
+ * Moves a file, falling back to copy and delete across file systems.
+ * @param {string} from - Source path
+ * @param {string} to - Target path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+    ensureDir(path.dirname(to));
+    try {
+        await fs.promises.rename(from, to);
+    } catch (error) {
+        if (error.code !== "EXDEV") {
+            throw error;
+        }
+        await fs.promises.copyFile(from, to);
+        await fs.promises.unlink(from);
+    }
+}
+
+/**
+ * Lists the days that have statement files.
+ * @returns {Promise<string[]>} Day keys (YYYY-MM-DD), sorted
+ */
+export async function listDays() {
+    const days = new Set();
+    for (const filePath of await listDataFiles(config.baseDir)) {
+        const day = getFileDayKey(filePath);
+        if (day) {
+            days.add(day);
+        }
+    }
+    return [...days].sort();
+}
+
+/**
+ * Removes all files of a day (retention), optionally moving them to an archive
+ * directory first. Archived files keep their YYYY/MM/DD layout.
+ * The statements are dropped from the id index.
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @param {string|null} [archiveDir] - Archive directory, or null to delete
+ * @returns {Promise<{day: string, files: string[], bytes: number}>}
+ */
+export async function removeDay(day, archiveDir) {
+    const index = await getIdIndex();
+    const report = { day, files: [], bytes: 0 };
+
+    for (const { filePath } of await listDateFiles(dayStart(day))) {
+        await acquireLock(filePath);
+        try {
+            const file = path.relative(config.baseDir, filePath);
+            // Plain and compressed copies both exist if a compression was interrupted
+            for (const suffix of ["", COMPRESSED_SUFFIX]) {
+                if (!fs.existsSync(filePath + suffix)) {
+                    continue;
+                }
+                report.bytes += (await stat(filePath + suffix)).size;
+                if (archiveDir) {
+                    await moveFile(filePath + suffix, path.join(archiveDir, file + suffix));
+                } else {
+                    await fs.promises.unlink(filePath + suffix);
+                }
+            }
+            report.files.push(file);
+        } finally {
+            releaseLock(filePath);
+        }
+    }
+
+    if (report.files.length > 0) {
+        const removedFiles = new Set(report.files);
+        for (const [id, entry] of index) {
+            if (removedFiles.has(entry.file)) {
+                index.delete(id);
+            }
+        }
+        await writeIndexFile(index);
+        collectVoidedIds(index);
+    }
+    return report;
+}
+
+/**
+ * Appends a record to an audit log.
+ * Format: baseDir/_audit/{name}.jsonl
+ * @param {string} name - Audit log name (e.g. "erasure")
+ * @param {object} record - Audit record
+ * @returns {Promise<string>} Audit log location
+ */
+export async function appendAuditRecord(name, record) {
+    const auditPath = path.join(config.baseDir, "_audit", `${name}${config.extension}`);
+    ensureDir(path.dirname(auditPath));
+
+    await acquireLock(auditPath);
+    try {
+        await appendFile(auditPath, JSON.stringify(record) + "\n", "utf8");
+    } finally {
+        releaseLock(auditPath);
+    }
+    return auditPath;
+}
+
+/**
+ * Reads statements from a file, streaming it line by line.
+ * @param {string} filePath - Path to the JSONL file
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read
+ * @returns {AsyncGenerator<object>} Parsed statements
+ */
+export async function* readStatements(filePath, options = {}) {
+    if (!fs.existsSync(filePath) && !isCompressed(filePath)) {
+        return;
+    }
+
+    for await (const { statement } of streamLines(await openDataStream(filePath), options)) {
+        yield statement;
+    }
+}
+
+/**
+ * Lists a date's files (including rotated and compressed) with their rotation index, in order.
+ * Paths are the uncompressed names; read them with openDataStream.
+ * @param {Date} date - The date
+ * @returns {Promise<Array<{filePath: string, index: number}>>}
+ */
+async function listDateFiles(date) {
+    const dir = getDateDirectory(date);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const baseFilename = getDateFilename(date).replace(config.extension, "");
+    const files = await readdir(dir);
+    const pattern = getDateFilePattern(baseFilename);
+
+    // A file can briefly exist in both forms while being compressed
+    const byIndex = new Map();
+    for (const file of files) {
+        const match = file.match(pattern);
+        if (match) {
+            const index = match[1] ? parseInt(match[1].slice(1), 10) : 0;
+            byIndex.set(index, { filePath: getFilePath(date, index || undefined), index });
+        }
+    }
+    return [...byIndex.values()].sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Reads statements for a date range together with their storage position.
+ * A position is {date, file, offset}: the day key, the rotation index and the
+ * byte offset just after the statement. Passing a position as `after` resumes
+ * reading exactly there, without reading earlier days or files.
+ * Files are streamed line by line, so memory does not grow with their size.
  * @param {Date} startDate - Start date (inclusive)
  * @param {Date} endDate - End date (inclusive)
- * @returns {AsyncGenerator<object>} Async generator of statements
+ * @param {{date: string, file: number, offset: number}} [after] - Position to resume from
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read (e.g. the client disconnected)
+ * @returns {AsyncGenerator<{statement: object, position: {date: string, file: number, offset: number}}>}
  */
-export async function* readStatementsInRange(startDate, endDate) {
-    const current = new Date(startDate);
-    current.setHours(0, 0, 0, 0);
+export async function* readStatementEntries(startDate, endDate, after, options = {}) {
+    const lastDay = dayKey(endDate);
+    const end = dayEnd(lastDay);
+
+    let date = dayKey(startDate);
+    if (after && after.date > date) {
+        date = after.date;
+    }
 
-    const end = new Date(endDate);
-    end.setHours(23, 59, 59, 999);
+    for (; date <= lastDay; date = addDays(date, 1)) {
+        options.signal?.throwIfAborted();
+        const current = dayStart(date);
+        const resuming = after && after.date === date;
 
-    while (current <= end) {
         // Get all files for this date (including rotated)
-        const dir = getDateDirectory(current);
-
-        if (fs.existsSync(dir)) {
-            const baseFilename = getDateFilename(current).replace(config.extension, "");
-            const files = await readdir(dir);
-            const pattern = new RegExp(`^${baseFilename}(-\\d{3})?\\${config.extension}$`);
-
-            const matchingFiles = files.filter((f) => pattern.test(f)).sort();
-
-            for (const file of matchingFiles) {
-                const filePath = path.join(dir, file);
-                const statements = await readStatements(filePath);
-
-                for (const statement of statements) {
-                    // Filter by timestamp if present
-                    if (statement.timestamp) {
-                        const stmtDate = new Date(statement.timestamp);
-                        if (stmtDate >= startDate && stmtDate <= end) {
-                            yield statement;
-                        }
-                    } else {
-                        yield statement;
+        for (const { filePath, index } of await listDateFiles(current)) {
+            if (resuming && index < after.file) {
+                continue;
+            }
+
+            const start = resuming && index === after.file ? after.offset : 0;
+            const stream = await openDataStream(filePath, start);
+
+            for await (const { statement, next } of streamLines(stream, { baseOffset: start, signal: options.signal })) {
+                // Filter by timestamp if present
+                if (statement.timestamp) {
+                    const stmtDate = new Date(statement.timestamp);
+                    if (stmtDate < startDate || stmtDate > end) {
+                        continue;
                     }
                 }
+                yield { statement, position: { date, file: index, offset: next } };
             }
         }
+    }
+}
 
-        // Move to next day
-        current.setDate(current.getDate() + 1);
+/**
+ * Reads statements for a date range.
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read
+ * @returns {AsyncGenerator<object>} Async generator of statements
+ */
+export async function* readStatementsInRange(startDate, endDate, options = {}) {
+    for await (const { statement } of readStatementEntries(startDate, endDate, undefined, options)) {
+        yield statement;
     }
 }
 
 /**
  * Gets file statistics for a date.
+ * Sizes of compressed files are their size on disk.
  * @param {Date} date - The date
- * @returns {Promise<{files: Array<{path: string, size: number}>, totalSize: number}>}
+ * @returns {Promise<{files: Array<{path: string, size: number, compressed: boolean}>, totalSize: number}>}
  */
 export async function getDateStats(date) {
     const dir = getDateDirectory(date);
@@ -332,13 +1195,14 @@ export async function getDateStats(date) {
 
     const baseFilename = getDateFilename(date).replace(config.extension, "");
     const files = await readdir(dir);
-    const pattern = new RegExp(`^${baseFilename}(-\\d{3})?\\${config.extension}$`);
+    const pattern = getDateFilePattern(baseFilename);
 
     for (const file of files) {
-        if (pattern.test(file)) {
+        const match = file.match(pattern);
+        if (match) {
             const filePath = path.join(dir, file);
             const stats = await stat(filePath);
-            result.files.push({ path: filePath, size: stats.size });
+            result.files.push({ path: filePath, size: stats.size, compressed: Boolean(match[2]) });
             result.totalSize += stats.size;
         }
     }
@@ -346,6 +1210,195 @@ export async function getDateStats(date) {
     return result;
 }
 
+/**
+ * Compresses closed data files to .jsonl.gz: all files of days before today
+ * and the rotated-away files of today. A late statement for a closed day is
+ * written to a new rotation file, which a later run compresses in turn.
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<{files: string[], bytesBefore: number, bytesAfter: number}>}
+ */
+export async function compressClosedFiles(now = new Date()) {
+    const report = { files: [], bytesBefore: 0, bytesAfter: 0 };
+    const today = dayKey(now);
+
+    for (const day of await listDays()) {
+        if (day > today) {
+            continue;
+        }
+        const files = await listDateFiles(dayStart(day));
+        // Today's highest rotation file is still being written
+        const closed = day === today ? files.slice(0, -1) : files;
+
+        for (const { filePath } of closed) {
+            if (!fs.existsSync(filePath)) {
+                continue;
+            }
+            await acquireLock(filePath);
+            try {
+                // Written in full before the plain file goes away, so readers always find one of them
+                const tmpPath = `${filePath}${COMPRESSED_SUFFIX}.tmp`;
+                await pipelineAsync(fs.createReadStream(filePath), zlib.createGzip(), fs.createWriteStream(tmpPath));
+                await fs.promises.rename(tmpPath, filePath + COMPRESSED_SUFFIX);
+
+                report.files.push(path.relative(config.baseDir, filePath));
+                report.bytesBefore += (await stat(filePath)).size;
+                report.bytesAfter += (await stat(filePath + COMPRESSED_SUFFIX)).size;
+                await fs.promises.unlink(filePath);
+            } finally {
+                releaseLock(filePath);
+            }
+        }
+    }
+    return report;
+}
+
+/**
+ * Gets the file statements of today are written to, for monitoring.
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<{date: string, rotationIndex: number, size: number}>}
+ *   size is 0 when nothing was written today yet
+ */
+export async function getCurrentFileStats(now = new Date()) {
+    const rotationIndex = await getCurrentRotationIndex(now);
+    const filePath = getFilePath(now, rotationIndex || undefined);
+    const size = fs.existsSync(filePath) ? (await stat(filePath)).size : 0;
+    return { date: dayKey(now), rotationIndex, size };
+}
+
+/**
+ * Gets the path of a stored document.
+ * Format: baseDir/_documents/{key}.json
+ * @param {string} key - Document key (slash separated, built by lib/documents.js)
+ * @returns {string} File path
+ */
+function getDocumentPath(key) {
+    return path.join(config.baseDir, "_documents", `${key}.json`);
+}
+
+/**
+ * Reads a stored document file.
+ * @param {string} filePath - Document file
+ * @returns {Promise<{id: string, contentType: string, etag: string, updated: string, content: Buffer}|null>}
+ */
+async function readDocumentFile(filePath) {
+    try {
+        const record = JSON.parse(await readFile(filePath, "utf8"));
+        return { ...record, content: Buffer.from(record.content, "base64") };
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Gets a stored document (State, Activity Profile or Agent Profile).
+ * @param {string} key - Document key
+ * @returns {Promise<{id: string, contentType: string, etag: string, updated: string, content: Buffer}|null>}
+ */
+export async function getDocument(key) {
+    return readDocumentFile(getDocumentPath(key));
+}
+
+/**
+ * Lists the documents directly under a key prefix.
+ * @param {string} prefix - Key prefix (ending with "/")
+ * @param {{recursive?: boolean}} [options] - recursive also lists the documents of all deeper levels
+ * @returns {Promise<Array<{key: string, id: string, updated: string}>>}
+ */
+export async function listDocuments(prefix, options = {}) {
+    const dir = path.join(config.baseDir, "_documents", prefix);
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    const result = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        if (entry.isDirectory()) {
+            if (options.recursive) {
+                result.push(...await listDocuments(`${prefix}${entry.name}/`, options));
+            }
+            continue;
+        }
+        if (!entry.name.endsWith(".json")) {
+            continue;
+        }
+        const document = await readDocumentFile(path.join(dir, entry.name));
+        if (document) {
+            result.push({ key: `${prefix}${entry.name.slice(0, -".json".length)}`, id: document.id, updated: document.updated });
+        }
+    }
+    return result;
+}
+
+/**
+ * Checks the stored ETag of a document against an expected one.
+ * @param {object|null} current - Stored document
+ * @param {string|null|undefined} expectedEtag - undefined: no check, null: must not exist, string: must match
+ * @returns {boolean}
+ */
+function etagMatches(current, expectedEtag) {
+    if (expectedEtag === undefined) {
+        return true;
+    }
+    if (expectedEtag === null) {
+        return !current;
+    }
+    return Boolean(current) && current.etag === expectedEtag;
+}
+
+/**
+ * Saves a document, replacing the stored one.
+ * The ETag check and the write happen under the document's write lock.
+ * @param {string} key - Document key
+ * @param {{id: string, contentType: string, etag: string, updated: string, content: Buffer}} document - Document
+ * @param {string|null} [expectedEtag] - undefined: unconditional, null: must not exist, string: stored ETag must match
+ * @returns {Promise<{success: boolean, preconditionFailed?: boolean}>}
+ */
+export async function saveDocument(key, document, expectedEtag) {
+    const filePath = getDocumentPath(key);
+    ensureDir(path.dirname(filePath));
+
+    await acquireLock(filePath);
+    try {
+        if (!etagMatches(await readDocumentFile(filePath), expectedEtag)) {
+            return { success: false, preconditionFailed: true };
+        }
+        const tmpPath = `${filePath}.tmp`;
+        await writeFile(tmpPath, JSON.stringify({ ...document, content: document.content.toString("base64") }), "utf8");
+        await fs.promises.rename(tmpPath, filePath);
+        return { success: true };
+    } finally {
+        releaseLock(filePath);
+    }
+}
+
+/**
+ * Deletes a document.
+ * @param {string} key - Document key
+ * @param {string} [expectedEtag] - Stored ETag must match when given
+ * @returns {Promise<{success: boolean, notFound?: boolean, preconditionFailed?: boolean}>}
+ */
+export async function deleteDocument(key, expectedEtag) {
+    const filePath = getDocumentPath(key);
+
+    await acquireLock(filePath);
+    try {
+        const current = await readDocumentFile(filePath);
+        if (!current) {
+            return { success: false, notFound: true };
+        }
+        if (!etagMatches(current, expectedEtag)) {
+            return { success: false, preconditionFailed: true };
+        }
+        await fs.promises.unlink(filePath);
+        return { success: true };
+    } finally {
+        releaseLock(filePath);
+    }
+}
+
 /**
  * Gets the current configuration.
  * @returns {typeof DEFAULT_CONFIG}
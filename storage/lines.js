@@ -0,0 +1,118 @@
+/**
+ * JSON Lines parsing shared by the storage backends.
+ */
+
+import { addAbortSignal } from "stream";
+
+/**
+ * Parses a JSONL buffer line by line, tracking byte offsets.
+ * Malformed lines are skipped.
+ * @param {Buffer} buffer - File or object content
+ * @param {number} [baseOffset] - Offset of the buffer within the file
+ * @returns {Generator<{statement: object, offset: number, length: number, next: number}>}
+ *   Parsed statement, its byte offset and length, and the offset of the next line
+ */
+export function* parseLines(buffer, baseOffset = 0) {
+    let start = 0;
+    while (start < buffer.length) {
+        let end = buffer.indexOf(0x0a, start);
+        if (end === -1) {
+            end = buffer.length;
+        }
+        const line = buffer.subarray(start, end).toString("utf8");
+        if (line.trim()) {
+            let statement = null;
+            try {
+                statement = JSON.parse(line);
+            } catch {
+                // Skip malformed lines
+            }
+            if (statement) {
+                yield {
+                    statement,
+                    offset: baseOffset + start,
+                    length: end - start,
+                    next: baseOffset + end + 1,
+                };
+            }
+        }
+        start = end + 1;
+    }
+}
+
+/**
+ * Parses a JSONL stream line by line, tracking byte offsets like parseLines.
+ * Only the current partial line is buffered, so memory stays bounded whatever
+ * the file size. (readline would do the splitting but cannot report byte offsets.)
+ * Stopping the iteration, or aborting the signal, destroys the stream.
+ * @param {import("stream").Readable} stream - File or object content
+ * @param {object} [options]
+ * @param {number} [options.baseOffset] - Offset of the stream within the file
+ * @param {AbortSignal} [options.signal] - Cancels the read (e.g. the client disconnected)
+ * @returns {AsyncGenerator<{statement: object, offset: number, length: number, next: number}>}
+ */
+export async function* streamLines(stream, { baseOffset = 0, signal } = {}) {
+    if (signal) {
+        addAbortSignal(signal, stream);
+    }
+
+    let pending = Buffer.alloc(0);
+    let pendingOffset = baseOffset;
+    for await (const chunk of stream) {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        const last = pending.lastIndexOf(0x0a);
+        if (last === -1) {
+            continue;
+        }
+        yield* parseLines(pending.subarray(0, last + 1), pendingOffset);
+        pendingOffset += last + 1;
+        pending = pending.subarray(last + 1);
+    }
+    if (pending.length > 0) {
+        yield* parseLines(pending, pendingOffset);
+    }
+}
+
+/**
+ * Checks whether an error comes from an aborted read.
+ * @param {Error} error - The error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === "AbortError";
+}
+
+/**
+ * Removes the statements matching a predicate from a JSONL buffer.
+ * Other lines, including malformed ones, are kept byte for byte.
+ * @param {Buffer} buffer - File or object content
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {{content: Buffer, removed: object[]}} Remaining content and removed statements
+ */
+export function removeLines(buffer, matches) {
+    const kept = [];
+    const removed = [];
+    let start = 0;
+    while (start < buffer.length) {
+        let end = buffer.indexOf(0x0a, start);
+        if (end === -1) {
+            end = buffer.length;
+        }
+        const line = buffer.subarray(start, end);
+        if (line.toString("utf8").trim()) {
+            let statement = null;
+            try {
+                statement = JSON.parse(line.toString("utf8"));
+            } catch {
+                // Keep malformed lines untouched
+            }
+            if (statement && matches(statement)) {
+                removed.push(statement);
+            } else {
+                kept.push(line, Buffer.from("\n"));
+            }
+        }
+        start = end + 1;
+    }
+    return { content: Buffer.concat(kept), removed };
+}
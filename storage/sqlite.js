@@ -0,0 +1,806 @@
+/**
+ * SQLite backend for xAPI Statements (single classroom server).
+ * Provides the same interface as jsonl.js, storing to one database file.
+ *
+ * Statements are rows of the statements table, indexed on id, timestamp, verb
+ * and registration (each together with the partition day). Actors, identified
+ * group members and agent objects are indexed in statement_agents, so the agent
+ * filter of a query is answered from the index as well. Documents and audit
+ * records live in their own tables.
+ *
+ * A day plays the role of a date file: getDateStats reports one entry per day
+ * ("<database>#YYYY-MM-DD"), and positions of readStatementEntries are
+ * {date, file: 0, offset: row sequence}.
+ *
+ * better-sqlite3 is synchronous: reads are fetched in pages, so no query stays
+ * open while other requests write. It is an optional dependency (a native
+ * module), only loaded with STORAGE_BACKEND=sqlite.
+ */
+
+import fs from "fs";
+import path from "path";
+import Database from "better-sqlite3";
+import { statementHash, voidedTargetId, AGENT_IFIS } from "../lib/statement.js";
+import { dayKey, dayParts, dayEnd, isDayKey, statementDayKey } from "../lib/partition.js";
+
+/**
+ * Default configuration.
+ */
+const DEFAULT_CONFIG = {
+    /** Database file ({XAPI_LOG_DIR}/statements.sqlite, as server.js and the scripts derive it) */
+    file: process.env.SQLITE_PATH
+        || path.join(process.env.XAPI_LOG_DIR || path.join(process.env.LOG_DIR || "./logs", "xapi"), "statements.sqlite"),
+};
+
+/**
+ * Rows read per page.
+ */
+const PAGE_SIZE = 500;
+
+/**
+ * Schema version stored in PRAGMA user_version.
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Table and index definitions.
+ */
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS statements (
+        seq INTEGER PRIMARY KEY,
+        id TEXT UNIQUE,
+        day TEXT NOT NULL,
+        time INTEGER,
+        verb TEXT,
+        registration TEXT,
+        voids TEXT,
+        hash TEXT NOT NULL,
+        statement TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS statements_day ON statements (day, seq);
+    CREATE INDEX IF NOT EXISTS statements_time ON statements (time);
+    CREATE INDEX IF NOT EXISTS statements_verb ON statements (verb, day, seq);
+    CREATE INDEX IF NOT EXISTS statements_registration ON statements (registration, day, seq);
+    CREATE INDEX IF NOT EXISTS statements_voids ON statements (voids) WHERE voids IS NOT NULL;
+    CREATE TABLE IF NOT EXISTS statement_agents (
+        agent TEXT NOT NULL,
+        seq INTEGER NOT NULL REFERENCES statements (seq) ON DELETE CASCADE,
+        PRIMARY KEY (agent, seq)
+    ) WITHOUT ROWID;
+    CREATE INDEX IF NOT EXISTS statement_agents_seq ON statement_agents (seq);
+    CREATE TABLE IF NOT EXISTS documents (
+        key TEXT PRIMARY KEY,
+        id TEXT NOT NULL,
+        content_type TEXT NOT NULL,
+        etag TEXT NOT NULL,
+        updated TEXT NOT NULL,
+        content BLOB NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS audit_records (
+        seq INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        record TEXT NOT NULL
+    );
+`;
+
+/**
+ * Current configuration.
+ */
+let config = { ...DEFAULT_CONFIG };
+
+/**
+ * Open database, opened on first use.
+ */
+let db = null;
+
+/**
+ * Prepared statements, keyed by SQL.
+ */
+let prepared = new Map();
+
+/**
+ * Voided statement ids (target id -> voiding statement id).
+ */
+let voidedIds = new Map();
+
+/**
+ * Updates the storage configuration.
+ * @param {Partial<typeof DEFAULT_CONFIG>} newConfig - Configuration to merge
+ */
+export function configure(newConfig) {
+    config = { ...config, ...newConfig };
+    // Reopen on next use to pick up the new file
+    if (db) {
+        db.close();
+    }
+    db = null;
+    prepared = new Map();
+    voidedIds = new Map();
+}
+
+/**
+ * Gets the database, opening it and creating the schema on first use.
+ * @returns {import("better-sqlite3").Database}
+ */
+function getDb() {
+    if (db) {
+        return db;
+    }
+    fs.mkdirSync(path.dirname(config.file), { recursive: true });
+    const database = new Database(config.file);
+    database.pragma("journal_mode = WAL");
+    database.pragma("synchronous = NORMAL");
+    database.pragma("foreign_keys = ON");
+    // Erased statements are overwritten, not just unlinked
+    database.pragma("secure_delete = ON");
+    database.pragma("busy_timeout = 5000");
+    database.exec(SCHEMA);
+    database.pragma(`user_version = ${SCHEMA_VERSION}`);
+
+    db = database;
+    collectVoidedIds();
+    console.log(`[sqlite] Opened ${config.file}: ${query("SELECT count(*) AS n FROM statements").get().n} statement(s)`);
+    return db;
+}
+
+/**
+ * Prepares a statement once per SQL text.
+ * @param {string} sql - SQL
+ * @returns {import("better-sqlite3").Statement}
+ */
+function query(sql) {
+    let statement = prepared.get(sql);
+    if (!statement) {
+        statement = getDb().prepare(sql);
+        prepared.set(sql, statement);
+    }
+    return statement;
+}
+
+/**
+ * Reloads the voided id map from the database.
+ */
+function collectVoidedIds() {
+    voidedIds = new Map();
+    for (const row of query("SELECT voids, id FROM statements WHERE voids IS NOT NULL").all()) {
+        voidedIds.set(row.voids, row.id);
+    }
+}
+
+/**
+ * Builds the index key of an agent.
+ * @param {object} agent - Agent or identified Group
+ * @returns {string|null} "<ifi>:<value>", or null without an IFI
+ */
+function agentKey(agent) {
+    const ifi = AGENT_IFIS.find(k => agent?.[k] !== undefined);
+    if (!ifi) {
+        return null;
+    }
+    return ifi === "account" ? `account:${agent.account.homePage}|${agent.account.name}` : `${ifi}:${agent[ifi]}`;
+}
+
+/**
+ * Collects the agent keys a statement is found by: the actor and the object
+ * (when it is an Agent or Group), with the members of groups.
+ * @param {object} statement - The xAPI Statement
+ * @returns {string[]}
+ */
+function statementAgentKeys(statement) {
+    const keys = new Set();
+    const add = (agent) => {
+        const key = agentKey(agent);
+        if (key) {
+            keys.add(key);
+        }
+        for (const member of Array.isArray(agent?.member) ? agent.member : []) {
+            const memberKey = agentKey(member);
+            if (memberKey) {
+                keys.add(memberKey);
+            }
+        }
+    };
+    add(statement.actor);
+    if (statement.object?.objectType === "Agent" || statement.object?.objectType === "Group") {
+        add(statement.object);
+    }
+    return [...keys];
+}
+
+/**
+ * Gets the timestamp of a statement in milliseconds.
+ * @param {object} statement - The xAPI Statement
+ * @returns {number|null} null without a valid timestamp
+ */
+function statementTime(statement) {
+    const time = statement.timestamp ? new Date(statement.timestamp).getTime() : NaN;
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * Inserts a statement row with its agent keys. Must run inside a transaction.
+ * @param {object} statement - The statement to store
+ * @param {string} day - Partition day
+ * @param {string} hash - Content hash
+ */
+function insertStatement(statement, day, hash) {
+    const { lastInsertRowid } = query(`INSERT INTO statements (id, day, time, verb, registration, voids, hash, statement)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        statement.id ?? null,
+        day,
+        statementTime(statement),
+        statement.verb?.id ?? null,
+        statement.context?.registration ?? null,
+        voidedTargetId(statement),
+        hash,
+        JSON.stringify(statement),
+    );
+    for (const key of statementAgentKeys(statement)) {
+        query("INSERT OR IGNORE INTO statement_agents (agent, seq) VALUES (?, ?)").run(key, lastInsertRowid);
+    }
+}
+
+/**
+ * Stores statements that are not stored yet, in one transaction.
+ * @param {Array<{statement: object, day: string}>} items - Statements with their partition day
+ * @returns {{stored: object[], duplicates: string[], conflicts: string[]}}
+ */
+function storeStatements(items) {
+    const result = { stored: [], duplicates: [], conflicts: [] };
+    getDb().transaction(() => {
+        for (const { statement, day } of items) {
+            const hash = statementHash(statement);
+            const existing = statement.id === undefined
+                ? undefined
+                : query("SELECT hash FROM statements WHERE id = ?").get(statement.id);
+            if (existing === undefined) {
+                insertStatement(statement, day, hash);
+                result.stored.push(statement);
+            } else if (existing.hash === hash) {
+                result.duplicates.push(statement.id);
+            } else {
+                result.conflicts.push(statement.id);
+            }
+        }
+    })();
+
+    for (const statement of result.stored) {
+        const target = voidedTargetId(statement);
+        if (target) {
+            voidedIds.set(target, statement.id);
+        }
+    }
+    return result;
+}
+
+/**
+ * Rebuilds the derived columns (hash, voided target) and the agent index from
+ * the stored statements, then rebuilds the indexes.
+ * @returns {Promise<{files: number, statements: number}>} files is always 1 (the database)
+ */
+export async function rebuildIndex() {
+    let statements = 0;
+    getDb().transaction(() => {
+        query("DELETE FROM statement_agents").run();
+        let last = 0;
+        for (;;) {
+            const rows = query("SELECT seq, statement FROM statements WHERE seq > ? ORDER BY seq LIMIT ?").all(last, PAGE_SIZE);
+            if (rows.length === 0) {
+                break;
+            }
+            for (const row of rows) {
+                const statement = JSON.parse(row.statement);
+                query("UPDATE statements SET hash = ?, voids = ?, time = ?, verb = ?, registration = ? WHERE seq = ?").run(
+                    statementHash(statement),
+                    voidedTargetId(statement),
+                    statementTime(statement),
+                    statement.verb?.id ?? null,
+                    statement.context?.registration ?? null,
+                    row.seq,
+                );
+                for (const key of statementAgentKeys(statement)) {
+                    query("INSERT OR IGNORE INTO statement_agents (agent, seq) VALUES (?, ?)").run(key, row.seq);
+                }
+            }
+            statements += rows.length;
+            last = rows[rows.length - 1].seq;
+        }
+    })();
+    getDb().exec("REINDEX");
+    collectVoidedIds();
+    console.log(`[sqlite] Rebuilt indexes: ${statements} statement(s)`);
+    return { files: 1, statements };
+}
+
+/**
+ * Checks which statement ids are already stored.
+ * @param {object[]} statements - Statements to check
+ * @returns {Promise<{duplicates: string[], conflicts: string[]}>} Ids stored with
+ *   identical content (duplicates) and with different content (conflicts)
+ */
+export async function checkStatementIds(statements) {
+    const result = { duplicates: [], conflicts: [] };
+
+    for (const statement of statements) {
+        const stored = statement.id === undefined ? undefined : query("SELECT hash FROM statements WHERE id = ?").get(statement.id);
+        if (stored === undefined) {
+            continue;
+        }
+        if (stored.hash === statementHash(statement)) {
+            result.duplicates.push(statement.id);
+        } else {
+            result.conflicts.push(statement.id);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gets the ids of all voided statements.
+ * @returns {Promise<Map<string, string>>} Voided statement id -> voiding statement id
+ */
+export async function getVoidedIds() {
+    getDb();
+    return voidedIds;
+}
+
+/**
+ * Gets a single statement by id.
+ * @param {string} id - Statement id
+ * @returns {Promise<object|null>} The statement, or null if not found
+ */
+export async function getStatement(id) {
+    const row = query("SELECT statement FROM statements WHERE id = ?").get(id);
+    return row ? JSON.parse(row.statement) : null;
+}
+
+/**
+ * Stores a single xAPI Statement.
+ * Exact duplicates of a stored statement are skipped (reported as duplicate).
+ * @param {object} statement - The xAPI Statement to store
+ * @param {Date} [date] - Optional date (defaults to statement timestamp or now)
+ * @returns {Promise<{filePath: string, success: boolean, duplicate?: boolean, conflict?: boolean, error?: string}>}
+ */
+export async function appendStatement(statement, date) {
+    const day = date ? dayKey(date) : statementDayKey(statement);
+    try {
+        const result = storeStatements([{ statement, day }]);
+        if (result.duplicates.length > 0) {
+            return { filePath: null, success: true, duplicate: true };
+        }
+        if (result.conflicts.length > 0) {
+            return {
+                filePath: null,
+                success: false,
+                conflict: true,
+                error: `Statement ${statement.id} already exists with different content`,
+            };
+        }
+        return { filePath: config.file, success: true };
+    } catch (error) {
+        return { filePath: config.file, success: false, error: error.message };
+    }
+}
+
+/**
+ * Stores multiple xAPI Statements in one transaction.
+ * Exact duplicates of stored statements are skipped and counted as duplicates;
+ * ids stored with different content are counted as failed.
+ * @param {object[]} statements - Array of xAPI Statements
+ * @returns {Promise<{total: number, success: number, failed: number, duplicates: number, errors: string[], stored: string[]}>}
+ *   stored lists the ids of the statements written
+ */
+export async function appendStatements(statements) {
+    const result = {
+        total: statements.length,
+        success: 0,
+        failed: 0,
+        duplicates: 0,
+        errors: [],
+        stored: [],
+    };
+
+    try {
+        const stored = storeStatements(statements.map(statement => ({ statement, day: statementDayKey(statement) })));
+        result.success = stored.stored.length;
+        result.stored = stored.stored.map(s => s.id);
+        result.duplicates = stored.duplicates.length;
+        result.failed = stored.conflicts.length;
+        for (const id of stored.conflicts) {
+            result.errors.push(`${id}: already exists with different content`);
+        }
+    } catch (error) {
+        // The transaction was rolled back: nothing of the batch is stored
+        result.failed = statements.length;
+        result.errors.push(error.message);
+    }
+
+    return result;
+}
+
+/**
+ * Builds the conditions of an index filter.
+ * @param {{verb?: string, registration?: string, classrooms?: string[], agent?: object}} [filter] - Filter
+ * @returns {{conditions: string[], params: Array<string|number>}}
+ */
+function filterConditions(filter = {}) {
+    const conditions = [];
+    const params = [];
+    if (filter.verb) {
+        conditions.push("verb = ?");
+        params.push(filter.verb);
+    }
+    if (filter.registration) {
+        conditions.push("registration = ?");
+        params.push(filter.registration);
+    }
+    if (filter.classrooms) {
+        conditions.push(`registration IN (${filter.classrooms.map(() => "?").join(", ") || "NULL"})`);
+        params.push(...filter.classrooms);
+    }
+    if (filter.agent) {
+        conditions.push("seq IN (SELECT seq FROM statement_agents WHERE agent = ?)");
+        params.push(agentKey(filter.agent));
+    }
+    return { conditions, params };
+}
+
+/**
+ * Reads statement rows in storage order (day, then sequence), one page at a time.
+ * @param {string[]} conditions - SQL conditions
+ * @param {Array<string|number>} params - Their parameters
+ * @param {{date: string, offset: number}|undefined} after - Position to resume after
+ * @param {{signal?: AbortSignal}} options - signal cancels the read
+ * @returns {AsyncGenerator<{seq: number, day: string, statement: string}>}
+ */
+async function* readRows(conditions, params, after, options) {
+    let position = after ? { day: after.date, seq: after.offset } : null;
+    for (;;) {
+        options.signal?.throwIfAborted();
+        const where = [...conditions];
+        const values = [...params];
+        if (position) {
+            where.push("(day > ? OR (day = ? AND seq > ?))");
+            values.push(position.day, position.day, position.seq);
+        }
+        const rows = query(`SELECT seq, day, statement FROM statements
+            ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+            ORDER BY day, seq LIMIT ${PAGE_SIZE}`).all(...values);
+        for (const row of rows) {
+            yield row;
+        }
+        if (rows.length < PAGE_SIZE) {
+            return;
+        }
+        position = { day: rows[rows.length - 1].day, seq: rows[rows.length - 1].seq };
+    }
+}
+
+/**
+ * Reads statements of a "file" (a day entry of getDateStats: "<database>#YYYY-MM-DD").
+ * @param {string} filePath - Day entry
+ * @param {{signal?: AbortSignal}} [options] - signal cancels the read
+ * @returns {AsyncGenerator<object>} Parsed statements
+ */
+export async function* readStatements(filePath, options = {}) {
+    const day = String(filePath).split("#").pop();
+    if (!isDayKey(day)) {
+        return;
+    }
+    for await (const row of readRows(["day = ?"], [day], undefined, options)) {
+        yield JSON.parse(row.statement);
+    }
+}
+
+/**
+ * Reads statements for a date range together with their storage position.
+ * A position is {date, file, offset}: the day key, always 0, and the row
+ * sequence. Passing a position as `after` resumes reading exactly there.
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @param {{date: string, file: number, offset: number}} [after] - Position to resume from
+ * @param {{signal?: AbortSignal, filter?: {verb?: string, registration?: string, classrooms?: string[], agent?: object}}} [options]
+ *   signal cancels the read; filter narrows the read through the indexes
+ * @returns {AsyncGenerator<{statement: object, position: {date: string, file: number, offset: number}}>}
+ */
+export async function* readStatementEntries(startDate, endDate, after, options = {}) {
+    const lastDay = dayKey(endDate);
+    const { conditions, params } = filterConditions(options.filter);
+    conditions.push("day >= ?", "day <= ?", "(time IS NULL OR time BETWEEN ? AND ?)");
+    params.push(dayKey(startDate), lastDay, startDate.getTime(), dayEnd(lastDay).getTime());
+
+    for await (const row of readRows(conditions, params, after, options)) {
+        yield { statement: JSON.parse(row.statement), position: { date: row.day, file: 0, offset: row.seq } };
+    }
+}
+
+/**
+ * Reads statements for a date range.
+ * @param {Date} startDate - Start date (inclusive)
+ * @param {Date} endDate - End date (inclusive)
+ * @param {{signal?: AbortSignal, filter?: object}} [options] - See readStatementEntries
+ * @returns {AsyncGenerator<object>} Async generator of statements
+ */
+export async function* readStatementsInRange(startDate, endDate, options = {}) {
+    for await (const { statement } of readStatementEntries(startDate, endDate, undefined, options)) {
+        yield statement;
+    }
+}
+
+/**
+ * Gets statistics for a date, reported as one entry for the day.
+ * size is the size of the day's statements as JSON.
+ * @param {Date} date - The date
+ * @returns {Promise<{files: Array<{path: string, size: number, compressed: boolean}>, totalSize: number}>}
+ */
+export async function getDateStats(date) {
+    const day = dayKey(date);
+    const row = query("SELECT count(*) AS statements, coalesce(sum(length(CAST(statement AS BLOB))), 0) AS size FROM statements WHERE day = ?").get(day);
+    const result = { files: [], totalSize: row.size };
+    if (row.statements > 0) {
+        result.files.push({ path: `${config.file}#${day}`, size: row.size, compressed: false });
+    }
+    return result;
+}
+
+/**
+ * Deletes rows and reclaims what they left in the write-ahead log.
+ * @param {number[]} seqs - Row sequences
+ */
+function deleteRows(seqs) {
+    getDb().transaction(() => {
+        for (const seq of seqs) {
+            query("DELETE FROM statements WHERE seq = ?").run(seq);
+        }
+    })();
+    getDb().pragma("wal_checkpoint(TRUNCATE)");
+    collectVoidedIds();
+}
+
+/**
+ * Removes matching statements (learner data erasure).
+ * Deleted rows are overwritten (secure_delete) and the write-ahead log is truncated.
+ * @param {(statement: object) => boolean} matches - Returns true for statements to remove
+ * @returns {Promise<{removed: number, files: Array<{file: string, removed: number}>, days: string[]}>}
+ *   files has one entry per affected day; days lists those days
+ */
+export async function eraseStatements(matches) {
+    const report = { removed: 0, files: [], days: [] };
+    const seqs = [];
+    const byDay = new Map();
+
+    for await (const row of readRows([], [], undefined, {})) {
+        if (matches(JSON.parse(row.statement))) {
+            seqs.push(row.seq);
+            byDay.set(row.day, (byDay.get(row.day) || 0) + 1);
+        }
+    }
+
+    if (seqs.length > 0) {
+        deleteRows(seqs);
+        for (const [day, removed] of byDay) {
+            report.files.push({ file: `${config.file}#${day}`, removed });
+        }
+        report.days = [...byDay.keys()];
+        report.removed = seqs.length;
+    }
+    return report;
+}
+
+/**
+ * Moves statements stored under another day than the one their timestamp falls
+ * on in the partition time zone (XAPI_PARTITION_TZ) to the right day.
+ * Used after changing the partition time zone.
+ * @param {{dryRun?: boolean}} [options] - dryRun only counts the misplaced statements
+ * @returns {Promise<{moved: number, files: Array<{file: string, moved: number}>}>}
+ *   files has one entry per day statements were moved from
+ */
+export async function repartitionStatements({ dryRun = false } = {}) {
+    const report = { moved: 0, files: [] };
+    const moves = [];
+    const byDay = new Map();
+
+    for await (const row of readRows(["time IS NOT NULL"], [], undefined, {})) {
+        const day = statementDayKey(JSON.parse(row.statement));
+        if (day !== row.day) {
+            moves.push({ seq: row.seq, day });
+            byDay.set(row.day, (byDay.get(row.day) || 0) + 1);
+        }
+    }
+
+    for (const [day, moved] of byDay) {
+        report.files.push({ file: `${config.file}#${day}`, moved });
+    }
+    report.moved = moves.length;
+
+    if (!dryRun && moves.length > 0) {
+        getDb().transaction(() => {
+            for (const { seq, day } of moves) {
+                query("UPDATE statements SET day = ? WHERE seq = ?").run(day, seq);
+            }
+        })();
+    }
+    return report;
+}
+
+/**
+ * Lists the days that have statements.
+ * @returns {Promise<string[]>} Day keys (YYYY-MM-DD), sorted
+ */
+export async function listDays() {
+    return query("SELECT DISTINCT day FROM statements ORDER BY day").all().map(row => row.day);
+}
+
+/**
+ * Removes all statements of a day (retention), optionally writing them to an
+ * archive directory first as YYYY/MM/DD.jsonl, the layout of the local backend.
+ * @param {string} day - Day key (YYYY-MM-DD)
+ * @param {string|null} [archiveDir] - Archive directory, or null to delete
+ * @returns {Promise<{day: string, files: string[], bytes: number}>}
+ */
+export async function removeDay(day, archiveDir) {
+    const report = { day, files: [], bytes: 0 };
+    const seqs = [];
+
+    let archivePath = null;
+    if (archiveDir) {
+        const { year, month, day: dd } = dayParts(day);
+        archivePath = path.join(archiveDir, year, month, `${dd}.jsonl`);
+        fs.mkdirSync(path.dirname(archivePath), { recursive: true });
+    }
+
+    let lines = [];
+    for await (const row of readRows(["day = ?"], [day], undefined, {})) {
+        seqs.push(row.seq);
+        report.bytes += Buffer.byteLength(row.statement, "utf8");
+        if (!archivePath) {
+            continue;
+        }
+        lines.push(row.statement + "\n");
+        if (lines.length >= PAGE_SIZE) {
+            await fs.promises.appendFile(archivePath, lines.join(""), "utf8");
+            lines = [];
+        }
+    }
+    if (lines.length > 0) {
+        await fs.promises.appendFile(archivePath, lines.join(""), "utf8");
+    }
+
+    if (seqs.length > 0) {
+        deleteRows(seqs);
+        report.files.push(`${config.file}#${day}`);
+    }
+    return report;
+}
+
+/**
+ * Appends a record to an audit log (audit_records table).
+ * @param {string} name - Audit log name (e.g. "erasure")
+ * @param {object} record - Audit record
+ * @returns {Promise<string>} Audit log location
+ */
+export async function appendAuditRecord(name, record) {
+    query("INSERT INTO audit_records (name, record) VALUES (?, ?)").run(name, JSON.stringify(record));
+    return `${config.file}#audit_records/${name}`;
+}
+
+/**
+ * Compresses closed data files (local backend only).
+ * The database is not split into files; there is nothing to compress.
+ * @returns {Promise<{files: string[], bytesBefore: number, bytesAfter: number}>}
+ */
+export async function compressClosedFiles() {
+    return { files: [], bytesBefore: 0, bytesAfter: 0 };
+}
+
+/**
+ * Gets the file statements of today are written to, for monitoring.
+ * Everything goes to the one database, so there is no current file.
+ * @returns {Promise<null>}
+ */
+export async function getCurrentFileStats() {
+    return null;
+}
+
+/**
+ * Converts a document row.
+ * @param {object|undefined} row - Row of the documents table
+ * @returns {{id: string, contentType: string, etag: string, updated: string, content: Buffer}|null}
+ */
+function toDocument(row) {
+    if (!row) {
+        return null;
+    }
+    return { id: row.id, contentType: row.content_type, etag: row.etag, updated: row.updated, content: row.content };
+}
+
+/**
+ * Gets a stored document (State, Activity Profile or Agent Profile).
+ * @param {string} key - Document key
+ * @returns {Promise<{id: string, contentType: string, etag: string, updated: string, content: Buffer}|null>}
+ */
+export async function getDocument(key) {
+    return toDocument(query("SELECT * FROM documents WHERE key = ?").get(key));
+}
+
+/**
+ * Lists the documents directly under a key prefix.
+ * @param {string} prefix - Key prefix (ending with "/")
+ * @param {{recursive?: boolean}} [options] - recursive also lists the documents of all deeper levels
+ * @returns {Promise<Array<{key: string, id: string, updated: string}>>}
+ */
+export async function listDocuments(prefix, options = {}) {
+    if (options.recursive) {
+        return query("SELECT key, id, updated FROM documents WHERE substr(key, 1, ?) = ? ORDER BY key")
+            .all(prefix.length, prefix);
+    }
+    return query(`SELECT key, id, updated FROM documents
+        WHERE substr(key, 1, ?) = ? AND instr(substr(key, ?), '/') = 0 ORDER BY key`)
+        .all(prefix.length, prefix, prefix.length + 1);
+}
+
+/**
+ * Checks the stored ETag of a document against an expected one.
+ * @param {object|null} current - Stored document
+ * @param {string|null|undefined} expectedEtag - undefined: no check, null: must not exist, string: must match
+ * @returns {boolean}
+ */
+function etagMatches(current, expectedEtag) {
+    if (expectedEtag === undefined) {
+        return true;
+    }
+    if (expectedEtag === null) {
+        return !current;
+    }
+    return Boolean(current) && current.etag === expectedEtag;
+}
+
+/**
+ * Saves a document, replacing the stored one.
+ * The ETag check and the write happen in one transaction.
+ * @param {string} key - Document key
+ * @param {{id: string, contentType: string, etag: string, updated: string, content: Buffer}} document - Document
+ * @param {string|null} [expectedEtag] - undefined: unconditional, null: must not exist, string: stored ETag must match
+ * @returns {Promise<{success: boolean, preconditionFailed?: boolean}>}
+ */
+export async function saveDocument(key, document, expectedEtag) {
+    return getDb().transaction(() => {
+        if (!etagMatches(toDocument(query("SELECT * FROM documents WHERE key = ?").get(key)), expectedEtag)) {
+            return { success: false, preconditionFailed: true };
+        }
+        query(`INSERT INTO documents (key, id, content_type, etag, updated, content) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET id = excluded.id, content_type = excluded.content_type,
+            etag = excluded.etag, updated = excluded.updated, content = excluded.content`)
+            .run(key, document.id, document.contentType, document.etag, document.updated, document.content);
+        return { success: true };
+    })();
+}
+
+/**
+ * Deletes a document.
+ * @param {string} key - Document key
+ * @param {string} [expectedEtag] - Stored ETag must match when given
+ * @returns {Promise<{success: boolean, notFound?: boolean, preconditionFailed?: boolean}>}
+ */
+export async function deleteDocument(key, expectedEtag) {
+    return getDb().transaction(() => {
+        const current = toDocument(query("SELECT * FROM documents WHERE key = ?").get(key));
+        if (!current) {
+            return { success: false, notFound: true };
+        }
+        if (!etagMatches(current, expectedEtag)) {
+            return { success: false, preconditionFailed: true };
+        }
+        query("DELETE FROM documents WHERE key = ?").run(key);
+        return { success: true };
+    })();
+}
+
+/**
+ * Gets the current configuration.
+ * @returns {typeof DEFAULT_CONFIG}
+ */
+export function getConfig() {
+    return { ...config };
+}
@@ -0,0 +1,93 @@
+/**
+ * Tests of learner data erasure against the local JSONL backend.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { configure } from "../storage/jsonl.js";
+import { appendStatements } from "../storage/index.js";
+import { eraseLearnerData } from "../lib/erasure.js";
+import { parseAggregateQuery, aggregateStatements } from "../lib/analytics.js";
+import { publishStatements, eventsAfter, subscribe } from "../lib/live.js";
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "erasure-test-"));
+    configure({ baseDir: tmpDir });
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Builds a statement by a learner.
+ * @param {string} name - Account name
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {object}
+ */
+function statement(name, timestamp) {
+    return {
+        id: randomUUID(),
+        actor: { account: { homePage: "https://example.com", name } },
+        verb: { id: "urn:xapi:picapica-2d:verb:placed" },
+        object: { id: "https://example.com/block/1" },
+        timestamp,
+    };
+}
+
+/**
+ * Counts a day's statements by actor.
+ * @param {string} day - Day key
+ * @returns {Promise<{groups: object, cachedDays: number}>} groups maps actor to count
+ */
+async function countByActor(day) {
+    const { query } = parseAggregateQuery({ from: day, to: day, groupBy: "actor" }, new Date("2026-10-19T12:00:00Z"));
+    const result = await aggregateStatements(query, { now: new Date("2026-10-19T12:00:00Z") });
+    return {
+        groups: Object.fromEntries(result.groups.map(g => [g.key.actor, g.count])),
+        cachedDays: result.cachedDays,
+    };
+}
+
+test("erasure drops cached aggregations of the affected days", async () => {
+    const timestamp = "2026-10-01T09:00:00.000Z";
+    await appendStatements([statement("alice", timestamp), statement("bobby", timestamp)]);
+    assert.deepEqual((await countByActor("2026-10-01")).groups, {
+        "https://example.com|alice": 1,
+        "https://example.com|bobby": 1,
+    });
+    assert.equal((await countByActor("2026-10-01")).cachedDays, 1);
+
+    const report = await eraseLearnerData({ agent: { account: { homePage: "https://example.com", name: "alice" } } }, "test");
+    assert.equal(report.removed, 1);
+
+    // A late statement of the same size leaves the day's file size unchanged
+    await appendStatements([statement("carol", timestamp)]);
+    const after = await countByActor("2026-10-01");
+    assert.equal(after.cachedDays, 0);
+    assert.deepEqual(after.groups, {
+        "https://example.com|bobby": 1,
+        "https://example.com|carol": 1,
+    });
+});
+
+test("erasure removes the learner's events from the live replay buffer", async () => {
+    const timestamp = "2026-10-19T09:00:00.000Z";
+    const events = [];
+    const unsubscribe = subscribe(event => events.push(event));
+    publishStatements([statement("bobby", timestamp), statement("alice", timestamp), statement("carol", timestamp)]);
+    unsubscribe();
+
+    const report = await eraseLearnerData({ agent: { account: { homePage: "https://example.com", name: "alice" } } }, "test");
+    assert.equal(report.liveEvents, 1);
+
+    const replay = eventsAfter(events[0].id);
+    assert.equal(replay.complete, true);
+    assert.deepEqual(replay.events.map(e => e.statement.actor.account.name), ["carol"]);
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests of forwarding to upstream LRSs against a stub HTTP server.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import { once } from "events";
+import { randomUUID } from "crypto";
+import { configureForward, enqueueForward, getForwardStatus, stopForwarding } from "../lib/forward.js";
+
+let stub;
+let stubUrl;
+let tmpDir;
+
+/**
+ * Statuses the stub answers with, in order (200 once used up).
+ */
+let statuses = [];
+
+/**
+ * Requests the stub received: { status, body }.
+ */
+let received = [];
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "forward-test-"));
+    stub = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => body += chunk);
+        req.on("end", () => {
+            const status = statuses.shift() ?? 200;
+            received.push({ status, body: JSON.parse(body) });
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(status === 200 ? "[]" : "");
+        });
+    });
+    stub.listen(0);
+    await once(stub, "listening");
+    stubUrl = `http://127.0.0.1:${stub.address().port}/xapi`;
+});
+
+after(() => {
+    stopForwarding();
+    stub.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Configures a single forwarding target pointing at the stub.
+ * @param {string} name - Target name (also a fresh queue directory)
+ * @param {object} [extra] - Additional target settings
+ * @returns {{pending: string, dead: string}} Queue directories
+ */
+function configureTarget(name, extra = {}) {
+    const targetsFile = path.join(tmpDir, `${name}.json`);
+    fs.writeFileSync(targetsFile, JSON.stringify({ targets: [{ name, endpoint: stubUrl, ...extra }] }));
+    configureForward({ targetsFile, queueDir: path.join(tmpDir, "queue"), maxBackoffSeconds: 1 });
+    return {
+        pending: path.join(tmpDir, "queue", name, "pending"),
+        dead: path.join(tmpDir, "queue", name, "dead"),
+    };
+}
+
+/**
+ * Builds stored statements.
+ * @param {number} count - Number of statements
+ * @returns {object[]}
+ */
+function statements(count) {
+    return Array.from({ length: count }, () => ({
+        id: randomUUID(),
+        actor: { account: { homePage: "https://example.com", name: "alice" } },
+        verb: { id: "urn:xapi:picapica-2d:verb:placed" },
+        object: { id: "https://example.com/block/1" },
+        _meta: { ingestTime: new Date().toISOString(), credential: "test" },
+    }));
+}
+
+/**
+ * Waits until a condition holds.
+ * @param {() => boolean|Promise<boolean>} condition - Condition
+ * @param {number} [timeoutMs] - Time limit
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!await condition()) {
+        if (Date.now() > deadline) {
+            throw new Error("Timed out waiting for condition");
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test("retries on 503, dead-letters on 400 and removes the batch on 200", async () => {
+    statuses = [503, 400, 200];
+    received = [];
+    const dirs = configureTarget("district");
+
+    // 503: the batch stays queued and the target backs off
+    await enqueueForward(statements(2));
+    await waitFor(() => received.length === 1);
+    await waitFor(async () => (await getForwardStatus()).targets[0].state === "backoff");
+    let status = (await getForwardStatus()).targets[0];
+    assert.equal(status.attempts, 1);
+    assert.ok(Date.parse(status.nextAttemptAt) > Date.now() - 1000);
+    assert.equal(status.lastError.status, 503);
+    assert.equal(status.pending.batches, 1);
+    assert.equal(status.pending.statements, 2);
+    assert.equal(fs.readdirSync(dirs.pending).length, 1);
+
+    // 400 on the retry: the batch moves to the dead letters with the reason
+    // The dead letter is written before the pending file is removed; wait for both
+    await waitFor(() => received.length === 2);
+    await waitFor(() => fs.readdirSync(dirs.dead).length === 1 && fs.readdirSync(dirs.pending).length === 0);
+    const [deadName] = fs.readdirSync(dirs.dead);
+    assert.match(deadName, /-2\.json$/);
+    const record = JSON.parse(fs.readFileSync(path.join(dirs.dead, deadName), "utf8"));
+    assert.equal(record.status, 400);
+    assert.equal(record.statements.length, 2);
+    status = (await getForwardStatus()).targets[0];
+    assert.deepEqual(status.deadLetters, { batches: 1, statements: 2 });
+    assert.equal(status.attempts, 0);
+
+    // 200: a new batch is sent and removed from the queue
+    await enqueueForward(statements(3));
+    await waitFor(() => received.length === 3);
+    await waitFor(async () => (await getForwardStatus()).targets[0].state === "idle");
+    assert.deepEqual(fs.readdirSync(dirs.pending), []);
+    status = (await getForwardStatus()).targets[0];
+    assert.equal(status.sent, 3);
+    assert.equal(status.nextAttemptAt, null);
+    assert.ok(status.lastSuccessAt);
+
+    // Sent as an xAPI array, without server metadata
+    assert.ok(Array.isArray(received[2].body));
+    assert.equal(received[2].body.length, 3);
+    assert.equal(received[2].body[0]._meta, undefined);
+});
+
+test("sends { statements } to pxt-telemetry targets", async () => {
+    statuses = [];
+    received = [];
+    configureTarget("edge", { format: "pxt-telemetry" });
+
+    await enqueueForward(statements(2));
+    await waitFor(() => received.length === 1);
+    assert.ok(Array.isArray(received[0].body.statements));
+    assert.equal(received[0].body.statements.length, 2);
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests of the local JSONL storage backend.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { randomUUID } from "crypto";
+import { configure, appendStatement, appendStatements, getStatement, getDateDirectory } from "../storage/jsonl.js";
+
+let tmpDir;
+
+before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "jsonl-test-"));
+    configure({ baseDir: tmpDir });
+});
+
+after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+/**
+ * Builds a statement with the given timestamp.
+ * @param {string} timestamp - ISO 8601 timestamp
+ * @returns {object}
+ */
+function statement(timestamp) {
+    return {
+        id: randomUUID(),
+        actor: { account: { homePage: "https://example.com", name: "alice" } },
+        verb: { id: "urn:xapi:picapica-2d:verb:placed" },
+        object: { id: "https://example.com/block/1" },
+        timestamp,
+    };
+}
+
+/**
+ * Makes the directory of a day unwritable by putting a regular file in its place
+ * (permissions do not stop root from writing).
+ * @param {string} timestamp - Timestamp within the day
+ * @returns {() => void} Restores the directory
+ */
+function blockDayDirectory(timestamp) {
+    const dir = getDateDirectory(new Date(timestamp));
+    fs.mkdirSync(path.dirname(dir), { recursive: true });
+    fs.writeFileSync(dir, "");
+    return () => fs.rmSync(dir);
+}
+
+test("a statement whose write file cannot be created is stored on retry", async () => {
+    const timestamp = "2026-03-10T09:00:00.000Z";
+    const s = statement(timestamp);
+    const unblock = blockDayDirectory(timestamp);
+
+    const failed = await appendStatement(s);
+    assert.equal(failed.success, false);
+    assert.equal(failed.duplicate, undefined);
+
+    unblock();
+    const retried = await appendStatement(s);
+    assert.equal(retried.success, true);
+    assert.equal(retried.duplicate, undefined);
+    assert.equal((await getStatement(s.id)).id, s.id);
+});
+
+test("a batch whose write file cannot be created is stored on retry", async () => {
+    const timestamp = "2026-04-10T09:00:00.000Z";
+    const batch = [statement(timestamp), statement(timestamp)];
+    const unblock = blockDayDirectory(timestamp);
+
+    const failed = await appendStatements(batch);
+    assert.equal(failed.failed, 2);
+    assert.equal(failed.duplicates, 0);
+
+    unblock();
+    const retried = await appendStatements(batch);
+    assert.equal(retried.success, 2);
+    assert.equal(retried.duplicates, 0);
+    assert.deepEqual(retried.stored, batch.map(s => s.id));
+});
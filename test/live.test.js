@@ -0,0 +1,82 @@
+/**
+ * Tests of the live statement stream (GET /statements/live).
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import net from "net";
+import { once } from "events";
+import { randomUUID } from "crypto";
+import express from "express";
+import liveRoutes from "../routes/live.js";
+import { configureLive, publishStatements } from "../lib/live.js";
+
+let server;
+let port;
+
+before(async () => {
+    configureLive({ bufferSize: 10, maxSubscribers: 1 });
+    const app = express();
+    app.use((req, res, next) => {
+        req.credential = { name: "test", scopes: ["statements:read"], origins: null, classrooms: null };
+        next();
+    });
+    app.use("/api/xapi", liveRoutes);
+    server = app.listen(0);
+    await once(server, "listening");
+    port = server.address().port;
+});
+
+after(() => {
+    server.close();
+});
+
+/**
+ * Opens a live stream on a raw socket and waits for the response headers.
+ * @returns {Promise<{socket: net.Socket, head: string}>}
+ */
+async function openStream() {
+    const socket = net.connect(port, "127.0.0.1");
+    await once(socket, "connect");
+    socket.write(`GET /api/xapi/statements/live HTTP/1.1\r\nHost: localhost\r\n\r\n`);
+    const [chunk] = await once(socket, "data");
+    return { socket, head: chunk.toString("utf8") };
+}
+
+/**
+ * Builds a statement of roughly the given size.
+ * @param {number} size - Size of the padding in bytes
+ * @returns {object}
+ */
+function largeStatement(size) {
+    return {
+        id: randomUUID(),
+        actor: { account: { homePage: "https://example.com", name: "alice" } },
+        verb: { id: "urn:xapi:picapica-2d:verb:placed" },
+        object: { id: "https://example.com/block/1" },
+        result: { response: "x".repeat(size) },
+    };
+}
+
+test("a subscriber that never reads is dropped without crashing the server", async () => {
+    const slow = await openStream();
+    assert.match(slow.head, /^HTTP\/1\.1 200/);
+    slow.socket.pause();
+    const closed = once(slow.socket, "close");
+    slow.socket.on("error", () => {});
+
+    // Far more than the socket buffers and MAX_PENDING_BYTES hold; every publish
+    // after the client was dropped must not write to its response any more
+    for (let i = 0; i < 100; i++) {
+        publishStatements([largeStatement(256 * 1024)]);
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    slow.socket.resume();
+    await closed;
+
+    // The subscription was released (maxSubscribers is 1)
+    const next = await openStream();
+    assert.match(next.head, /^HTTP\/1\.1 200/);
+    publishStatements([largeStatement(16)]);
+    next.socket.destroy();
+});